@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/*
+ * Command line runner for rsync job definition files.
+ *
+ *     node-rsync run jobs.json [job...] [--print]
+ *
+ * See `lib/cli.js` for the job file format.
+ */
+
+var cli = require('../lib/cli');
+
+cli.main(process.argv.slice(2)).then(function(status) {
+    process.exitCode = status;
+});
@@ -0,0 +1,278 @@
+var fs = require('fs');
+var path = require('path');
+var hasOP = require('./helpers').hasOP;
+var mergeEnv = require('./helpers').mergeEnv;
+
+/**
+ * Command line runner for job definition files. See `bin/node-rsync.js`.
+ *
+ * A job file is a JSON file with named jobs in the shape `Rsync.build` accepts
+ * and optional defaults that every job starts from:
+ *
+ *     {
+ *       "defaults": { "flags": "az", "shell": "ssh" },
+ *       "jobs": {
+ *         "www":  { "source": "/var/www/", "destination": "backup:www/" },
+ *         "logs": { "source": "/var/log/", "destination": "backup:logs/", "flags": "a" }
+ *       }
+ *     }
+ *
+ * Keys of a job override the defaults. Relative `cwd` paths are resolved from
+ * the directory of the job file and `env` is added to the environment of the
+ * runner.
+ */
+
+/**
+ * Exit status for usage errors and invalid job files.
+ * @type {Number}
+ */
+var EXIT_USAGE = 1;
+
+/**
+ * Methods of Rsync that configure the command. Jobs can only use these as keys,
+ * `Rsync.build` calls them with the value of the key. Methods that run rsync,
+ * read the file system or only return information are left out.
+ *
+ * @private
+ * @type {Array}
+ */
+var CONFIG_METHODS = [
+    'set', 'unset', 'flags', 'option', 'validation', 'patterns', 'exclude',
+    'include', 'filter', 'protect', 'risk', 'hide', 'show', 'merge', 'dirMerge',
+    'filterFile', 'filesFrom', 'cwd', 'env', 'password', 'versionCheck', 'retry',
+    'debug', 'executable', 'executableShell', 'useShell', 'destination', 'source',
+    'shell', 'ssh', 'chmod', 'delete', 'progress', 'archive', 'compress',
+    'recursive', 'update', 'quiet', 'dirs', 'links', 'dry', 'hardLinks', 'perms',
+    'executability', 'group', 'owner', 'acls', 'xattrs', 'devices', 'specials',
+    'times', 'itemizeChanges', 'stats', 'port', 'address', 'passwordFile'
+];
+
+var USAGE = [
+    'Usage: node-rsync run <jobs.json> [job...] [options]',
+    '',
+    'Runs the named jobs from the job file, or all jobs when no names are given.',
+    '',
+    'Options:',
+    '  --print   print the commands instead of running them',
+    '  --help    show this help',
+    ''
+].join('\n');
+
+/**
+ * Run the command line interface.
+ *
+ * The Promise resolves with the exit status: 0 when all jobs succeeded, the
+ * rsync exit code of the first failed job, or 1 for usage errors, invalid job
+ * files and jobs that failed without an exit code.
+ *
+ * @param {Array} argv      Command line arguments without node and the script
+ * @param {Object} io       Streams to write to: `stdout` and `stderr`
+ * @return {Promise}
+ */
+function main(argv, io) {
+    io = io || { stdout: process.stdout, stderr: process.stderr };
+
+    var Rsync = require('../rsync');
+    var args;
+    var commands;
+
+    try {
+        args = parseArgs(argv);
+        if (args.help) {
+            io.stdout.write(USAGE);
+            return Promise.resolve(0);
+        }
+
+        var definitions = loadJobs(args.file);
+        var names = args.jobs.length ? args.jobs : Object.keys(definitions.jobs);
+        commands = names.map(function(name) {
+            return { name: name, rsync: buildJob(Rsync, definitions, name) };
+        });
+    }
+    catch (error) {
+        io.stderr.write('node-rsync: ' + error.message + '\n');
+        if (error.usage) {
+            io.stderr.write('\n' + USAGE);
+        }
+        return Promise.resolve(EXIT_USAGE);
+    }
+
+    if (args.print) {
+        commands.forEach(function(job) {
+            io.stdout.write(job.rsync.command() + '\n');
+        });
+        return Promise.resolve(0);
+    }
+
+    return runJobs(commands, io);
+}
+
+/**
+ * Parse the command line arguments.
+ *
+ * @param {Array} argv
+ * @return {Object}
+ */
+function parseArgs(argv) {
+    var args = { command: null, file: null, jobs: [], print: false, help: false };
+
+    argv.forEach(function(arg) {
+        if (arg === '--print') {
+            args.print = true;
+        }
+        else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        }
+        else if (arg.charAt(0) === '-') {
+            throw usageError('Unknown option ' + arg);
+        }
+        else if (args.command === null) {
+            args.command = arg;
+        }
+        else if (args.file === null) {
+            args.file = arg;
+        }
+        else {
+            args.jobs.push(arg);
+        }
+    });
+
+    if (args.help) {
+        return args;
+    }
+    if (args.command !== 'run') {
+        throw usageError(args.command ? 'Unknown command ' + args.command : 'Missing command');
+    }
+    if (!args.file) {
+        throw usageError('Missing job file');
+    }
+
+    return args;
+}
+
+/**
+ * Read and validate a job file.
+ *
+ * @param {String} file
+ * @return {Object} The definitions with `file`, `defaults` and `jobs`
+ */
+function loadJobs(file) {
+    var data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    catch (error) {
+        throw new Error('Cannot read job file ' + file + ': ' + error.message);
+    }
+
+    if (!isObject(data) || !isObject(data.jobs)) {
+        throw new Error('Job file ' + file + ' must contain a "jobs" object');
+    }
+    if (data.defaults !== undefined && !isObject(data.defaults)) {
+        throw new Error('The "defaults" in job file ' + file + ' must be an object');
+    }
+
+    return {
+        file:     path.resolve(file),
+        defaults: data.defaults || {},
+        jobs:     data.jobs
+    };
+}
+
+/**
+ * Build the Rsync command for a job from the definitions.
+ *
+ * @param {Function} Rsync  The Rsync constructor
+ * @param {Object} definitions  As returned by `loadJobs`
+ * @param {String} name
+ * @return {Rsync}
+ */
+function buildJob(Rsync, definitions, name) {
+    if (!hasOP(definitions.jobs, name)) {
+        throw new Error('Unknown job ' + name);
+    }
+
+    var job = definitions.jobs[name];
+    if (!isObject(job)) {
+        throw new Error('Job ' + name + ' must be an object');
+    }
+
+    var options = {};
+    [ definitions.defaults, job ].forEach(function(source) {
+        Object.keys(source).forEach(function(key) {
+            options[key] = source[key];
+        });
+    });
+
+    Object.keys(options).forEach(function(key) {
+        if (CONFIG_METHODS.indexOf(key) < 0) {
+            throw new Error('Job ' + name + ' has an unsupported key "' + key + '"');
+        }
+    });
+
+    var base = path.dirname(definitions.file);
+    if (options.cwd !== undefined) {
+        options.cwd = path.resolve(base, String(options.cwd));
+    }
+    if (options.env !== undefined) {
+        if (!isObject(options.env)) {
+            throw new Error('The env of job ' + name + ' must be an object');
+        }
+        options.env = mergeEnv(options.env);
+    }
+
+    return Rsync.build(options);
+}
+
+/**
+ * Run the jobs one after the other, streaming their output. All jobs are run,
+ * also when one of them fails.
+ *
+ * @private
+ * @param {Array} commands
+ * @param {Object} io
+ * @return {Promise}
+ */
+function runJobs(commands, io) {
+    var status = 0;
+
+    return commands.reduce(function(previous, job) {
+        return previous.then(function() {
+            job.rsync.output(function(data) {
+                io.stdout.write(data);
+            }, function(data) {
+                io.stderr.write(data);
+            });
+
+            return job.rsync.run().catch(function(error) {
+                io.stderr.write('node-rsync: job ' + job.name + ' failed: ' + error.message + '\n');
+                if (status === 0) {
+                    status = (typeof(error.exitCode) === 'number' && error.exitCode > 0) ? error.exitCode : EXIT_USAGE;
+                }
+            });
+        });
+    }, Promise.resolve()).then(function() {
+        return status;
+    });
+}
+
+/**
+ * @private
+ */
+function usageError(message) {
+    var error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+    return value !== null && typeof(value) === 'object' && !Array.isArray(value);
+}
+
+exports.main      = main;
+exports.parseArgs = parseArgs;
+exports.loadJobs  = loadJobs;
+exports.buildJob  = buildJob;
@@ -0,0 +1,70 @@
+/**
+ * Helpers for talking to rsync daemons.
+ */
+
+/**
+ * Environment variable rsync reads the daemon password from.
+ * @type {String}
+ */
+var PASSWORD_ENV = 'RSYNC_PASSWORD';
+
+/**
+ * Options that apply to the connection with a daemon. These are kept when the
+ * modules of a daemon are listed.
+ * @type {Array}
+ */
+var CONNECTION_OPTIONS = [
+    'port', 'address', 'password-file', 'timeout', 'contimeout', 'sockopts',
+    'ipv4', 'ipv6', '4', '6', 'no-motd', 'rsh', 'e'
+];
+
+/**
+ * Parse the module list a daemon prints for `rsync host::`.
+ *
+ * rsync prints every module as the padded name, a tab and the comment. Lines
+ * without a tab are part of the message of the day and are skipped.
+ *
+ * @param {String} output
+ * @return {Array} Objects with the `name` and `comment` of each module
+ */
+function parseModules(output) {
+    return String(output || '').split(/\r?\n/).reduce(function(modules, line) {
+        var tab = line.indexOf('\t');
+        if (tab > 0) {
+            var name = line.slice(0, tab).trim();
+            if (name && !/\s/.test(name)) {
+                modules.push({ name: name, comment: line.slice(tab + 1).trim() });
+            }
+        }
+        return modules;
+    }, []);
+}
+
+/**
+ * Render the location that lists the modules of a daemon. The host can have
+ * a user and a port: `user@host:port`.
+ *
+ * @param {String} host
+ * @return {String}
+ */
+function moduleListLocation(host) {
+    host = String(host || '').replace(/^rsync:\/\//, '').replace(/(::|\/)$/, '');
+    if (!host || /[\s\/]/.test(host)) {
+        throw new Error('Invalid daemon host: ' + host);
+    }
+
+    var at = host.lastIndexOf('@');
+    var user = (at < 0) ? '' : host.slice(0, at + 1);
+    host = host.slice(at + 1);
+
+    // Bare IPv6 addresses need brackets
+    if (/:.*:/.test(host) && host.charAt(0) !== '[') {
+        host = '[' + host + ']';
+    }
+    return 'rsync://' + user + host + '/';
+}
+
+exports.PASSWORD_ENV       = PASSWORD_ENV;
+exports.CONNECTION_OPTIONS = CONNECTION_OPTIONS;
+exports.parseModules       = parseModules;
+exports.moduleListLocation = moduleListLocation;
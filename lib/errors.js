@@ -0,0 +1,206 @@
+var util = require('util');
+
+/**
+ * Meaning of the rsync exit codes.
+ * @see https://download.samba.org/pub/rsync/rsync.1#EXIT_VALUES
+ * @type {Object}
+ */
+var EXIT_CODES = {
+    0:   'success',
+    1:   'syntax or usage error',
+    2:   'protocol incompatibility',
+    3:   'errors selecting input/output files, dirs',
+    4:   'requested action not supported',
+    5:   'error starting client-server protocol',
+    6:   'daemon unable to append to log-file',
+    10:  'error in socket I/O',
+    11:  'error in file I/O',
+    12:  'error in rsync protocol data stream',
+    13:  'errors with program diagnostics',
+    14:  'error in IPC code',
+    20:  'received SIGUSR1 or SIGINT',
+    21:  'some error returned by waitpid()',
+    22:  'error allocating core memory buffers',
+    23:  'partial transfer due to error',
+    24:  'partial transfer due to vanished source files',
+    25:  'the --max-delete limit stopped deletions',
+    30:  'timeout in data send/receive',
+    35:  'timeout waiting for daemon connection',
+    127: 'command not found',
+    255: 'remote shell error'
+};
+
+/**
+ * Exit codes for a transfer that completed for some of the files.
+ * @type {Array}
+ */
+var PARTIAL_CODES = [ 23, 24 ];
+
+/**
+ * Exit codes for connection and timeout failures that may succeed when the
+ * command is executed again.
+ * @type {Array}
+ */
+var RETRYABLE_CODES = [ 5, 10, 12, 30, 35, 255 ];
+
+/**
+ * Number of stderr lines kept on the error.
+ * @private
+ * @type {Number}
+ */
+var STDERR_TAIL_LINES = 20;
+
+/**
+ * Error for an rsync command that did not exit successfully.
+ *
+ * The error has the following properties:
+ *
+ *   - `exitCode`     the exit code of rsync (null when killed by a signal)
+ *   - `signal`       the signal that killed rsync (null otherwise)
+ *   - `description`  the meaning of the exit code
+ *   - `command`      the executed command
+ *   - `stderr`       the last lines rsync wrote to stderr
+ *
+ * @constructor
+ * @param {Object} details  Object with the `exitCode`, `signal`, `command` and `stderr`
+ */
+function RsyncError(details) {
+    details = details || {};
+
+    Error.call(this);
+    if (typeof(Error.captureStackTrace) === 'function') {
+        Error.captureStackTrace(this, RsyncError);
+    }
+
+    this.name        = 'RsyncError';
+    this.exitCode    = (details.exitCode === undefined) ? null : details.exitCode;
+    this.signal      = details.signal || null;
+    this.description = describe(this.exitCode);
+    this.command     = details.command || '';
+    this.stderr      = tail(details.stderr || '', STDERR_TAIL_LINES);
+
+    if (this.signal) {
+        this.message = 'rsync was killed by signal ' + this.signal;
+    }
+    else {
+        this.message = 'rsync exited with code ' + this.exitCode + ' (' + this.description + ')';
+    }
+}
+util.inherits(RsyncError, Error);
+
+/**
+ * Check if the error is a partial transfer, which means some files were
+ * transferred (exit codes 23 and 24).
+ * @return {Boolean}
+ */
+RsyncError.prototype.isPartial = function() {
+    return PARTIAL_CODES.indexOf(this.exitCode) >= 0;
+};
+
+/**
+ * Check if the error is a connection or timeout failure that may succeed
+ * when the command is executed again (exit codes 5, 10, 12, 30, 35 and 255).
+ * @return {Boolean}
+ */
+RsyncError.prototype.isRetryable = function() {
+    return RETRYABLE_CODES.indexOf(this.exitCode) >= 0;
+};
+
+/**
+ * Error for an rsync command that was terminated because it ran too long or
+ * did not produce any output for too long.
+ *
+ * In addition to the `RsyncError` properties the error has:
+ *
+ *   - `kind`     `timeout` for the wall-clock timeout, `idle` for the idle timeout
+ *   - `timeout`  the timeout that expired in milliseconds
+ *
+ * Timeouts are considered retryable.
+ *
+ * @constructor
+ * @param {Object} details  Object with the `kind` and `timeout` and the `RsyncError` details
+ */
+function RsyncTimeoutError(details) {
+    details = details || {};
+
+    RsyncError.call(this, details);
+    if (typeof(Error.captureStackTrace) === 'function') {
+        Error.captureStackTrace(this, RsyncTimeoutError);
+    }
+
+    this.name    = 'RsyncTimeoutError';
+    this.kind    = details.kind || 'timeout';
+    this.timeout = details.timeout;
+    this.message = (this.kind === 'idle')
+        ? 'rsync produced no output for ' + this.timeout + 'ms'
+        : 'rsync did not finish within ' + this.timeout + 'ms';
+}
+util.inherits(RsyncTimeoutError, RsyncError);
+
+/**
+ * @return {Boolean}
+ */
+RsyncTimeoutError.prototype.isRetryable = function() {
+    return true;
+};
+
+/**
+ * Error for a command with options the installed rsync does not support. It is
+ * raised before rsync is started.
+ *
+ * The error has the following properties:
+ *
+ *   - `version`      the detected rsync version
+ *   - `unsupported`  a message for each unsupported option
+ *
+ * @constructor
+ * @param {Object} details  Object with the `version` and `unsupported` messages
+ */
+function RsyncUnsupportedError(details) {
+    details = details || {};
+
+    Error.call(this);
+    if (typeof(Error.captureStackTrace) === 'function') {
+        Error.captureStackTrace(this, RsyncUnsupportedError);
+    }
+
+    this.name        = 'RsyncUnsupportedError';
+    this.version     = details.version || null;
+    this.unsupported = details.unsupported || [];
+    this.message     = this.unsupported.join('; ');
+}
+util.inherits(RsyncUnsupportedError, Error);
+
+/**
+ * Get the meaning of an rsync exit code.
+ * @param {Number} code
+ * @return {String}
+ */
+function describe(code) {
+    if (code === null || code === undefined) {
+        return 'no exit code';
+    }
+    return EXIT_CODES.hasOwnProperty(code) ? EXIT_CODES[code] : 'unknown error';
+}
+
+/**
+ * Get the last lines of a String.
+ * @private
+ * @param {String} value
+ * @param {Number} count
+ * @return {String}
+ */
+function tail(value, count) {
+    var lines = String(value).replace(/\s+$/, '').split(/\r\n|\r|\n/);
+    return lines.slice(-count).join('\n');
+}
+
+RsyncError.describe        = describe;
+RsyncError.EXIT_CODES      = EXIT_CODES;
+RsyncError.PARTIAL_CODES   = PARTIAL_CODES;
+RsyncError.RETRYABLE_CODES = RETRYABLE_CODES;
+
+RsyncError.RsyncTimeoutError     = RsyncTimeoutError;
+RsyncError.RsyncUnsupportedError = RsyncUnsupportedError;
+
+module.exports = RsyncError;
@@ -0,0 +1,191 @@
+/**
+ * In-memory file lists for rsync's `--files-from=-` option.
+ *
+ * The entries are written to the stdin of the rsync process separated by NUL
+ * characters, for use with `--from0`, so names with line breaks or other
+ * special characters are passed as they are. Entries of an iterable are pulled
+ * while rsync reads them, with backpressure from the stream, and are kept so
+ * retries and repeated runs get the same list.
+ */
+
+/**
+ * List of paths relative to the source, from an Array or a (async) iterable of
+ * Strings.
+ *
+ * @param {Array|Iterable|AsyncIterable} list
+ * @constructor
+ */
+function FileList(list) {
+    if (!(this instanceof FileList)) {
+        return new FileList(list);
+    }
+
+    this._source   = list;
+    this._entries  = [];
+    this._iterator = null;
+    this._pending  = null;
+    this._error    = null;
+
+    if (Array.isArray(list)) {
+        this._entries = list.map(checkEntry);
+    }
+    else if (list && typeof(list[asyncIteratorSymbol()]) === 'function') {
+        this._iterator = list[asyncIteratorSymbol()]();
+    }
+    else if (list && typeof(list) !== 'string' && typeof(list[Symbol.iterator]) === 'function') {
+        this._iterator = list[Symbol.iterator]();
+    }
+    else {
+        throw new Error('File list must be an Array or an iterable');
+    }
+}
+
+/**
+ * Check if a value can be used as a file list.
+ *
+ * @param {*} list
+ * @return {Boolean}
+ */
+FileList.isList = function(list) {
+    return Array.isArray(list) || (!!list && typeof(list) === 'object' &&
+        (typeof(list[asyncIteratorSymbol()]) === 'function' || typeof(list[Symbol.iterator]) === 'function'));
+};
+
+/**
+ * The Array or iterable the list was created from.
+ * @return {Array|Iterable|AsyncIterable}
+ */
+FileList.prototype.source = function() {
+    return this._source;
+};
+
+/**
+ * Check if the entries are read from an iterable.
+ * @return {Boolean}
+ */
+FileList.prototype.isStreamed = function() {
+    return !Array.isArray(this._source);
+};
+
+/**
+ * Write the entries to a stream, usually the stdin of an rsync process, and
+ * end it. Writing stops without an error when the stream is closed before all
+ * entries are written, which happens when rsync exits early.
+ *
+ * The Promise is rejected when the iterable fails or yields an invalid entry.
+ * The stream is not ended then, so rsync does not take the entries written so
+ * far for the complete list; the caller has to stop the process.
+ *
+ * @param {Writable} stream
+ * @return {Promise}
+ */
+FileList.prototype.pipe = function(stream) {
+    var self = this;
+
+    return new Promise(function(resolve, reject) {
+        var index  = 0;
+        var closed = false;
+
+        var close = function() {
+            closed = true;
+            resolve();
+        };
+        // Writing to a process that exited fails with EPIPE
+        stream.on('error', close);
+        stream.on('close', close);
+
+        var next = function() {
+            if (closed) {
+                return;
+            }
+            while (index < self._entries.length) {
+                if (!stream.write(self._entries[index++] + '\0')) {
+                    stream.once('drain', next);
+                    return;
+                }
+            }
+            if (self._error) {
+                // Closing stdin would end the list for rsync
+                reject(self._error);
+            }
+            else if (!self._iterator) {
+                stream.end();
+                resolve();
+            }
+            else {
+                self._pull().then(next);
+            }
+        };
+
+        next();
+    });
+};
+
+/**
+ * Only the entries of an Array can be serialized, an iterable can only be
+ * read once.
+ * @return {Array}
+ */
+FileList.prototype.toJSON = function() {
+    if (this.isStreamed()) {
+        throw new Error('A streamed file list can not be serialized');
+    }
+    return this._entries.slice();
+};
+
+/**
+ * Read the next entry from the iterator. Runs that write the list at the same
+ * time share the pending read.
+ *
+ * @private
+ * @return {Promise}
+ */
+FileList.prototype._pull = function() {
+    var self = this;
+
+    if (!this._pending) {
+        this._pending = Promise.resolve()
+            .then(function() {
+                return self._iterator.next();
+            })
+            .then(function(step) {
+                if (step.done) {
+                    self._iterator = null;
+                }
+                else {
+                    self._entries.push(checkEntry(step.value));
+                }
+            })
+            .catch(function(error) {
+                self._iterator = null;
+                self._error = error;
+            })
+            .then(function() {
+                self._pending = null;
+            });
+    }
+
+    return this._pending;
+};
+
+/**
+ * @private
+ */
+function checkEntry(entry) {
+    if (typeof(entry) !== 'string' || !entry) {
+        throw new Error('File list entries must be non-empty Strings');
+    }
+    if (entry.indexOf('\0') >= 0) {
+        throw new Error('File list entries can not contain NUL characters: ' + JSON.stringify(entry));
+    }
+    return entry;
+}
+
+/**
+ * @private
+ */
+function asyncIteratorSymbol() {
+    return (typeof(Symbol) === 'function' && Symbol.asyncIterator) || '@@asyncIterator';
+}
+
+module.exports = FileList;
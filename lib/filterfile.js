@@ -0,0 +1,209 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var filters = require('./filters');
+
+/**
+ * Managed filter files for commands with many filter rules.
+ *
+ * Above a threshold the rules of a command are not passed as separate
+ * `--include`, `--exclude` and `--filter` arguments but written to a temporary
+ * file that rsync reads with `--exclude-from` (when all rules are simple
+ * includes and excludes) or a `--filter='merge FILE'` rule. Both read the short
+ * rule form, so `+ ` and `- ` prefixes keep their meaning in either file.
+ *
+ * Files are named after a hash of their content in a private directory of the
+ * process, so `args` shows the path that is used when the command runs. A file
+ * is written when a process of a command that uses it is spawned and deleted
+ * when the last of those processes exits.
+ */
+
+/**
+ * Number of rules above which a file is used by default.
+ * @type {Number}
+ */
+var THRESHOLD = 1000;
+
+/**
+ * Directory for the files of this process, created on first use.
+ * @private
+ * @type {String}
+ */
+var directory = null;
+
+/**
+ * Number of running processes for each file.
+ * @private
+ * @type {Object}
+ */
+var users = {};
+
+/**
+ * Check if the rules of a command are passed through a file. The `filterFile`
+ * setting of the command is `true` to always use a file, `false` to never use
+ * one or the number of rules above which a file is used, null for the default
+ * threshold.
+ *
+ * @param {Rsync} cmd
+ * @return {Boolean}
+ */
+function isUsed(cmd) {
+    var setting = cmd._filterFile;
+    var count   = cmd._patterns.length;
+
+    if (!count || setting === false) {
+        return false;
+    }
+    if (setting === true) {
+        return true;
+    }
+    return count > ((typeof(setting) === 'number') ? setting : THRESHOLD);
+}
+
+/**
+ * Render the rules as the content of a filter file, one rule per line.
+ *
+ * @param {Array} rules
+ * @return {String}
+ */
+function render(rules) {
+    return rules.map(filters.format).join('\n') + '\n';
+}
+
+/**
+ * Get the path of the file for a list of rules.
+ *
+ * @param {Array} rules
+ * @return {String}
+ */
+function filePath(rules) {
+    var hash = crypto.createHash('sha1').update(render(rules)).digest('hex');
+    return path.join(directoryPath(), hash.slice(0, 16) + '.rules');
+}
+
+/**
+ * Get the option that reads the file for a list of rules.
+ *
+ * @param {Array} rules
+ * @return {Object} With the option `name` and `value`
+ */
+function option(rules) {
+    var file = filePath(rules);
+    if (rules.every(filters.isSimple)) {
+        return { name: 'exclude-from', value: file };
+    }
+    return { name: 'filter', value: 'merge ' + file };
+}
+
+/**
+ * Write the file for a command that is about to be spawned. Returns a
+ * Function that deletes the file again when no other process uses it, or null
+ * when the command does not use a file.
+ *
+ * @param {Rsync} cmd
+ * @return {Function|null}
+ */
+function acquire(cmd) {
+    if (!isUsed(cmd)) {
+        return null;
+    }
+
+    var file = filePath(cmd._patterns);
+    if (!users[file]) {
+        createDirectory();
+        fs.writeFileSync(file, render(cmd._patterns), { mode: 384 /* 0600 */ });
+        users[file] = 0;
+    }
+    users[file]++;
+
+    var released = false;
+    return function() {
+        if (released) {
+            return;
+        }
+        released = true;
+        if (--users[file] === 0) {
+            delete users[file];
+            removeFile(file);
+        }
+    };
+}
+
+/**
+ * The directory name is random, so other users can not prepare it.
+ * @private
+ */
+function directoryPath() {
+    if (!directory) {
+        directory = path.join(os.tmpdir(), 'node-rsync-' + process.pid + '-' + crypto.randomBytes(6).toString('hex'));
+    }
+    return directory;
+}
+
+/**
+ * @private
+ */
+function createDirectory() {
+    try {
+        fs.mkdirSync(directoryPath(), 448 /* 0700 */);
+    }
+    catch (error) {
+        if (error.code !== 'EEXIST' || !hasFiles()) {
+            throw error;
+        }
+        return;
+    }
+    process.once('exit', removeDirectory);
+}
+
+/**
+ * The directory exists with files of this process.
+ * @private
+ */
+function hasFiles() {
+    return Object.keys(users).length > 0;
+}
+
+/**
+ * @private
+ */
+function removeFile(file) {
+    try {
+        fs.unlinkSync(file);
+    }
+    catch (error) {
+        // Already removed
+    }
+    if (!hasFiles()) {
+        removeDirectory();
+    }
+}
+
+/**
+ * @private
+ */
+function removeDirectory() {
+    Object.keys(users).forEach(function(file) {
+        try {
+            fs.unlinkSync(file);
+        }
+        catch (error) {
+            // Already removed
+        }
+    });
+    try {
+        fs.rmdirSync(directoryPath());
+    }
+    catch (error) {
+        // Not created or already removed
+    }
+    process.removeListener('exit', removeDirectory);
+}
+
+exports.THRESHOLD = THRESHOLD;
+exports.isUsed    = isUsed;
+exports.render    = render;
+exports.filePath  = filePath;
+exports.option    = option;
+exports.acquire   = acquire;
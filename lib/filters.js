@@ -0,0 +1,170 @@
+/**
+ * Filter rules in rsync's filter language. Rules are stored as Objects with
+ * the rule `action`, its `modifiers` and the `pattern` (or file name for merge
+ * rules) and are rendered in the short form rsync accepts for `--filter`:
+ *
+ *     ACTION[MODIFIERS] PATTERN
+ */
+
+var hasOP = require('./helpers').hasOP;
+
+/**
+ * Rule actions by their long name.
+ * @type {Object}
+ */
+var ACTIONS = {
+    'include':   '+',
+    'exclude':   '-',
+    'protect':   'P',
+    'risk':      'R',
+    'hide':      'H',
+    'show':      'S',
+    'clear':     '!',
+    'merge':     '.',
+    'dir-merge': ':'
+};
+
+/**
+ * Modifiers that are allowed for each action.
+ * @private
+ * @type {Object}
+ */
+var MODIFIERS = {
+    '+': '/!Csrpx',
+    '-': '/!Csrpx',
+    'P': '/!Csrpx',
+    'R': '/!Csrpx',
+    'H': '/!Csrpx',
+    'S': '/!Csrpx',
+    '!': '',
+    '.': '-+Cenwsr/',
+    ':': '-+Cenwsr/'
+};
+
+/**
+ * Create a rule from a String in rsync's filter syntax, in the short form
+ * (`-/ /etc/passwd`, `: .rsync-filter`) or the long form
+ * (`exclude,/ /etc/passwd`, `dir-merge .rsync-filter`), or from an Object with
+ * the `action` (short or long name), `modifiers` and `pattern`.
+ *
+ * The returned rule only has a `modifiers` property when there are modifiers.
+ *
+ * @param {String|Object} rule
+ * @return {Object}
+ */
+function parse(rule) {
+    var action, modifiers, pattern;
+
+    if (typeof(rule) === 'string') {
+        var match = /^([a-z-]+)(?:,([^ _]*))?(?:[ _](.*))?$/.exec(rule);
+        if (match && hasOP(ACTIONS, match[1])) {
+            action    = ACTIONS[match[1]];
+            modifiers = match[2] || '';
+            pattern   = match[3] || '';
+        }
+        else {
+            match = /^([-+PRHS!.:])([^ _]*)(?:[ _](.*))?$/.exec(rule);
+            if (!match) {
+                throw new Error('Invalid filter rule: ' + rule);
+            }
+            action    = match[1];
+            modifiers = match[2];
+            pattern   = match[3] || '';
+        }
+    }
+    else if (rule && typeof(rule) === 'object' && hasOP(rule, 'action')) {
+        action    = hasOP(ACTIONS, rule.action) ? ACTIONS[rule.action] : rule.action;
+        modifiers = rule.modifiers || '';
+        pattern   = (rule.pattern === undefined || rule.pattern === null) ? '' : String(rule.pattern);
+    }
+    else {
+        throw new Error('Invalid filter rule: ' + rule);
+    }
+
+    return create(action, modifiers, pattern);
+}
+
+/**
+ * Create a validated rule.
+ *
+ * @param {String} action       Short action character
+ * @param {String} modifiers
+ * @param {String} pattern
+ * @return {Object}
+ */
+function create(action, modifiers, pattern) {
+    if (!hasOP(MODIFIERS, action)) {
+        throw new Error('Invalid filter action: ' + action);
+    }
+
+    modifiers = modifiers || '';
+    for (var i = 0; i < modifiers.length; i++) {
+        var modifier = modifiers.charAt(i);
+        if (MODIFIERS[action].indexOf(modifier) < 0 || modifiers.indexOf(modifier) !== i) {
+            throw new Error('Invalid modifier ' + modifier + ' for filter rule ' + action);
+        }
+    }
+    if (modifiers.indexOf('-') >= 0 && modifiers.indexOf('+') >= 0) {
+        throw new Error('Merge rules can not have both the - and + modifiers');
+    }
+    if (/[\r\n]/.test(pattern)) {
+        throw new Error('Filter rules can not contain line breaks');
+    }
+
+    // The clear rule and a CVS exclude (-C) stand alone, other rules need a pattern
+    var standalone = action === '!' || (action === '-' && modifiers.indexOf('C') >= 0);
+    if (standalone && pattern) {
+        throw new Error('Filter rule ' + action + modifiers + ' does not take a pattern');
+    }
+    if (!standalone && !pattern) {
+        throw new Error('Filter rule ' + action + modifiers + ' needs a pattern');
+    }
+
+    var rule = { action: action, pattern: pattern };
+    if (modifiers) {
+        rule.modifiers = modifiers;
+    }
+    return rule;
+}
+
+/**
+ * Render a rule in the short form for the `--filter` option.
+ *
+ * @param {Object} rule
+ * @return {String}
+ */
+function format(rule) {
+    var head = rule.action + (rule.modifiers || '');
+    return rule.pattern ? head + ' ' + rule.pattern : head;
+}
+
+/**
+ * Check if a rule can be passed as `--include` or `--exclude`.
+ *
+ * @param {Object} rule
+ * @return {Boolean}
+ */
+function isSimple(rule) {
+    return (rule.action === '+' || rule.action === '-') && !rule.modifiers;
+}
+
+/**
+ * Copy a rule.
+ *
+ * @param {Object} rule
+ * @return {Object}
+ */
+function copy(rule) {
+    var copied = { action: rule.action, pattern: rule.pattern };
+    if (rule.modifiers) {
+        copied.modifiers = rule.modifiers;
+    }
+    return copied;
+}
+
+exports.ACTIONS  = ACTIONS;
+exports.parse    = parse;
+exports.create   = create;
+exports.format   = format;
+exports.isSimple = isSimple;
+exports.copy     = copy;
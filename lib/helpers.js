@@ -0,0 +1,31 @@
+/**
+ * Simple hasOwnProperty wrapper. This will call hasOwnProperty on the obj
+ * through the Object prototype.
+ *
+ * @param {Object} obj  The object to check the property on
+ * @param {String} key  The name of the property to check
+ * @return {Boolean}
+ */
+function hasOP(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/**
+ * Merge environment variables over the environment of the process. The
+ * values are converted to Strings, like the environment of a child process.
+ *
+ * @param {Object} env
+ * @return {Object}
+ */
+function mergeEnv(env) {
+    var merged = {};
+    [ process.env, env || {} ].forEach(function(source) {
+        Object.keys(source).forEach(function(name) {
+            merged[name] = String(source[name]);
+        });
+    });
+    return merged;
+}
+
+exports.hasOP    = hasOP;
+exports.mergeEnv = mergeEnv;
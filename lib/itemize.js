@@ -0,0 +1,210 @@
+/**
+ * Pattern for an itemized change line as printed by `--itemize-changes`:
+ *
+ *     >f.st...... path/to/file
+ *     cd+++++++++ new/dir/
+ *     cL+++++++++ link -> target
+ *     hf+++++++++ hardlink => target
+ *     *deleting   old/file
+ *
+ * Older rsync versions print 9 instead of 11 flag characters. The short form
+ * is tried first, so a path with spaces is not taken for flags. Attributes of
+ * unchanged items are all spaces, those are matched in the long form first.
+ *
+ * @private
+ * @type {RegExp}
+ */
+var ITEM_LINE    = /^([<>ch.])([fdLDS])( {9}|.{7}|.{9}) (.+)$/;
+var MESSAGE_LINE = /^\*(\w+)\s+(.+)$/;
+
+/**
+ * Update types by the first flag character.
+ * @private
+ * @type {Object}
+ */
+var ACTIONS = {
+    '<': 'sent',
+    '>': 'received',
+    'c': 'local',
+    'h': 'hardlink',
+    '.': 'unchanged'
+};
+
+/**
+ * File types by the second flag character.
+ * @private
+ * @type {Object}
+ */
+var TYPES = {
+    'f': 'file',
+    'd': 'directory',
+    'L': 'symlink',
+    'D': 'device',
+    'S': 'special'
+};
+
+/**
+ * Attribute names by position in the attribute flags.
+ * @private
+ * @type {Array}
+ */
+var ATTRIBUTES = [ 'checksum', 'size', 'time', 'perms', 'owner', 'group', null, 'acl', 'xattr' ];
+
+/**
+ * Parse a single itemized change line. Returns null when the line is not an
+ * itemized change.
+ *
+ * The returned Object contains:
+ *
+ *   - `action`   what happens to the item: `sent`, `received`, `created`,
+ *                `local` (a local change), `hardlink`, `unchanged` or `deleted`
+ *   - `type`     the file type: `file`, `directory`, `symlink`, `device` or
+ *                `special` (null for deleted items)
+ *   - `isNew`    true when the item is created
+ *   - `path`     the path of the item
+ *   - `target`   the target of a symlink or hard link (null otherwise)
+ *   - `changes`  an Object with a Boolean for each attribute: `checksum`,
+ *                `size`, `time`, `perms`, `owner`, `group`, `acl` and `xattr`
+ *   - `flags`    the raw flags
+ *
+ * @param {String} line
+ * @return {Object|null}
+ */
+function parse(line) {
+    var match = MESSAGE_LINE.exec(line);
+    if (match) {
+        if (match[1] !== 'deleting') {
+            return null;
+        }
+        return createRecord('deleted', null, false, match[2], '*' + match[1], '');
+    }
+
+    match = ITEM_LINE.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    var attributes = match[3];
+    var isNew      = /^\++$/.test(attributes);
+    var action     = ACTIONS[match[1]];
+    var type       = TYPES[match[2]];
+    var name       = match[4];
+    var target     = null;
+
+    if (action === 'local' && isNew) {
+        action = 'created';
+    }
+
+    // Split off the target of symlinks and hard links
+    var separator = (type === 'symlink') ? ' -> ' : (action === 'hardlink') ? ' => ' : null;
+    if (separator && name.indexOf(separator) > 0) {
+        target = name.substring(name.indexOf(separator) + separator.length);
+        name   = name.substring(0, name.indexOf(separator));
+    }
+
+    return createRecord(action, type, isNew, name, match[1] + match[2] + attributes, attributes, target);
+}
+
+/**
+ * Parse all itemized change lines from a block of output. Other lines are
+ * ignored.
+ *
+ * @param {String} output
+ * @return {Array}
+ */
+function parseAll(output) {
+    return String(output).split(/\r\n|\r|\n/).map(parse).filter(function(record) {
+        return record !== null;
+    });
+}
+
+/**
+ * Create a parser for lines on stdout that calls `onRecord` for each
+ * itemized change.
+ *
+ * @param {Function} onRecord
+ * @return {Function} Function to call with each line
+ */
+function createParser(onRecord) {
+    return function(line) {
+        var record = parse(line);
+        if (record) {
+            onRecord(record);
+        }
+    };
+}
+
+/**
+ * @private
+ */
+function createRecord(action, type, isNew, name, flags, attributes, target) {
+    var changes = {};
+    ATTRIBUTES.forEach(function(attribute, index) {
+        if (attribute) {
+            changes[attribute] = isNew || /[a-zA-Z]/.test(attributes.charAt(index));
+        }
+    });
+
+    return {
+        action:  action,
+        type:    type,
+        isNew:   isNew,
+        path:    name,
+        target:  target || null,
+        changes: changes,
+        flags:   flags
+    };
+}
+
+/**
+ * Pattern for the lines printed with the `%i %l %n%L` output format, which
+ * adds the file size to the itemized changes.
+ * @private
+ * @type {RegExp}
+ */
+var SIZED_LINE = /^(\*deleting\s*|[<>ch.][fdLDS](?: {9}|.{7}|.{9})) (\d+) (.+)$/;
+
+/**
+ * The output format for itemized changes with file sizes.
+ * @type {String}
+ */
+var SIZED_FORMAT = '%i %l %n%L';
+
+/**
+ * Parse a line printed with the `%i %l %n%L` output format (see `SIZED_FORMAT`).
+ * The record is the same as for `parse` with the file size in bytes added as the
+ * `size` property (null for deletions). Returns null when the line is not an
+ * itemized change.
+ *
+ * @param {String} line
+ * @return {Object|null}
+ */
+function parseSized(line) {
+    var match = SIZED_LINE.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    var record = parse(match[1] + ' ' + match[3]);
+    if (record) {
+        record.size = (record.action === 'deleted') ? null : parseInt(match[2], 10);
+    }
+    return record;
+}
+
+/**
+ * Check if an Rsync instance has the itemize changes option set.
+ *
+ * @param {Rsync} cmd
+ * @return {Boolean}
+ */
+function isEnabled(cmd) {
+    return cmd.isSet('i') || cmd.isSet('itemize-changes');
+}
+
+exports.isEnabled    = isEnabled;
+exports.SIZED_FORMAT = SIZED_FORMAT;
+exports.parse        = parse;
+exports.parseSized   = parseSized;
+exports.parseAll     = parseAll;
+exports.createParser = createParser;
@@ -0,0 +1,102 @@
+var StringDecoder = require('string_decoder').StringDecoder;
+
+/**
+ * Create a line splitter for streamed output. Chunks of data are decoded
+ * and split on newlines and carriage returns, so every `\r` progress redraw
+ * from rsync is reported as a separate line. A `\r\n` pair is treated as a
+ * single line break.
+ *
+ * Call `write` for each chunk of data and `end` when the stream is done to
+ * flush a trailing line without a line break.
+ *
+ * @example
+ *   var splitter = createLineSplitter(function(line) {
+ *     console.log(line);
+ *   });
+ *   proc.stdout.on('data', splitter.write);
+ *   proc.stdout.on('end', splitter.end);
+ *
+ * @param {Function} onLine     Called with each line without the line break
+ * @param {String} encoding     The encoding of the data (optional, defaults to utf8)
+ * @return {Object}
+ */
+function createLineSplitter(onLine, encoding) {
+    var decoder = new StringDecoder(encoding || 'utf8');
+    var buffer  = '';
+
+    var flush = function(final) {
+        var pattern = /\r\n|\r|\n/g;
+        var start   = 0;
+        var match;
+
+        while ((match = pattern.exec(buffer)) !== null) {
+            // A carriage return at the end might be followed by a newline
+            // in the next chunk
+            if (!final && match[0] === '\r' && pattern.lastIndex === buffer.length) {
+                break;
+            }
+            onLine(buffer.substring(start, match.index));
+            start = pattern.lastIndex;
+        }
+
+        buffer = buffer.substring(start);
+    };
+
+    return {
+        write: function(chunk) {
+            buffer += (typeof(chunk) === 'string') ? chunk : decoder.write(chunk);
+            flush(false);
+        },
+        end: function() {
+            buffer += decoder.end();
+            flush(true);
+            if (buffer.length > 0) {
+                onLine(buffer);
+                buffer = '';
+            }
+        }
+    };
+}
+
+/**
+ * Attach an output handler to a stream. Depending on the options the handler
+ * is called with:
+ *
+ *   - complete lines, decoded with the encoding (`lines` is true)
+ *   - decoded chunks of text (only `encoding` is set)
+ *   - the raw Buffer chunks (no options)
+ *
+ * @param {Stream} stream
+ * @param {Function} handler
+ * @param {Object} options      Object with `lines` and `encoding` (optional)
+ */
+function attachHandler(stream, handler, options) {
+    options = options || {};
+
+    if (options.lines) {
+        var splitter = createLineSplitter(handler, options.encoding);
+        stream.on('data', splitter.write);
+        stream.on('end', splitter.end);
+    }
+    else if (options.encoding) {
+        var decoder = new StringDecoder(options.encoding);
+        stream.on('data', function(chunk) {
+            var text = decoder.write(chunk);
+            if (text.length > 0) {
+                handler(text);
+            }
+        });
+        stream.on('end', function() {
+            var text = decoder.end();
+            if (text.length > 0) {
+                handler(text);
+            }
+        });
+    }
+    else {
+        stream.on('data', handler);
+    }
+}
+
+exports.createLineSplitter = createLineSplitter;
+exports.attachHandler      = attachHandler;
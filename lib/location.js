@@ -0,0 +1,277 @@
+/**
+ * Structured locations for sources and destinations.
+ *
+ * rsync distinguishes three kinds of locations:
+ *
+ *   - `local`   a path on this machine: `/path`
+ *   - `remote`  a path on a host reached through a remote shell: `user@host:path`
+ *   - `daemon`  a path in a module of an rsync daemon: `rsync://user@host:port/module/path`
+ *
+ * Locations render to the String rsync expects, with brackets around IPv6
+ * addresses, and can be parsed back from those Strings.
+ */
+
+var hasOP = require('./helpers').hasOP;
+
+/**
+ * Characters in a remote path that the remote side would split or interpret.
+ * @private
+ * @type {RegExp}
+ */
+var REMOTE_SPECIAL = /[\s'"`$\\&|;<>(){}#!]/;
+
+/**
+ * Location of a source or destination.
+ *
+ * @param {Object} spec     `type` (local, remote or daemon), `user`, `host`,
+ *                          `port`, `module` and `path`
+ * @constructor
+ */
+function Location(spec) {
+    if (!(this instanceof Location)) {
+        return new Location(spec);
+    }
+    if (!spec || typeof(spec) !== 'object') {
+        throw new Error('Location must be an Object');
+    }
+
+    this.type   = spec.type || (spec.module ? 'daemon' : (spec.host ? 'remote' : 'local'));
+    this.user   = spec.user || null;
+    this.host   = spec.host ? stripBrackets(String(spec.host)) : null;
+    this.port   = (spec.port === undefined || spec.port === null || spec.port === '') ? null : Number(spec.port);
+    this.module = spec.module || null;
+    this.path   = (spec.path === undefined || spec.path === null) ? '' : String(spec.path);
+
+    validate(this);
+}
+
+/**
+ * Parse a location String as rsync interprets it. Windows drive letters and
+ * paths with a slash before the first colon are local.
+ *
+ * @param {String} location
+ * @return {Location}
+ */
+Location.parse = function(location) {
+    if (location instanceof Location) {
+        return location;
+    }
+
+    location = String(location);
+    var match;
+
+    // rsync://[user@]host[:port][/module[/path]]
+    match = /^rsync:\/\/(?:([^@\/]*)@)?(\[[^\]]+\]|[^:\/]+)(?::(\d+))?(?:\/([^\/]*)(?:\/(.*))?)?$/.exec(location);
+    if (match) {
+        return new Location({
+            type:   'daemon',
+            user:   match[1],
+            host:   match[2],
+            port:   match[3],
+            module: match[4],
+            path:   match[5]
+        });
+    }
+
+    if (/^[A-Za-z]:[\\\/]/.test(location)) {
+        return new Location({ type: 'local', path: location });
+    }
+
+    // [user@]host::module[/path] and [user@]host:path
+    match = /^(?:([^@\/:]*)@)?(\[[^\]]+\]|[^:\/\[]+)(::?)(.*)$/.exec(location);
+    if (match && match[3] === '::') {
+        var slash = match[4].indexOf('/');
+        return new Location({
+            type:   'daemon',
+            user:   match[1],
+            host:   match[2],
+            module: (slash < 0) ? match[4] : match[4].slice(0, slash),
+            path:   (slash < 0) ? '' : match[4].slice(slash + 1)
+        });
+    }
+    if (match) {
+        return new Location({
+            type: 'remote',
+            user: match[1],
+            host: match[2],
+            path: match[4]
+        });
+    }
+
+    return new Location({ type: 'local', path: location });
+};
+
+/**
+ * Check if the location is on another machine.
+ * @return {Boolean}
+ */
+Location.prototype.isRemote = function() {
+    return this.type !== 'local';
+};
+
+/**
+ * Check if the path needs protection from the remote side, which splits
+ * arguments on whitespace and interprets shell characters.
+ *
+ * @return {Boolean}
+ */
+Location.prototype.needsProtection = function() {
+    return this.isRemote() && REMOTE_SPECIAL.test(this.path);
+};
+
+/**
+ * Render the location as rsync expects it.
+ *
+ * By default the path is rendered as is. With the `escape` option the
+ * characters the remote side would interpret are escaped with a backslash,
+ * which is needed for rsync versions and modes that do not protect arguments.
+ *
+ * @param {Object} options  Render options: `escape` (optional)
+ * @return {String}
+ */
+Location.prototype.format = function(options) {
+    var escape = options && options.escape;
+    var remotePath = escape ? escapeRemotePath(this.path) : this.path;
+    var user = this.user ? this.user + '@' : '';
+    var host = (this.host && this.host.indexOf(':') >= 0) ? '[' + this.host + ']' : this.host;
+
+    if (this.type === 'daemon') {
+        return 'rsync://' + user + host + (this.port ? ':' + this.port : '') +
+               '/' + this.module + (this.path ? '/' + remotePath.replace(/^\/+/, '') : '');
+    }
+    if (this.type === 'remote') {
+        return user + host + ':' + remotePath;
+    }
+
+    // A colon before the first slash would make rsync treat the path as remote
+    if (/^[^\/]*:/.test(this.path) && !/^[A-Za-z]:[\\\/]/.test(this.path)) {
+        return './' + this.path;
+    }
+    return this.path;
+};
+
+/**
+ * Render the location as rsync expects it. See `format`.
+ * @return {String}
+ */
+Location.prototype.toString = function() {
+    return this.format();
+};
+
+/**
+ * Plain Object with the properties of the location, used for serialization.
+ * @return {Object}
+ */
+Location.prototype.toJSON = function() {
+    var json = { type: this.type };
+    [ 'user', 'host', 'port', 'module' ].forEach(function(key) {
+        if (this[key] !== null) {
+            json[key] = this[key];
+        }
+    }, this);
+    json.path = this.path;
+    return json;
+};
+
+/**
+ * Get the options of the command with the options the locations need: the ssh
+ * port of a remote location and `--protect-args` for remote paths with spaces
+ * or shell characters, unless the paths are escaped for an rsync version
+ * without it. These are the options rsync is started with, so version
+ * checks use them as well.
+ *
+ * @param {Rsync} cmd
+ * @return {Object}
+ */
+Location.commandOptions = function(cmd) {
+    var locations = cmd.source().concat(cmd.destination() || []).filter(function(value) {
+        return value instanceof Location;
+    });
+    if (!locations.length) {
+        return cmd._options;
+    }
+
+    var options = {};
+    for (var key in cmd._options) {
+        if (hasOP(cmd._options, key)) {
+            options[key] = cmd._options[key];
+        }
+    }
+
+    var ports = [];
+    locations.forEach(function(location) {
+        if (location.type === 'remote' && location.port && ports.indexOf(location.port) < 0) {
+            ports.push(location.port);
+        }
+    });
+    if (ports.length > 1) {
+        throw new Error('Remote locations use different ports: ' + ports.join(', '));
+    }
+    if (ports.length) {
+        var rsh = cmd.isSet('rsh') ? String(cmd.option('rsh')) : 'ssh';
+        if (!/(^|\s)-p\s*\d/.test(rsh)) {
+            options.rsh = rsh + ' -p ' + ports[0];
+        }
+    }
+
+    var protect = locations.some(function(location) {
+        return location.needsProtection();
+    });
+    var protecting = cmd._escapeLocations || [ 's', 'protect-args', 'secluded-args', 'old-args' ].some(function(name) {
+        return cmd.isSet(name);
+    });
+    if (protect && !protecting) {
+        options['protect-args'] = null;
+    }
+
+    return options;
+};
+
+/**
+ * Check the properties of a location.
+ * @private
+ * @param {Location} location
+ */
+function validate(location) {
+    if ([ 'local', 'remote', 'daemon' ].indexOf(location.type) < 0) {
+        throw new Error('Unknown location type ' + location.type);
+    }
+    if (location.type === 'local') {
+        if (location.host || location.user || location.port || location.module) {
+            throw new Error('A local location can only have a path');
+        }
+        return;
+    }
+
+    if (!location.host || /[\s\/@\[\]]/.test(location.host)) {
+        throw new Error('Invalid host for location: ' + location.host);
+    }
+    if (location.user && /[\s@:\/]/.test(location.user)) {
+        throw new Error('Invalid user for location: ' + location.user);
+    }
+    if (location.port !== null && !(location.port > 0 && location.port < 65536 && location.port % 1 === 0)) {
+        throw new Error('Invalid port for location: ' + location.port);
+    }
+    if (location.type === 'daemon' && (!location.module || /[\s\/]/.test(location.module))) {
+        throw new Error('Invalid module for location: ' + location.module);
+    }
+    if (location.type === 'remote' && location.module) {
+        throw new Error('A remote shell location can not have a module');
+    }
+}
+
+/**
+ * @private
+ */
+function stripBrackets(host) {
+    return host.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * @private
+ */
+function escapeRemotePath(path) {
+    return path.replace(new RegExp(REMOTE_SPECIAL.source, 'g'), '\\$&');
+}
+
+module.exports = Location;
@@ -0,0 +1,191 @@
+var schema = require('./schema');
+
+/**
+ * Options that are stored under another name, so the parsed command uses the
+ * same options as the shorthand methods.
+ * @private
+ * @type {Object}
+ */
+var ALIASES = {
+    'e': 'rsh',
+    'f': 'filter'
+};
+
+/**
+ * Split a command line into arguments like a POSIX shell does. Single quotes,
+ * double quotes and backslash escapes are supported. Shell features like
+ * variables, globbing and pipes are not.
+ *
+ * @param {String} commandLine
+ * @return {Array}
+ */
+function tokenize(commandLine) {
+    var args    = [];
+    var current = null;
+    var quote   = null;
+    var input   = String(commandLine);
+
+    for (var i = 0; i < input.length; i++) {
+        var c = input.charAt(i);
+
+        if (quote === '\'') {
+            if (c === '\'') {
+                quote = null;
+            }
+            else {
+                current += c;
+            }
+        }
+        else if (quote === '"') {
+            if (c === '"') {
+                quote = null;
+            }
+            else if (c === '\\' && /["\\$`\n]/.test(input.charAt(i + 1))) {
+                current += input.charAt(++i);
+            }
+            else {
+                current += c;
+            }
+        }
+        else if (/\s/.test(c)) {
+            if (current !== null) {
+                args.push(current);
+                current = null;
+            }
+        }
+        else {
+            current = current || '';
+            if (c === '\'' || c === '"') {
+                quote = c;
+            }
+            else if (c === '\\' && i + 1 < input.length) {
+                current += input.charAt(++i);
+            }
+            else {
+                current += c;
+            }
+        }
+    }
+
+    if (quote) {
+        throw new Error('Unterminated quote in command: ' + input);
+    }
+    if (current !== null) {
+        args.push(current);
+    }
+
+    return args;
+}
+
+/**
+ * Apply a list of rsync arguments (without the executable) to an Rsync
+ * instance. Flags, short options with values, long options with `=` or a
+ * separate value, repeated options, include/exclude patterns, sources and the
+ * destination are supported. The last of two or more positional arguments is
+ * the destination.
+ *
+ * @param {Rsync} rsync
+ * @param {Array} argv
+ * @return {Rsync}
+ */
+function applyArgs(rsync, argv) {
+    var positional = [];
+    var options    = true;
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = String(argv[i]);
+
+        if (!options || arg === '-' || arg.charAt(0) !== '-') {
+            positional.push(arg);
+        }
+        else if (arg === '--') {
+            options = false;
+        }
+        else if (arg.substring(0, 2) === '--') {
+            var name  = arg.substring(2);
+            var value = null;
+            var glue  = name.indexOf('=');
+
+            if (glue >= 0) {
+                value = name.substring(glue + 1);
+                name  = name.substring(0, glue);
+            }
+            else if (schema.takesValue(name)) {
+                value = requireValue(argv, ++i, arg);
+            }
+
+            addOption(rsync, name, value);
+        }
+        else {
+            // A cluster of short options, the first option that takes a value
+            // uses the remainder of the cluster or the next argument
+            for (var j = 1; j < arg.length; j++) {
+                var flag = arg.charAt(j);
+                if (schema.takesValue(flag)) {
+                    var rest = arg.substring(j + 1);
+                    addOption(rsync, flag, rest.length > 0 ? rest : requireValue(argv, ++i, '-' + flag));
+                    break;
+                }
+                addOption(rsync, flag, null);
+            }
+        }
+    }
+
+    if (positional.length > 1) {
+        rsync.destination(positional.pop());
+    }
+    positional.forEach(function(source) {
+        rsync.source(source);
+    });
+
+    return rsync;
+}
+
+/**
+ * Add a parsed option to an Rsync instance.
+ *
+ * @private
+ * @param {Rsync} rsync
+ * @param {String} name
+ * @param {String|null} value
+ */
+function addOption(rsync, name, value) {
+    name = ALIASES[name] || name;
+
+    if (name === 'exclude') {
+        rsync.exclude(value);
+    }
+    else if (name === 'include') {
+        rsync.include(value);
+    }
+    else if (name === 'filter') {
+        rsync.filter(value);
+    }
+    else if (value === null) {
+        rsync.set(name);
+    }
+    else if (rsync.isSet(name) && rsync.option(name) !== null) {
+        // Repeated options accumulate their values
+        rsync.set(name, [].concat(rsync.option(name), value));
+    }
+    else {
+        rsync.set(name, value);
+    }
+}
+
+/**
+ * @private
+ * @param {Array} argv
+ * @param {Number} index
+ * @param {String} option
+ * @return {String}
+ */
+function requireValue(argv, index, option) {
+    if (index >= argv.length) {
+        throw new Error('Missing value for option ' + option);
+    }
+    return String(argv[index]);
+}
+
+exports.tokenize  = tokenize;
+exports.applyArgs = applyArgs;
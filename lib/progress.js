@@ -0,0 +1,129 @@
+var units = require('./units');
+
+/**
+ * Pattern for a progress line as printed by `--progress` and
+ * `--info=progress2`:
+ *
+ *     1,234,567  45%   12.34MB/s    0:00:02
+ *        32,768 100%   31.25MB/s    0:00:00 (xfr#1, to-chk=5/7)
+ *
+ * Older versions of rsync print `xfer#` and `to-check` instead.
+ *
+ * @private
+ * @type {RegExp}
+ */
+var PROGRESS_LINE = new RegExp(
+    '^\\s*([\\d.,]+[KMGTP]?)\\s+(\\d+)%' +
+    '\\s+(\\S+\\/s)' +
+    '\\s+(\\d+:\\d{2}:\\d{2}|\\?+:\\?+:\\?+)' +
+    '(?:\\s+\\((?:xfr|xfer)#(\\d+),\\s*(to-chk|to-check|ir-chk)=(\\d+)\\/(\\d+)\\))?\\s*$'
+);
+
+/**
+ * Base of the transfer rate units (`kB/s`, `MB/s`), which rsync always
+ * calculates with powers of 1024.
+ * @private
+ * @type {Number}
+ */
+var RATE_BASE = 1024;
+
+/**
+ * Lines on stdout that are not the name of a transferred file.
+ * @private
+ * @type {Array}
+ */
+var NON_FILE_LINES = [
+    /^(sending|receiving) incremental file list$/,
+    /^(building|receiving) file list/,
+    /^(created directory|deleting|cannot delete|skipping) /,
+    /^sent [\d.,]+\S* bytes/,
+    /^total size is /,
+    /^total: /,
+    /^delta-transmission /,
+    /^Transfer starting: /,
+    /^\s*$/
+];
+
+/**
+ * Parse a single progress line. Returns null when the line is not a progress
+ * line.
+ *
+ * The returned Object contains:
+ *
+ *   - `bytes`       bytes transferred for the file (or in total for progress2)
+ *   - `percent`     percentage done
+ *   - `rate`        transfer rate in bytes per second
+ *   - `eta`         estimated seconds remaining, or the elapsed time once done
+ *                   (null when unknown)
+ *   - `xfr`         the number of the finished transfer (null while in progress)
+ *   - `toCheck`     files left to check (null while in progress)
+ *   - `total`       total number of files known to rsync (null while in progress)
+ *   - `incremental` true when the file list is still being built (`ir-chk`)
+ *   - `line`        the raw line
+ *
+ * Human-readable byte counts are converted with powers of `base` (see
+ * `Rsync.parseStats`), the rate with powers of 1024.
+ *
+ * @param {String} line
+ * @param {Number} base     The base of human-readable numbers (optional, defaults to 1000)
+ * @return {Object|null}
+ */
+function parse(line, base) {
+    var match = PROGRESS_LINE.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    var counters = (match[5] !== undefined);
+
+    return {
+        bytes:       units.parseNumber(match[1], false, base),
+        percent:     parseInt(match[2], 10),
+        rate:        units.parseNumber(match[3].replace(/\/s$/, ''), false, RATE_BASE),
+        eta:         units.parseDuration(match[4]),
+        xfr:         counters ? parseInt(match[5], 10) : null,
+        toCheck:     counters ? parseInt(match[7], 10) : null,
+        total:       counters ? parseInt(match[8], 10) : null,
+        incremental: counters ? match[6] === 'ir-chk' : false,
+        line:        line
+    };
+}
+
+/**
+ * Create a parser for lines on stdout that calls `onProgress` for each progress
+ * line. The parser keeps track of the file that is being transferred, which
+ * rsync prints on the line before the progress lines for that file. The name is
+ * set as the `file` property of the progress Object (null if unknown, like with
+ * `--info=progress2` without `-v`).
+ *
+ * @param {Function} onProgress
+ * @return {Function} Function to call with each line
+ */
+function createParser(onProgress) {
+    var file = null;
+
+    return function(line) {
+        var progress = parse(line);
+        if (progress) {
+            progress.file = file;
+            onProgress(progress);
+        }
+        else if (!isNonFileLine(line)) {
+            file = line;
+        }
+    };
+}
+
+/**
+ * @private
+ * @param {String} line
+ * @return {Boolean}
+ */
+function isNonFileLine(line) {
+    return NON_FILE_LINES.some(function(pattern) {
+        return pattern.test(line);
+    });
+}
+
+exports.parse        = parse;
+exports.createParser = createParser;
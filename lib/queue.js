@@ -0,0 +1,377 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var Location = require('./location');
+var hasOP = require('./helpers').hasOP;
+
+/**
+ * A queue that runs Rsync commands with a concurrency limit.
+ *
+ * Commands are added as Rsync instances or as option Objects for `Rsync.build`
+ * and run in order of priority. Commands with the same priority run in the
+ * order they were added. Besides the overall `concurrency` the number of
+ * commands per remote host can be limited with `hostConcurrency`.
+ *
+ * The queue emits the following events:
+ *
+ *   - `start`    (job) a job started
+ *   - `success`  (job, result) a job finished successfully
+ *   - `failure`  (job, error) a job failed
+ *   - `drain`    (summary) all jobs are done (see `drain`)
+ *
+ * A job is an Object with the `rsync` instance, its `priority`, `host` and
+ * `result` or `error` once it is done.
+ *
+ * @example
+ *   var queue = new Rsync.Queue({ concurrency: 4, hostConcurrency: 2 });
+ *   customers.forEach(function(customer) {
+ *     queue.add({ source: customer.dir, destination: 'backup:' + customer.id, flags: 'az' });
+ *   });
+ *   queue.drain().then(function(summary) {
+ *     console.log(summary.succeeded + ' of ' + summary.total + ' synced');
+ *   });
+ *
+ * @constructor
+ * @param {Object} options  Queue options: `concurrency` (defaults to 1),
+ *                          `hostConcurrency` (defaults to no limit), `autoStart`
+ *                          (defaults to true) and the default `runOptions` for `Rsync#run`
+ */
+function RsyncQueue(options) {
+    if (!(this instanceof RsyncQueue)) {
+        return new RsyncQueue(options);
+    }
+
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.concurrency     = options.concurrency || 1;
+    this.hostConcurrency = options.hostConcurrency || Infinity;
+    this.runOptions      = options.runOptions || {};
+
+    this._paused   = (options.autoStart === false);
+    this._pending  = [];
+    this._running  = [];
+    this._finished = [];
+    this._sequence = 0;
+    this._drains   = [];
+}
+util.inherits(RsyncQueue, EventEmitter);
+
+/**
+ * Add a command to the queue. The returned Promise resolves with the result
+ * of the command or is rejected with its error.
+ *
+ * @param {Rsync|Object} command    An Rsync instance or options for `Rsync.build`
+ * @param {Object} options          Job options: `priority` (higher runs first, defaults
+ *                                  to 0), `host` (defaults to the remote host of the
+ *                                  command) and `runOptions` for `Rsync#run` (optional)
+ * @return {Promise}
+ */
+RsyncQueue.prototype.add = function(command, options) {
+    options = options || {};
+
+    // Required here to prevent a circular dependency
+    var Rsync = require('../rsync');
+    var rsync = (command instanceof Rsync) ? command : Rsync.build(command);
+
+    var job = {
+        rsync:      rsync,
+        priority:   options.priority || 0,
+        host:       hasOP(options, 'host') ? options.host : remoteHost(rsync),
+        runOptions: options.runOptions || this.runOptions,
+        result:     null,
+        error:      null,
+        sequence:   this._sequence++
+    };
+
+    var promise = new Promise(function(resolve, reject) {
+        job.resolve = resolve;
+        job.reject  = reject;
+    });
+
+    // Failures are reported through the drain summary as well, so jobs that are
+    // not awaited individually must not cause unhandled rejections
+    promise.catch(function() {});
+
+    this._insert(job);
+    this._next();
+
+    return promise;
+};
+
+/**
+ * Pause the queue. Running commands are not affected, but no new commands are
+ * started until `resume` is called.
+ *
+ * @return {RsyncQueue}
+ */
+RsyncQueue.prototype.pause = function() {
+    this._paused = true;
+    return this;
+};
+
+/**
+ * Resume a paused queue.
+ *
+ * @return {RsyncQueue}
+ */
+RsyncQueue.prototype.resume = function() {
+    this._paused = false;
+    this._next();
+    return this;
+};
+
+/**
+ * Check if the queue is paused.
+ *
+ * @return {Boolean}
+ */
+RsyncQueue.prototype.isPaused = function() {
+    return this._paused;
+};
+
+/**
+ * Get the number of jobs waiting to run.
+ *
+ * @return {Number}
+ */
+RsyncQueue.prototype.size = function() {
+    return this._pending.length;
+};
+
+/**
+ * Get the number of jobs that are running.
+ *
+ * @return {Number}
+ */
+RsyncQueue.prototype.running = function() {
+    return this._running.length;
+};
+
+/**
+ * Remove all jobs that did not start yet. Their Promises are rejected.
+ *
+ * @return {RsyncQueue}
+ */
+RsyncQueue.prototype.clear = function() {
+    var pending = this._pending;
+    this._pending = [];
+
+    pending.forEach(function(job) {
+        job.error = new Error('rsync job was removed from the queue');
+        job.reject(job.error);
+    });
+
+    this._checkDrain();
+    return this;
+};
+
+/**
+ * Wait for the queue to drain. The returned Promise resolves with a summary of
+ * the jobs that finished since the queue was last drained:
+ *
+ *   - `total`      the number of jobs
+ *   - `succeeded`  the number of successful jobs
+ *   - `failed`     the number of failed jobs
+ *   - `jobs`       the jobs, in the order they finished
+ *
+ * The Promise always resolves, failed jobs are part of the summary.
+ *
+ * @return {Promise}
+ */
+RsyncQueue.prototype.drain = function() {
+    var self = this;
+    return new Promise(function(resolve) {
+        self._drains.push(resolve);
+        self._checkDrain();
+    });
+};
+
+/**
+ * Insert a job into the pending list by priority.
+ * @private
+ * @param {Object} job
+ */
+RsyncQueue.prototype._insert = function(job) {
+    var index = this._pending.length;
+    while (index > 0 && this._pending[index - 1].priority < job.priority) {
+        index--;
+    }
+    this._pending.splice(index, 0, job);
+};
+
+/**
+ * Start as many pending jobs as the limits allow.
+ * @private
+ */
+RsyncQueue.prototype._next = function() {
+    while (!this._paused && this._running.length < this.concurrency) {
+        var index = this._nextIndex();
+        if (index < 0) {
+            break;
+        }
+        this._start(this._pending.splice(index, 1)[0]);
+    }
+};
+
+/**
+ * Find the first pending job whose host is below the host limit.
+ * @private
+ * @return {Number}
+ */
+RsyncQueue.prototype._nextIndex = function() {
+    var counts = {};
+    this._running.forEach(function(job) {
+        if (job.host) {
+            counts[job.host] = (counts[job.host] || 0) + 1;
+        }
+    });
+
+    for (var i = 0; i < this._pending.length; i++) {
+        var host = this._pending[i].host;
+        if (!host || (counts[host] || 0) < this.hostConcurrency) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * @private
+ * @param {Object} job
+ */
+RsyncQueue.prototype._start = function(job) {
+    var self = this;
+
+    this._running.push(job);
+    this.emit('start', job);
+
+    // The job is settled and the queue continues also when a success or
+    // failure listener throws
+    job.rsync.run(job.runOptions).then(function(result) {
+        job.result = result;
+        self._finish(job);
+        job.resolve(result);
+        self._report('success', job, result);
+    }, function(error) {
+        job.error = error;
+        self._finish(job);
+        job.reject(error);
+        self._report('failure', job, error);
+    });
+};
+
+/**
+ * Emit the outcome of a job and continue with the next pending jobs. The queue
+ * continues after the callbacks of the job Promise, like the next job added in
+ * them, are called. Errors thrown by listeners are thrown again outside of the
+ * Promise callbacks, like those of other events.
+ * @private
+ * @param {String} event
+ * @param {Object} job
+ * @param {Object|Error} outcome
+ */
+RsyncQueue.prototype._report = function(event, job, outcome) {
+    var self = this;
+
+    try {
+        this.emit(event, job, outcome);
+    }
+    catch (error) {
+        rethrow(error);
+    }
+
+    Promise.resolve().then(function() {
+        self._next();
+        self._checkDrain();
+    }).catch(rethrow);
+};
+
+/**
+ * @private
+ * @param {Object} job
+ */
+RsyncQueue.prototype._finish = function(job) {
+    this._running.splice(this._running.indexOf(job), 1);
+    this._finished.push(job);
+};
+
+/**
+ * Report a drain when there are no pending and running jobs.
+ * @private
+ */
+RsyncQueue.prototype._checkDrain = function() {
+    if (this._pending.length > 0 || this._running.length > 0) {
+        return;
+    }
+    if (this._finished.length === 0 && this._drains.length === 0) {
+        return;
+    }
+
+    var jobs = this._finished;
+    var failed = jobs.filter(function(job) {
+        return job.error !== null;
+    }).length;
+
+    var summary = {
+        total:     jobs.length,
+        succeeded: jobs.length - failed,
+        failed:    failed,
+        jobs:      jobs
+    };
+
+    var drains = this._drains;
+    this._finished = [];
+    this._drains   = [];
+
+    if (jobs.length > 0) {
+        this.emit('drain', summary);
+    }
+    drains.forEach(function(resolve) {
+        resolve(summary);
+    });
+};
+
+/**
+ * Get the remote host of an Rsync command from its destination or sources.
+ * Returns null for local transfers.
+ *
+ * @private
+ * @param {Rsync} rsync
+ * @return {String|null}
+ */
+function remoteHost(rsync) {
+    var locations = [ rsync.destination() ].concat(rsync.source());
+
+    for (var i = 0; i < locations.length; i++) {
+        if (!locations[i]) {
+            continue;
+        }
+
+        var location;
+        try {
+            location = Location.parse(locations[i]);
+        }
+        catch (e) {
+            // Not a valid location, rsync will report it
+            continue;
+        }
+        if (location.isRemote()) {
+            return location.host;
+        }
+    }
+    return null;
+}
+
+/**
+ * Throw an error outside of a Promise callback, where it would be an
+ * unhandled rejection.
+ * @private
+ */
+function rethrow(error) {
+    process.nextTick(function() {
+        throw error;
+    });
+}
+
+module.exports = RsyncQueue;
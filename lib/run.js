@@ -0,0 +1,523 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var lines = require('./lines');
+var spawnCommand = require('./spawn');
+var progress = require('./progress');
+var itemize = require('./itemize');
+var stats = require('./stats');
+var RsyncError = require('./errors');
+var RsyncTimeoutError = RsyncError.RsyncTimeoutError;
+var version = require('./version');
+
+/**
+ * Default grace period in milliseconds between SIGTERM and SIGKILL.
+ * @private
+ * @type {Number}
+ */
+var KILL_GRACE = 5000;
+
+/**
+ * Lines on stderr that are reported as warnings.
+ * @private
+ * @type {RegExp}
+ */
+var WARNING_LINE = /^(rsync: |rsync warning: |file has vanished: )/;
+
+/**
+ * A single run of an Rsync command, including any retries. A run is an
+ * EventEmitter that reports the lifecycle of the command:
+ *
+ *   - `spawn`        (childProcess, attempt) a process was started
+ *   - `stdout-line`  (line) a line was received on stdout
+ *   - `stderr-line`  (line) a line was received on stderr
+ *   - `progress`     (progress) a progress update (see `Rsync.parseProgress`)
+ *   - `file`         (record) an itemized change (see `Rsync.parseItemized`)
+ *   - `warning`      (message) rsync reported a problem on stderr, or an
+ *                    unsupported option was downgraded (see `versionCheck`)
+ *   - `exit`         (code, signal, attempt) a process exited
+ *   - `retry`        (error, attempt, delay) a failed attempt will be retried
+ *   - `done`         (result) the run finished successfully
+ *   - `error`        (error) the run failed
+ *
+ * The `error` event is only emitted when there are listeners for it, so a run
+ * can be used through its Promise alone. A run is thenable and resolves or
+ * rejects like `Rsync#run`.
+ *
+ * The command is started on the next tick, so listeners can be attached to
+ * a run returned by `Rsync#start` before any event is emitted.
+ *
+ * Cancelled and timed out processes are terminated with SIGTERM, followed by
+ * SIGKILL after the `killGrace` period. When `processGroup` is set, or a
+ * timeout is configured, processes are started in their own process group so
+ * the signals reach the whole process tree (like the ssh process of a remote
+ * transfer).
+ *
+ * @constructor
+ * @param {Rsync} cmd
+ * @param {Object} options  Run options (see `Rsync#run`)
+ */
+function RsyncRun(cmd, options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.rsync    = cmd;
+    this.attempts = [];
+
+    this._signal = options.signal;
+    this._policy = cmd.retry();
+
+    // The command that is executed, adapted to the rsync version when checked
+    this._command = withRetryOptions(cmd, this._policy);
+
+    this._timeout      = options.timeout || 0;
+    this._idleTimeout  = options.idleTimeout || 0;
+    this._killGrace    = (options.killGrace === undefined) ? KILL_GRACE : options.killGrace;
+    this._processGroup = (options.processGroup === undefined) ?
+        (this._timeout > 0 || this._idleTimeout > 0) : !!options.processGroup;
+
+    this._state  = { aborted: false, abort: null };
+    this.cancel  = this.cancel.bind(this);
+
+    // Handlers registered on the Rsync instance
+    var handlers = cmd._outputHandlers;
+    if (typeof(handlers.progress) === 'function') {
+        this.on('progress', handlers.progress);
+    }
+    if (typeof(handlers.file) === 'function') {
+        this.on('file', handlers.file);
+    }
+
+    var self = this;
+    this.promise = new Promise(function(resolve, reject) {
+        self._resolve = resolve;
+        self._reject  = reject;
+    });
+
+    // Failures are reported through the `error` event as well, so a run that
+    // is only used through events must not cause an unhandled rejection
+    this.promise.catch(function() {});
+
+    process.nextTick(function() {
+        self._start();
+    });
+}
+util.inherits(RsyncRun, EventEmitter);
+
+/**
+ * Register callbacks for the outcome of the run.
+ * @param {Function} onResolved
+ * @param {Function} onRejected
+ * @return {Promise}
+ */
+RsyncRun.prototype.then = function(onResolved, onRejected) {
+    return this.promise.then(onResolved, onRejected);
+};
+
+/**
+ * Register a callback for a failed run.
+ * @param {Function} onRejected
+ * @return {Promise}
+ */
+RsyncRun.prototype.catch = function(onRejected) {
+    return this.promise.catch(onRejected);
+};
+
+/**
+ * Cancel the run. The run is rejected with an `AbortError`.
+ * @return {RsyncRun}
+ */
+RsyncRun.prototype.cancel = function() {
+    this._state.aborted = true;
+    if (this._state.abort) {
+        this._state.abort();
+    }
+    return this;
+};
+
+/**
+ * @private
+ */
+RsyncRun.prototype._start = function() {
+    if (this._state.aborted || (this._signal && this._signal.aborted)) {
+        return this._settle(createAbortError(), null);
+    }
+
+    if (this._signal) {
+        this._signal.addEventListener('abort', this.cancel);
+    }
+
+    var mode = this.rsync.versionCheck();
+    if (!mode) {
+        return this._attempt(1);
+    }
+
+    // Unsupported options are refused or downgraded before rsync is started
+    var self = this;
+    version.detect(this.rsync).then(function(info) {
+        return version.adapt(self._command, info, mode);
+    }).then(function(adapted) {
+        if (self._state.aborted) {
+            return self._settle(createAbortError(), null);
+        }
+
+        self._command = adapted.command;
+        adapted.downgrades.forEach(function(message) {
+            self.emit('warning', message);
+        });
+        self._attempt(1);
+    }, function(error) {
+        self._settle(error, null);
+    });
+};
+
+/**
+ * @private
+ * @param {Number} number
+ */
+RsyncRun.prototype._attempt = function(number) {
+    var self   = this;
+    var policy = this._policy;
+
+    runAttempt(this, number).then(function(result) {
+        self.attempts.push(describeAttempt(number, result, null));
+        self._settle(null, result);
+    }, function(error) {
+        self.attempts.push(describeAttempt(number, error.result, error));
+
+        if (self._state.aborted || !shouldRetry(policy, error, number)) {
+            return self._settle(error, error.result);
+        }
+
+        // A throwing onRetry callback or retry listener ends the run with the
+        // failure of the attempt
+        var delay = retryDelay(policy, number);
+        try {
+            if (typeof(policy.onRetry) === 'function' && policy.onRetry(error, number, delay) === false) {
+                return self._settle(error, error.result);
+            }
+            self.emit('retry', error, number, delay);
+        }
+        catch (e) {
+            return self._settle(error, error.result);
+        }
+
+        var timer = setTimeout(function() {
+            self._state.abort = null;
+            self._attempt(number + 1);
+        }, delay);
+
+        self._state.abort = function() {
+            clearTimeout(timer);
+            self._settle(createAbortError(), error.result);
+        };
+    });
+};
+
+/**
+ * @private
+ * @param {Error} error
+ * @param {Object} result
+ */
+RsyncRun.prototype._settle = function(error, result) {
+    this._state.abort = null;
+    if (this._signal) {
+        this._signal.removeEventListener('abort', this.cancel);
+    }
+
+    if (result) {
+        result.attempts = this.attempts;
+    }
+
+    // The Promise is settled before the listeners are called, so a throwing
+    // listener can not leave the run pending
+    if (error) {
+        error.result = result;
+        this._reject(error);
+        if (this.listeners('error').length > 0) {
+            this.emit('error', error);
+        }
+    }
+    else {
+        this._resolve(result);
+        this.emit('done', result);
+    }
+};
+
+/**
+ * Execute a single attempt of a run.
+ *
+ * @private
+ * @param {RsyncRun} run
+ * @param {Number} number
+ * @return {Promise}
+ */
+function runAttempt(run, number) {
+    var cmd   = run._command;
+    var state = run._state;
+
+    return new Promise(function(resolve, reject) {
+        var started = Date.now();
+        var stdout  = [];
+        var stderr  = [];
+
+        var cmdProc = spawnCommand(cmd, run._processGroup);
+        var stop = function() {
+            spawnCommand.terminate(cmdProc, run._killGrace);
+        };
+        state.abort = stop;
+
+        // Timeouts terminate the process and fail the attempt
+        var timedOut  = null;
+        var timers    = {};
+        var onTimeout = function(kind, timeout) {
+            return function() {
+                timedOut = { kind: kind, timeout: timeout };
+                stop();
+            };
+        };
+        if (run._timeout > 0) {
+            timers.timeout = setTimeout(onTimeout('timeout', run._timeout), run._timeout);
+        }
+        var resetIdle = function() {
+            if (run._idleTimeout > 0 && !timedOut) {
+                clearTimeout(timers.idle);
+                timers.idle = setTimeout(onTimeout('idle', run._idleTimeout), run._idleTimeout);
+            }
+        };
+        resetIdle();
+
+        // Write the file list, a list that can not be read fails the attempt
+        var listError = null;
+        if (cmd._filesFrom) {
+            cmd._filesFrom.pipe(cmdProc.stdin).catch(function(error) {
+                listError = error;
+                stop();
+            });
+        }
+
+        cmdProc.stdout.on('data', function(chunk) {
+            stdout.push(chunk);
+            resetIdle();
+        });
+        cmdProc.stderr.on('data', function(chunk) {
+            stderr.push(chunk);
+            resetIdle();
+        });
+
+        // Output handlers registered on the Rsync instance
+        var handlers = cmd._outputHandlers;
+        if (typeof(handlers.stdout) === 'function') {
+            lines.attachHandler(cmdProc.stdout, handlers.stdout, cmd._outputOptions);
+        }
+        if (typeof(handlers.stderr) === 'function') {
+            lines.attachHandler(cmdProc.stderr, handlers.stderr, cmd._outputOptions);
+        }
+
+        attachLineEvents(run, cmdProc);
+
+        var finish = function(error, code, sig) {
+            state.abort = null;
+            clearTimeout(timers.timeout);
+            clearTimeout(timers.idle);
+
+            // The output is decoded like the lines of the output handlers
+            var encoding = cmd._outputOptions.encoding || 'utf8';
+            var result = {
+                code:     code,
+                signal:   sig || null,
+                command:  cmd.command(),
+                duration: Date.now() - started,
+                stdout:   Buffer.concat(stdout).toString(encoding),
+                stderr:   Buffer.concat(stderr).toString(encoding),
+                changes:  [],
+                stats:    null
+            };
+
+            if (itemize.isEnabled(cmd)) {
+                result.changes = itemize.parseAll(result.stdout);
+            }
+            if (cmd.isSet('stats')) {
+                result.stats = stats.parse(result.stdout);
+            }
+
+            if (!error) {
+                run.emit('exit', code, result.signal, number);
+            }
+
+            if (state.aborted) {
+                error = createAbortError();
+            }
+            else if (timedOut) {
+                error = new RsyncTimeoutError({
+                    kind:     timedOut.kind,
+                    timeout:  timedOut.timeout,
+                    exitCode: code,
+                    signal:   sig,
+                    command:  result.command,
+                    stderr:   result.stderr
+                });
+            }
+            else if (!error && listError) {
+                error = listError;
+            }
+            else if (!error && code !== 0) {
+                error = new RsyncError({
+                    exitCode: code,
+                    signal:   sig,
+                    command:  result.command,
+                    stderr:   result.stderr
+                });
+            }
+
+            if (error) {
+                error.result = result;
+                reject(error);
+            }
+            else {
+                resolve(result);
+            }
+        };
+
+        // Spawn errors (like a missing shell) are followed by a close event
+        // on newer Node versions, so only the first outcome is used.
+        var done = false;
+        cmdProc.on('error', function(error) {
+            if (!done) {
+                done = true;
+                finish(error, null, null);
+            }
+        });
+        cmdProc.on('close', function(code, sig) {
+            if (!done) {
+                done = true;
+                finish(null, code, sig);
+            }
+        });
+
+        run.emit('spawn', cmdProc, number);
+    });
+}
+
+/**
+ * Split the output of a process into lines and emit the line, progress,
+ * file and warning events for them.
+ *
+ * @private
+ * @param {RsyncRun} run
+ * @param {ChildProcess} cmdProc
+ */
+function attachLineEvents(run, cmdProc) {
+    var itemized = itemize.isEnabled(run._command);
+    var encoding = run._command._outputOptions.encoding;
+    var parseProgress = progress.createParser(function(update) {
+        run.emit('progress', update);
+    });
+
+    var stdout = lines.createLineSplitter(function(line) {
+        run.emit('stdout-line', line);
+        parseProgress(line);
+
+        var record = itemized ? itemize.parse(line) : null;
+        if (record) {
+            run.emit('file', record);
+        }
+    }, encoding);
+    var stderr = lines.createLineSplitter(function(line) {
+        run.emit('stderr-line', line);
+        if (WARNING_LINE.test(line)) {
+            run.emit('warning', line);
+        }
+    }, encoding);
+
+    cmdProc.stdout.on('data', stdout.write);
+    cmdProc.stdout.on('end', stdout.end);
+    cmdProc.stderr.on('data', stderr.write);
+    cmdProc.stderr.on('end', stderr.end);
+}
+
+/**
+ * Describe an attempt of a run for the `attempts` list on the result.
+ *
+ * @private
+ * @param {Number} number
+ * @param {Object} result
+ * @param {Error} error
+ * @return {Object}
+ */
+function describeAttempt(number, result, error) {
+    return {
+        attempt:  number,
+        code:     result ? result.code : null,
+        signal:   result ? result.signal : null,
+        duration: result ? result.duration : null,
+        error:    error
+    };
+}
+
+/**
+ * Get the command to execute for a retry policy. Partially transferred files
+ * are kept between attempts with `--partial`, which is added to a copy so the
+ * options of the Rsync instance do not change.
+ *
+ * @private
+ * @param {Rsync} cmd
+ * @param {Object} policy
+ * @return {Rsync}
+ */
+function withRetryOptions(cmd, policy) {
+    if (!policy || !policy.partial || cmd.isSet('partial') || cmd.isSet('partial-dir')) {
+        return cmd;
+    }
+    return cmd.clone().set('partial');
+}
+
+/**
+ * Check if a failed attempt should be retried according to a retry policy.
+ *
+ * @private
+ * @param {Object} policy
+ * @param {Error} error
+ * @param {Number} number   The number of the failed attempt
+ * @return {Boolean}
+ */
+function shouldRetry(policy, error, number) {
+    if (!policy || number >= policy.attempts || !(error instanceof RsyncError)) {
+        return false;
+    }
+    if (Array.isArray(policy.codes)) {
+        return policy.codes.indexOf(error.exitCode) >= 0;
+    }
+    return error.isRetryable();
+}
+
+/**
+ * Calculate the delay before retrying a failed attempt, using exponential
+ * backoff with jitter.
+ *
+ * @private
+ * @param {Object} policy
+ * @param {Number} number   The number of the failed attempt
+ * @return {Number}
+ */
+function retryDelay(policy, number) {
+    var delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, number - 1));
+    var range = delay * policy.jitter;
+    return Math.max(0, Math.round(delay - range + Math.random() * range * 2));
+}
+
+/**
+ * Create the Error used to reject runs that were cancelled.
+ *
+ * @private
+ * @return {Error}
+ */
+function createAbortError() {
+    var error = new Error('rsync run was aborted');
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
+}
+
+module.exports = RsyncRun;
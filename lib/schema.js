@@ -0,0 +1,418 @@
+/**
+ * Table of the options rsync accepts, used to validate commands and to parse
+ * command lines.
+ *
+ * Each option has its `long` name, its `short` name (null when there is none)
+ * and the type of its `value`: null for options without a value, `string`,
+ * `integer` or `size` (a number with an optional K, M, G, T or P suffix).
+ * Options that can be given more than once are `repeatable`.
+ *
+ * Options without a value can also be turned off with a `no-` prefix, like
+ * `--no-perms` or `--no-D`.
+ */
+
+/**
+ * @private
+ * @param {String} long
+ * @param {String} short
+ * @param {String} value
+ * @param {Boolean} repeatable
+ * @return {Object}
+ */
+function define(long, short, value, repeatable) {
+    return { long: long, short: short || null, value: value || null, repeatable: !!repeatable };
+}
+
+/**
+ * The options of rsync 3.x, including the daemon options, the older names that
+ * are still accepted and the options rsync passes to the remote side.
+ * @type {Array}
+ */
+var OPTIONS = [
+    // General
+    define('verbose', 'v'),
+    define('info', null, 'string', true),
+    define('debug', null, 'string', true),
+    define('stderr', null, 'string'),
+    define('msgs2stderr'),
+    define('quiet', 'q'),
+    define('motd'),
+    define('no-motd'),
+    define('checksum', 'c'),
+    define('archive', 'a'),
+    define('recursive', 'r'),
+    define('relative', 'R'),
+    define('implied-dirs'),
+    define('no-implied-dirs'),
+    define('inc-recursive'),
+    define('i-r'),
+    define('backup', 'b'),
+    define('backup-dir', null, 'string'),
+    define('suffix', null, 'string'),
+    define('update', 'u'),
+    define('inplace'),
+    define('append'),
+    define('append-verify'),
+    define('dirs', 'd'),
+    define('old-dirs'),
+    define('old-d'),
+    define('mkpath'),
+    define('links', 'l'),
+    define('copy-links', 'L'),
+    define('copy-unsafe-links'),
+    define('safe-links'),
+    define('munge-links'),
+    define('copy-dirlinks', 'k'),
+    define('keep-dirlinks', 'K'),
+    define('hard-links', 'H'),
+    define('perms', 'p'),
+    define('executability', 'E'),
+    define('chmod', null, 'string', true),
+    define('acls', 'A'),
+    define('xattrs', 'X'),
+    define('owner', 'o'),
+    define('group', 'g'),
+    define('devices'),
+    define('copy-devices'),
+    define('write-devices'),
+    define('specials'),
+    define(null, 'D'),
+    define('times', 't'),
+    define('atimes', 'U'),
+    define('open-noatime'),
+    define('crtimes', 'N'),
+    define('omit-dir-times', 'O'),
+    define('omit-link-times', 'J'),
+    define('super'),
+    define('fake-super'),
+    define('sparse', 'S'),
+    define('preallocate'),
+    define('fsync'),
+    define('dry-run', 'n'),
+    define('whole-file', 'W'),
+    define('checksum-choice', null, 'string'),
+    define('cc', null, 'string'),
+    define('one-file-system', 'x'),
+    define('block-size', 'B', 'size'),
+    define('rsh', 'e', 'string'),
+    define('rsync-path', null, 'string'),
+    define('existing'),
+    define('ignore-non-existing'),
+    define('ignore-existing'),
+    define('remove-source-files'),
+    define('remove-sent-files'),
+    define('del'),
+    define('delete'),
+    define('delete-before'),
+    define('delete-during'),
+    define('delete-delay'),
+    define('delete-after'),
+    define('delete-excluded'),
+    define('ignore-missing-args'),
+    define('delete-missing-args'),
+    define('ignore-errors'),
+    define('force'),
+    define('max-delete', null, 'integer'),
+    define('max-size', null, 'size'),
+    define('min-size', null, 'size'),
+    define('max-alloc', null, 'size'),
+    define('partial'),
+    define('partial-dir', null, 'string'),
+    define('delay-updates'),
+    define('prune-empty-dirs', 'm'),
+    define('numeric-ids'),
+    define('usermap', null, 'string'),
+    define('groupmap', null, 'string'),
+    define('chown', null, 'string'),
+    define('timeout', null, 'integer'),
+    define('contimeout', null, 'integer'),
+    define('ignore-times', 'I'),
+    define('size-only'),
+    define('modify-window', '@', 'integer'),
+    define('temp-dir', 'T', 'string'),
+    define('fuzzy', 'y'),
+    define('compare-dest', null, 'string', true),
+    define('copy-dest', null, 'string', true),
+    define('link-dest', null, 'string', true),
+    define('compress', 'z'),
+    define('old-compress'),
+    define('new-compress'),
+    define('compress-choice', null, 'string'),
+    define('zc', null, 'string'),
+    define('compress-level', null, 'integer'),
+    define('zl', null, 'integer'),
+    define('skip-compress', null, 'string'),
+    define('cvs-exclude', 'C'),
+    define('filter', 'f', 'string', true),
+    define(null, 'F'),
+    define('exclude', null, 'string', true),
+    define('exclude-from', null, 'string', true),
+    define('include', null, 'string', true),
+    define('include-from', null, 'string', true),
+    define('files-from', null, 'string'),
+    define('from0', '0'),
+    define('old-args'),
+    define('protect-args', 's'),
+    define('secluded-args'),
+    define('trust-sender'),
+    define('copy-as', null, 'string'),
+    define('address', null, 'string'),
+    define('port', null, 'integer'),
+    define('sockopts', null, 'string'),
+    define('blocking-io'),
+    define('outbuf', null, 'string'),
+    define('stats'),
+    define('8-bit-output', '8'),
+    define('human-readable', 'h'),
+    define('progress'),
+    define(null, 'P'),
+    define('itemize-changes', 'i'),
+    define('remote-option', 'M', 'string', true),
+    define('out-format', null, 'string'),
+    define('log-format', null, 'string'),
+    define('log-file', null, 'string'),
+    define('log-file-format', null, 'string'),
+    define('password-file', null, 'string'),
+    define('early-input', null, 'string'),
+    define('list-only'),
+    define('bwlimit', null, 'size'),
+    define('stop-after', null, 'integer'),
+    define('time-limit', null, 'integer'),
+    define('stop-at', null, 'string'),
+    define('write-batch', null, 'string'),
+    define('only-write-batch', null, 'string'),
+    define('read-batch', null, 'string'),
+    define('protocol', null, 'integer'),
+    define('iconv', null, 'string'),
+    define('checksum-seed', null, 'integer'),
+    define('qsort'),
+    define('ipv4', '4'),
+    define('ipv6', '6'),
+    define('version', 'V'),
+    define('help'),
+
+    // Internal options of the remote side
+    define('server'),
+    define('sender'),
+
+    // Daemon
+    define('daemon'),
+    define('config', null, 'string'),
+    define('dparam', null, 'string', true),
+    define('detach'),
+    define('no-detach')
+];
+
+/**
+ * Options that can not be combined, by their long names.
+ * @type {Array}
+ */
+var CONFLICTS = [
+    [ 'delete-before', 'delete-during', 'delete-delay', 'delete-after' ],
+    [ 'compare-dest', 'copy-dest', 'link-dest' ],
+    [ 'inplace', 'delay-updates' ],
+    [ 'inplace', 'partial-dir' ],
+    [ 'append', 'delay-updates' ],
+    [ 'append', 'partial-dir' ],
+    [ 'read-batch', 'write-batch' ],
+    [ 'read-batch', 'only-write-batch' ],
+    [ 'write-batch', 'only-write-batch' ],
+    [ 'old-args', 'protect-args' ],
+    [ 'old-args', 'secluded-args' ],
+    [ 'chown', 'usermap' ],
+    [ 'chown', 'groupmap' ]
+];
+
+/**
+ * Patterns for the values of each type.
+ * @private
+ * @type {Object}
+ */
+var VALUE_TYPES = {
+    'string':  /^[\s\S]+$/,
+    'integer': /^-?\d+$/,
+    'size':    /^\d+(\.\d+)?([bkmgtp](i?b)?)?([+-]1)?$/i
+};
+
+/**
+ * Options by their long and short names.
+ * @private
+ * @type {Object}
+ */
+var byName = Object.create(null);
+OPTIONS.forEach(function(definition) {
+    if (definition.long) {
+        byName[definition.long] = definition;
+    }
+    if (definition.short) {
+        byName[definition.short] = definition;
+    }
+});
+
+/**
+ * Find an option by its long or short name, without leading dashes. Options
+ * turned off with `no-` are found as an option without a value.
+ *
+ * @param {String} name
+ * @return {Object|null}
+ */
+function find(name) {
+    name = String(name);
+    if (byName[name]) {
+        return byName[name];
+    }
+
+    var negated = /^no-(.+)$/.exec(name);
+    if (negated && byName[negated[1]] && !byName[negated[1]].value) {
+        return define(name);
+    }
+    return null;
+}
+
+/**
+ * Check if an option takes a value. Unknown options do not.
+ *
+ * @param {String} name
+ * @return {Boolean}
+ */
+function takesValue(name) {
+    var definition = find(name);
+    return !!(definition && definition.value);
+}
+
+/**
+ * Check the value of an option.
+ *
+ * @param {String} name
+ * @param {*} value     The value, an Array for repeated options, null for none
+ * @return {Array} Messages for the problems that were found
+ */
+function check(name, value) {
+    var definition = find(name);
+    var display = optionName(name);
+
+    if (!definition) {
+        var suggestion = suggest(name);
+        return [ 'Unknown option ' + display + (suggestion ? ', did you mean ' + optionName(suggestion) + '?' : '') ];
+    }
+
+    var hasValue = !(value === null || value === undefined || value === '' || value === true);
+    if (!definition.value) {
+        return hasValue ? [ 'Option ' + display + ' does not take a value' ] : [];
+    }
+    if (!hasValue) {
+        return [ 'Option ' + display + ' needs a value' ];
+    }
+
+    var values = Array.isArray(value) ? value : [ value ];
+    if (values.length > 1 && !definition.repeatable) {
+        return [ 'Option ' + display + ' can only be given once' ];
+    }
+
+    var problems = [];
+    values.forEach(function(item) {
+        if (!VALUE_TYPES[definition.value].test(String(item))) {
+            problems.push('Invalid ' + definition.value + ' value for option ' + display + ': ' + item);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Find the options that can not be combined.
+ *
+ * @param {Array} names     The names of the options that are set
+ * @return {Array} Messages for the conflicting options
+ */
+function conflicts(names) {
+    var set = {};
+    names.forEach(function(name) {
+        var definition = find(name);
+        if (definition && definition.long) {
+            set[definition.long] = name;
+        }
+    });
+
+    var problems = [];
+    CONFLICTS.forEach(function(group) {
+        var found = group.filter(function(long) {
+            return set[long] !== undefined;
+        });
+        if (found.length > 1) {
+            problems.push('Options ' + found.map(function(long) {
+                return optionName(set[long]);
+            }).join(' and ') + ' can not be combined');
+        }
+    });
+    return problems;
+}
+
+/**
+ * Check all options of a command.
+ *
+ * @param {Object} options  The options of a command by name
+ * @return {Array} Messages for the problems that were found
+ */
+function validate(options) {
+    var names = Object.keys(options);
+    var problems = [];
+    names.forEach(function(name) {
+        problems = problems.concat(check(name, options[name]));
+    });
+    return problems.concat(conflicts(names));
+}
+
+/**
+ * The long option closest to a misspelled name, if any is close enough.
+ * @private
+ */
+function suggest(name) {
+    var best = null;
+    var bestDistance = Math.min(3, Math.floor(name.length / 2) + 1);
+
+    OPTIONS.forEach(function(definition) {
+        if (definition.long) {
+            var d = distance(name, definition.long);
+            if (d < bestDistance) {
+                best = definition.long;
+                bestDistance = d;
+            }
+        }
+    });
+    return best;
+}
+
+/**
+ * Levenshtein distance between two Strings.
+ * @private
+ */
+function distance(a, b) {
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) {
+        previous[j] = j;
+    }
+    for (var i = 1; i <= a.length; i++) {
+        var current = [ i ];
+        for (j = 1; j <= b.length; j++) {
+            var cost = (a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * @private
+ */
+function optionName(name) {
+    return (name.length === 1 ? '-' : '--') + name;
+}
+
+exports.OPTIONS    = OPTIONS;
+exports.CONFLICTS  = CONFLICTS;
+exports.find       = find;
+exports.takesValue = takesValue;
+exports.check      = check;
+exports.conflicts  = conflicts;
+exports.validate   = validate;
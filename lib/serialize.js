@@ -0,0 +1,240 @@
+var Location = require('./location');
+var filters = require('./filters');
+var hasOP = require('./helpers').hasOP;
+var mergeEnv = require('./helpers').mergeEnv;
+
+/**
+ * The current version of the serialized format.
+ * @type {Number}
+ */
+var VERSION = 1;
+
+/**
+ * Serialized properties that are passed to the Rsync constructor.
+ *
+ * @private
+ * @type {Array}
+ */
+var CONFIG_KEYS = [ 'executable', 'executableShell', 'useShell', 'debug', 'validation', 'versionCheck' ];
+
+/**
+ * Environment variables with secrets. They are only stored when they are
+ * selected by name.
+ *
+ * @private
+ * @type {Array}
+ */
+var SECRET_ENV = [ 'RSYNC_PASSWORD' ];
+
+/**
+ * Migrations from older serialized formats, by the version they migrate from.
+ * Each migration returns the data in the next version.
+ *
+ * Version 0 is an options Object for `Rsync.build` without a version, which is
+ * how jobs were stored before the serialized format existed.
+ *
+ * @private
+ * @type {Object}
+ */
+var MIGRATIONS = {
+    0: function(data, Rsync) {
+        return serialize(Rsync.build(data));
+    }
+};
+
+/**
+ * Serialize the configuration of an Rsync instance into a plain Object that
+ * can be stored as JSON.
+ *
+ * The environment is stored as the variables that differ from `process.env`,
+ * except for secrets such as the daemon password, or as the variables named
+ * in `options.env`.
+ *
+ * @param {Rsync} rsync
+ * @param {Object} options  Serialize options: `env` (optional)
+ * @return {Object}
+ */
+function serialize(rsync, options) {
+    options = options || {};
+
+    var retry = rsync.retry();
+
+    return {
+        version:         VERSION,
+        executable:      rsync.executable(),
+        executableShell: rsync.executableShell(),
+        useShell:        rsync.useShell(),
+        options:         copyOptions(rsync._options),
+        patterns:        rsync._patterns.map(filters.copy),
+        filterFile:      rsync.filterFile(),
+        sources:         rsync.source().map(serializeLocation),
+        destination:     serializeLocation(rsync.destination()),
+        filesFrom:       rsync._filesFrom ? rsync._filesFrom.toJSON() : null,
+        cwd:             rsync.cwd(),
+        env:             selectEnv(rsync.env(), options.env),
+        debug:           rsync.debug(),
+        validation:      (typeof(rsync.validation()) === 'function') ? false : rsync.validation(),
+        versionCheck:    rsync.versionCheck(),
+        retry:           retry ? {
+            attempts: retry.attempts,
+            delay:    retry.delay,
+            factor:   retry.factor,
+            maxDelay: retry.maxDelay,
+            jitter:   retry.jitter,
+            codes:    retry.codes,
+            partial:  retry.partial
+        } : null,
+        output:          {
+            lines:    rsync._outputOptions.lines,
+            encoding: rsync._outputOptions.encoding
+        }
+    };
+}
+
+/**
+ * Restore an Rsync instance from serialized data. Data in an older format is
+ * migrated first.
+ *
+ * @param {Function} Rsync  The Rsync constructor
+ * @param {Object} data
+ * @return {Rsync}
+ */
+function deserialize(Rsync, data) {
+    data = migrate(Rsync, data);
+
+    var config = {};
+    CONFIG_KEYS.forEach(function(key) {
+        if (data[key] !== undefined && data[key] !== null) {
+            config[key] = data[key];
+        }
+    });
+
+    var rsync = new Rsync(config);
+
+    rsync._options  = copyOptions(data.options || {});
+    rsync._patterns = (data.patterns || []).map(filters.copy);
+    rsync._sources     = (data.sources || []).map(deserializeLocation);
+    rsync._destination = deserializeLocation(data.destination || '');
+
+    if (data.filterFile !== undefined) {
+        rsync.filterFile(data.filterFile);
+    }
+    if (Array.isArray(data.filesFrom)) {
+        rsync.filesFrom(data.filesFrom);
+    }
+    if (data.cwd) {
+        rsync.cwd(data.cwd);
+    }
+    if (data.env) {
+        rsync.env(mergeEnv(data.env));
+    }
+    if (data.retry) {
+        rsync._retry = copyOptions(data.retry);
+        rsync._retry.onRetry = null;
+    }
+    if (data.output) {
+        rsync.output(null, null, data.output);
+    }
+
+    return rsync;
+}
+
+/**
+ * Migrate serialized data to the current version.
+ *
+ * @param {Function} Rsync  The Rsync constructor
+ * @param {Object} data
+ * @return {Object}
+ */
+function migrate(Rsync, data) {
+    if (!data || typeof(data) !== 'object') {
+        throw new Error('Serialized Rsync data must be an Object');
+    }
+
+    var version = hasOP(data, 'version') ? data.version : 0;
+    if (typeof(version) !== 'number' || version > VERSION || version < 0) {
+        throw new Error('Unsupported serialized Rsync version: ' + version);
+    }
+
+    while (version < VERSION) {
+        data = MIGRATIONS[version](data, Rsync);
+        version = data.version;
+    }
+
+    return data;
+}
+
+/**
+ * @private
+ * @param {Object} options
+ * @return {Object}
+ */
+function copyOptions(options) {
+    var copy = {};
+    Object.keys(options).forEach(function(key) {
+        var value = options[key];
+        copy[key] = Array.isArray(value) ? value.slice() : value;
+    });
+    return copy;
+}
+
+/**
+ * Locations are stored as Objects, which keeps properties such as the port of a
+ * remote shell location that are not part of the rendered String.
+ *
+ * @private
+ * @param {String|Location} location
+ * @return {String|Object}
+ */
+function serializeLocation(location) {
+    return (location instanceof Location) ? location.toJSON() : location;
+}
+
+/**
+ * @private
+ * @param {String|Object} location
+ * @return {String|Location}
+ */
+function deserializeLocation(location) {
+    return (location && typeof(location) === 'object') ? new Location(location) : location;
+}
+
+/**
+ * Select the environment variables to store.
+ *
+ * @private
+ * @param {Object} env
+ * @param {Array|Boolean} names     Names of the variables to store, true for all
+ * @return {Object|null}
+ */
+function selectEnv(env, names) {
+    var selected = {};
+    var keys;
+
+    if (names === true) {
+        keys = Object.keys(env);
+    }
+    else if (Array.isArray(names)) {
+        keys = names.filter(function(name) {
+            return hasOP(env, name);
+        });
+    }
+    else {
+        if (env === process.env) {
+            return null;
+        }
+        keys = Object.keys(env).filter(function(name) {
+            return env[name] !== process.env[name] && SECRET_ENV.indexOf(name) < 0;
+        });
+    }
+
+    keys.forEach(function(name) {
+        selected[name] = env[name];
+    });
+    return selected;
+}
+
+exports.VERSION     = VERSION;
+exports.serialize   = serialize;
+exports.deserialize = deserialize;
+exports.migrate     = migrate;
@@ -0,0 +1,522 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var fs = require('fs');
+var os = require('os');
+var net = require('net');
+var path = require('path');
+var spawnCommand = require('./spawn');
+var hasOP = require('./helpers').hasOP;
+
+/**
+ * Default milliseconds to wait for the daemon to accept connections.
+ * @type {Number}
+ */
+var READY_TIMEOUT = 10000;
+
+/**
+ * Default milliseconds between SIGTERM and SIGKILL when the daemon is stopped.
+ * @type {Number}
+ */
+var KILL_GRACE = 5000;
+
+/**
+ * Milliseconds between connection attempts while waiting for the daemon.
+ * @private
+ * @type {Number}
+ */
+var POLL_INTERVAL = 50;
+
+/**
+ * Start of the greeting the daemon writes to new connections.
+ * @private
+ * @type {String}
+ */
+var GREETING = '@RSYNCD:';
+
+/**
+ * A local rsync daemon (`rsync --daemon`) that runs in the foreground as a
+ * child process. The `rsyncd.conf` and secrets file are generated from the
+ * configuration in a temporary directory, which is removed when the daemon
+ * stops.
+ *
+ * Configuration:
+ *
+ *   - `executable`    the rsync executable (defaults to `rsync`)
+ *   - `env`           environment of the daemon (defaults to `process.env`)
+ *   - `port`          port to listen on (defaults to a free port)
+ *   - `address`       address to listen on (defaults to `127.0.0.1`)
+ *   - `global`        Object with global parameters for `rsyncd.conf`
+ *   - `users`         Object with the password of each user for the secrets file
+ *   - `modules`       Object with the parameters of each module: `path`,
+ *                     `comment`, `readOnly`, `authUsers`, `hostsAllow`,
+ *                     `hostsDeny`, `uid`, `gid` and any other parameter in
+ *                     camelCase (`maxConnections` is `max connections`)
+ *   - `readyTimeout`  milliseconds to wait for the daemon to accept connections
+ *   - `killGrace`     milliseconds between SIGTERM and SIGKILL on stop
+ *
+ * `authUsers` can be an Array of user names from `users` or an Object with the
+ * user names and passwords. `use chroot` defaults to `no`, as chroot needs root.
+ *
+ * The daemon emits the following events:
+ *
+ *   - `ready`  () the daemon accepts connections
+ *   - `exit`   (code, signal) the daemon process exited
+ *
+ * @example
+ *   var server = new Rsync.Server({
+ *     modules: { data: { path: '/tmp/data', readOnly: false, authUsers: { alice: 'secret' } } }
+ *   });
+ *   server.start().then(function() {
+ *     return new Rsync().password('secret').source('files/')
+ *       .destination(server.location('data', 'files/', 'alice')).run();
+ *   }).then(function() {
+ *     return server.stop();
+ *   });
+ *
+ * @param {Object} config
+ * @constructor
+ */
+function RsyncServer(config) {
+    if (!(this instanceof RsyncServer)) {
+        return new RsyncServer(config);
+    }
+    EventEmitter.call(this);
+
+    config = config || {};
+    this.config = config;
+
+    this.executable = config.executable || 'rsync';
+    this.address    = config.address || '127.0.0.1';
+    this.port       = config.port || null;
+
+    // Paths of the generated files while the daemon runs
+    this.dir         = null;
+    this.configFile  = null;
+    this.secretsFile = null;
+
+    this._readyTimeout = config.readyTimeout || READY_TIMEOUT;
+    this._killGrace    = (config.killGrace === undefined) ? KILL_GRACE : config.killGrace;
+    this._process  = null;
+    this._starting = null;
+    this._stopping = null;
+    this._stderr   = '';
+
+    // Fail early on an invalid configuration
+    renderConfig(config, {});
+}
+util.inherits(RsyncServer, EventEmitter);
+
+/**
+ * Start the daemon. The Promise resolves when the daemon accepts connections
+ * and rejects when the port is in use, or when the daemon exits or does not
+ * become ready in time.
+ *
+ * @return {Promise}
+ */
+RsyncServer.prototype.start = function() {
+    if (this._starting) {
+        return this._starting;
+    }
+
+    var self = this;
+    this._stopping = null;
+    this._starting = findPort(this.address, this.port).then(function(port) {
+        self.port = port;
+        writeFiles(self);
+
+        var cmdProc = spawnCommand(self.command(), true);
+        self._process = cmdProc;
+        self._stderr  = '';
+
+        cmdProc.stdout.resume();
+        cmdProc.stderr.on('data', function(chunk) {
+            self._stderr = (self._stderr + chunk).slice(-4096);
+        });
+        cmdProc.on('exit', function(code, signal) {
+            self._process = null;
+            self._starting = null;
+            removeFiles(self);
+            self.emit('exit', code, signal);
+        });
+        cmdProc.on('error', function() {
+            // The executable could not be started, there is no process to stop
+            if (cmdProc.pid === undefined) {
+                self._process = null;
+            }
+        });
+
+        return waitForReady(self, cmdProc);
+    }).then(function() {
+        self.emit('ready');
+        return self;
+    }, function(error) {
+        var stopped = self._process ? self.stop() : Promise.resolve();
+        return stopped.then(function() {
+            self._starting = null;
+            removeFiles(self);
+            throw error;
+        });
+    });
+
+    return this._starting;
+};
+
+/**
+ * Stop the daemon with SIGTERM, or SIGKILL after the grace period. The Promise
+ * resolves when the daemon has exited and the generated files are removed.
+ *
+ * @return {Promise}
+ */
+RsyncServer.prototype.stop = function() {
+    var cmdProc = this._process;
+    if (!cmdProc) {
+        return Promise.resolve();
+    }
+    if (this._stopping) {
+        return this._stopping;
+    }
+
+    var grace = this._killGrace;
+    this._stopping = new Promise(function(resolve) {
+        cmdProc.once('exit', function() {
+            resolve();
+        });
+        spawnCommand.terminate(cmdProc, grace);
+    });
+
+    return this._stopping;
+};
+
+/**
+ * Check if the daemon process is running.
+ * @return {Boolean}
+ */
+RsyncServer.prototype.isRunning = function() {
+    return this._process !== null;
+};
+
+/**
+ * Get the Rsync command that starts the daemon in the foreground.
+ * @return {Rsync}
+ */
+RsyncServer.prototype.command = function() {
+    var Rsync = require('../rsync');
+
+    var cmd = new Rsync({ executable: this.executable, useShell: false })
+        .set('daemon')
+        .set('no-detach')
+        .set('config', this.configFile || path.join(os.tmpdir(), 'rsyncd.conf'))
+        .set('address', this.address);
+    if (this.port) {
+        cmd.set('port', String(this.port));
+    }
+    if (this.config.env) {
+        cmd.env(this.config.env);
+    }
+
+    return cmd;
+};
+
+/**
+ * Get the location of a path in a module of the daemon, for the source or
+ * destination of a client command.
+ *
+ * @param {String} module
+ * @param {String} modulePath    Path in the module (optional)
+ * @param {String} user          User to authenticate as (optional)
+ * @return {Location}
+ */
+RsyncServer.prototype.location = function(module, modulePath, user) {
+    var Rsync = require('../rsync');
+    var host = (this.address === '0.0.0.0' || this.address === '::') ? '127.0.0.1' : this.address;
+
+    return Rsync.daemon({ user: user, host: host, port: this.port, module: module, path: modulePath });
+};
+
+/**
+ * Render the `rsyncd.conf` for a configuration.
+ *
+ * @param {Object} config
+ * @param {Object} files    Paths of the generated files: `secrets` and `log` (optional)
+ * @return {String}
+ */
+function renderConfig(config, files) {
+    var lines = [ '# Generated by node-rsync' ];
+    var global = { useChroot: false };
+    if (files.log) {
+        global.logFile = files.log;
+    }
+    copy(config.global || {}, global);
+    renderParams(global, lines);
+
+    var modules = config.modules || {};
+    var users = config.users || {};
+
+    Object.keys(modules).forEach(function(name) {
+        if (!name || /[\[\]\r\n]/.test(name)) {
+            throw new Error('Invalid rsync daemon module name: ' + name);
+        }
+
+        var module = copy(modules[name] || {}, {});
+        if (!module.path) {
+            throw new Error('Module ' + name + ' needs a path');
+        }
+        module.path = path.resolve(String(module.path));
+
+        if (module.authUsers && !Array.isArray(module.authUsers) && typeof(module.authUsers) === 'object') {
+            module.authUsers = Object.keys(module.authUsers);
+        }
+        if (module.authUsers) {
+            [].concat(module.authUsers).forEach(function(user) {
+                if (!hasOP(users, user) && !hasOP(moduleSecrets(modules), user)) {
+                    throw new Error('Module ' + name + ' has auth user ' + user + ' without a password');
+                }
+            });
+            if (!module.secretsFile && files.secrets) {
+                module.secretsFile = files.secrets;
+            }
+        }
+
+        lines.push('', '[' + name + ']');
+        renderParams(module, lines, '    ');
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the secrets file with a `user:password` line for each user.
+ *
+ * @param {Object} config
+ * @return {String}
+ */
+function renderSecrets(config) {
+    var users = copy(moduleSecrets(config.modules || {}), {});
+    copy(config.users || {}, users);
+
+    return Object.keys(users).map(function(user) {
+        if (/[:\r\n]/.test(user) || /[\r\n]/.test(users[user])) {
+            throw new Error('Invalid rsync daemon user: ' + user);
+        }
+        return user + ':' + users[user] + '\n';
+    }).join('');
+}
+
+/**
+ * Passwords of users that are given with the modules.
+ * @private
+ */
+function moduleSecrets(modules) {
+    var secrets = {};
+    Object.keys(modules).forEach(function(name) {
+        var authUsers = (modules[name] || {}).authUsers;
+        if (authUsers && !Array.isArray(authUsers) && typeof(authUsers) === 'object') {
+            copy(authUsers, secrets);
+        }
+    });
+    return secrets;
+}
+
+/**
+ * Render parameters as `name = value` lines.
+ * @private
+ */
+function renderParams(params, lines, indent) {
+    Object.keys(params).forEach(function(key) {
+        var value = params[key];
+        if (value === undefined || value === null) {
+            return;
+        }
+
+        if (typeof(value) === 'boolean') {
+            value = value ? 'yes' : 'no';
+        }
+        else if (Array.isArray(value)) {
+            value = value.join(', ');
+        }
+        value = String(value);
+
+        if (/[\r\n]/.test(value)) {
+            throw new Error('Invalid value for rsync daemon parameter ' + key);
+        }
+        lines.push((indent || '') + paramName(key) + ' = ' + value);
+    });
+}
+
+/**
+ * Convert a camelCase parameter name to the rsyncd.conf name.
+ * @private
+ */
+function paramName(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+/**
+ * Write the configuration and secrets file to a new temporary directory.
+ * @private
+ */
+function writeFiles(server) {
+    server.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-rsyncd-'));
+    server.configFile  = path.join(server.dir, 'rsyncd.conf');
+    server.secretsFile = path.join(server.dir, 'rsyncd.secrets');
+
+    var config = renderConfig(server.config, {
+        secrets: server.secretsFile,
+        log:     path.join(server.dir, 'rsyncd.log')
+    });
+
+    // rsync refuses secrets files that other users can read
+    fs.writeFileSync(server.secretsFile, renderSecrets(server.config), { mode: parseInt('600', 8) });
+    fs.writeFileSync(server.configFile, config);
+}
+
+/**
+ * Remove the generated files and their directory, with the files the daemon
+ * wrote in it. Removal is best effort, it runs when the daemon exits.
+ * @private
+ */
+function removeFiles(server) {
+    if (!server.dir) {
+        return;
+    }
+
+    var files = [];
+    try {
+        files = fs.readdirSync(server.dir);
+    }
+    catch (error) {
+        // Already removed
+    }
+    files.forEach(function(file) {
+        try {
+            fs.unlinkSync(path.join(server.dir, file));
+        }
+        catch (error) {
+            // Already removed or not a file
+        }
+    });
+    try {
+        fs.rmdirSync(server.dir);
+    }
+    catch (error) {
+        // Already removed or not empty
+    }
+
+    server.dir = null;
+    server.configFile = null;
+    server.secretsFile = null;
+}
+
+/**
+ * Resolve with the configured port or a free port on the address. A
+ * configured port is checked to be free, otherwise the daemon would fail to
+ * bind while another process answers on the port.
+ * @private
+ */
+function findPort(address, port) {
+    return new Promise(function(resolve, reject) {
+        var probe = net.createServer();
+        probe.on('error', function(error) {
+            if (error.code === 'EADDRINUSE') {
+                error = new Error('rsync daemon port ' + port + ' on ' + address + ' is already in use');
+            }
+            reject(error);
+        });
+        probe.listen(port || 0, address, function() {
+            var free = probe.address().port;
+            probe.close(function() {
+                resolve(free);
+            });
+        });
+    });
+}
+
+/**
+ * Resolve when the daemon accepts connections and greets with `@RSYNCD:`.
+ * Connections answered without the greeting are retried, as the port may
+ * still be held by another process.
+ * @private
+ */
+function waitForReady(server, cmdProc) {
+    var host = (server.address === '0.0.0.0' || server.address === '::') ? '127.0.0.1' : server.address;
+    var deadline = Date.now() + server._readyTimeout;
+
+    return new Promise(function(resolve, reject) {
+        var done = false;
+        var timer = null;
+
+        var finish = function(error) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            cmdProc.removeListener('exit', onExit);
+            cmdProc.removeListener('error', finish);
+            if (error) {
+                reject(error);
+            }
+            else {
+                resolve();
+            }
+        };
+
+        var onExit = function(code, signal) {
+            var reason = signal ? 'was killed by signal ' + signal : 'exited with code ' + code;
+            var stderr = server._stderr.trim();
+            finish(new Error('rsync daemon ' + reason + ' before it was ready' + (stderr ? ': ' + stderr : '')));
+        };
+
+        var attempt = function() {
+            var socket = net.connect({ port: server.port, host: host });
+            var greeting = '';
+            var answered = false;
+            var answer = function(ready) {
+                if (answered) return;
+                answered = true;
+                socket.destroy();
+                if (ready) {
+                    finish();
+                }
+                else if (Date.now() >= deadline) {
+                    finish(new Error('rsync daemon did not accept connections within ' + server._readyTimeout + 'ms'));
+                }
+                else if (!done) {
+                    timer = setTimeout(attempt, POLL_INTERVAL);
+                }
+            };
+            var retry = function() {
+                answer(false);
+            };
+
+            socket.setEncoding('utf8');
+            socket.setTimeout(Math.max(deadline - Date.now(), POLL_INTERVAL));
+            socket.on('data', function(chunk) {
+                greeting += chunk;
+                if (greeting.indexOf('\n') >= 0 || greeting.length >= GREETING.length) {
+                    answer(greeting.indexOf(GREETING) === 0);
+                }
+            });
+            socket.once('end', retry);
+            socket.once('timeout', retry);
+            socket.on('error', retry);
+        };
+
+        cmdProc.once('exit', onExit);
+        cmdProc.once('error', finish);
+        attempt();
+    });
+}
+
+/**
+ * @private
+ */
+function copy(source, target) {
+    Object.keys(source).forEach(function(key) {
+        target[key] = source[key];
+    });
+    return target;
+}
+
+RsyncServer.renderConfig  = renderConfig;
+RsyncServer.renderSecrets = renderSecrets;
+
+module.exports = RsyncServer;
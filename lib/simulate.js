@@ -0,0 +1,340 @@
+var fs = require('fs');
+var path = require('path');
+var filters = require('./filters');
+
+/**
+ * Evaluate filter rules the way rsync does, without running rsync.
+ *
+ * Paths are relative to the transfer root and use `/` as separator. Rules are
+ * checked in order and the first matching rule decides, paths that no rule
+ * matches are included. Excluded directories are pruned: everything inside
+ * them is excluded by the same rule, even when a later rule would include it.
+ *
+ * Patterns follow rsync's matching rules:
+ *
+ *   - a leading `/` anchors the pattern to the transfer root
+ *   - a trailing `/` only matches directories
+ *   - patterns without a `/` or `**` match the last path component, other
+ *     patterns match the end of the path at a directory boundary
+ *   - `*` and `?` do not match `/`, `**` does, and `dir/***` matches `dir`
+ *     and everything in it
+ *
+ * Include, exclude, hide and show rules decide what is transferred, the clear
+ * rule removes the rules before it. Protect and risk rules and rules with the
+ * `r` or `x` modifier do not affect what is transferred and are skipped. Merge
+ * rules, CVS excludes and rules with the `/` modifier, which match the absolute
+ * path of a file, are not evaluated and are reported as warnings.
+ */
+
+/**
+ * Convert an rsync pattern to a matcher.
+ *
+ * @param {String} pattern
+ * @return {Object} With the `regex`, whether it matches `dirOnly` and the `target`
+ *                  of the match: `name` for the last component or `path`
+ */
+function compile(pattern) {
+    var dirOnly  = false;
+    var anchored = false;
+
+    if (pattern.length > 1 && pattern.charAt(pattern.length - 1) === '/') {
+        dirOnly = true;
+        pattern = pattern.slice(0, -1);
+    }
+    if (pattern.charAt(0) === '/') {
+        anchored = true;
+        pattern = pattern.slice(1);
+    }
+
+    var wild = /[*?\[]/.test(pattern);
+    var fullPath = anchored || pattern.indexOf('/') >= 0 || pattern.indexOf('**') >= 0;
+
+    // dir/*** matches the directory itself and everything in it
+    var source;
+    if (/(^|\/)\*\*\*$/.test(pattern)) {
+        var base = pattern.slice(0, -3).replace(/\/$/, '');
+        source = base ? toRegex(base, wild) + '(?:/.*)?' : '.*';
+    }
+    else {
+        source = toRegex(pattern, wild);
+    }
+
+    var prefix = anchored ? '^' : (fullPath ? '^(?:.*/)?' : '^');
+    return {
+        regex:   new RegExp(prefix + source + '$'),
+        dirOnly: dirOnly,
+        target:  fullPath ? 'path' : 'name'
+    };
+}
+
+/**
+ * Convert the wildcards of a pattern to a regular expression source.
+ * @private
+ */
+function toRegex(pattern, wild) {
+    var source = '';
+
+    for (var i = 0; i < pattern.length; i++) {
+        var c = pattern.charAt(i);
+
+        if (!wild) {
+            source += escapeRegex(c);
+        }
+        else if (c === '\\' && i + 1 < pattern.length) {
+            source += escapeRegex(pattern.charAt(++i));
+        }
+        else if (c === '*') {
+            if (pattern.charAt(i + 1) === '*') {
+                while (pattern.charAt(i + 1) === '*') i++;
+                source += '.*';
+            }
+            else {
+                source += '[^/]*';
+            }
+        }
+        else if (c === '?') {
+            source += '[^/]';
+        }
+        else if (c === '[') {
+            var end = pattern.indexOf(']', i + 2);
+            if (end < 0) {
+                source += '\\[';
+                continue;
+            }
+            var set = pattern.slice(i + 1, end);
+            var negate = set.charAt(0) === '!' || set.charAt(0) === '^';
+            if (negate) {
+                set = set.slice(1);
+            }
+            source += '[' + (negate ? '^/' : '') + set.replace(/\\/g, '\\\\').replace(/\]/g, '\\]') + ']';
+            i = end;
+        }
+        else {
+            source += escapeRegex(c);
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Check if a rule matches an entry.
+ *
+ * @param {Object} rule     Rule with a compiled `matcher`
+ * @param {Object} entry    Entry with the `path` and whether it is a `dir`
+ * @return {Boolean}
+ */
+function matches(rule, entry) {
+    var matcher = rule.matcher;
+    var subject = (matcher.target === 'name') ? entry.path.slice(entry.path.lastIndexOf('/') + 1) : entry.path;
+    var matched = matcher.regex.test(subject) && (!matcher.dirOnly || entry.dir);
+
+    return (rule.modifiers || '').indexOf('!') >= 0 ? !matched : matched;
+}
+
+/**
+ * Prepare the rules of a command for evaluation: apply clear rules, skip rules
+ * that do not decide what is transferred and compile the patterns.
+ *
+ * @param {Array} patterns  The ordered rules of a command
+ * @return {Object} With the `rules` and `warnings`
+ */
+function prepare(patterns) {
+    var rules = [];
+    var warnings = [];
+
+    patterns.forEach(function(def, index) {
+        var modifiers = def.modifiers || '';
+        var text = filters.format(def);
+
+        if (def.action === '!') {
+            rules = [];
+        }
+        else if (def.action === '.' || def.action === ':') {
+            warnings.push('Merge rule "' + text + '" is not evaluated');
+        }
+        else if (modifiers.indexOf('C') >= 0) {
+            warnings.push('CVS exclude rule "' + text + '" is not evaluated');
+        }
+        else if (modifiers.indexOf('/') >= 0) {
+            warnings.push('Absolute path rule "' + text + '" is not evaluated');
+        }
+        else if ('+-HS'.indexOf(def.action) >= 0 && modifiers.indexOf('r') < 0 && modifiers.indexOf('x') < 0) {
+            rules.push({
+                index:     index,
+                action:    def.action,
+                modifiers: modifiers,
+                pattern:   def.pattern,
+                rule:      text,
+                include:   def.action === '+' || def.action === 'S',
+                matcher:   compile(def.pattern)
+            });
+        }
+    });
+
+    return { rules: rules, warnings: warnings };
+}
+
+/**
+ * Evaluate the rules for a list of paths. Paths ending with a `/` are
+ * directories, as are the parent directories of the listed paths.
+ *
+ * The result has the `entries` with the `path`, the `type` (`file` or `dir`),
+ * whether it is `included`, the deciding `rule` (null when no rule matched)
+ * and the directory it was pruned by (`prunedBy`, null when it was not), and
+ * the `warnings` for rules that were not evaluated.
+ *
+ * @param {Array} patterns  The ordered rules of a command
+ * @param {Array} paths
+ * @return {Object}
+ */
+function evaluate(patterns, paths) {
+    var prepared = prepare(patterns);
+    var decisions = Object.create(null);
+
+    var decide = function(entry) {
+        var key = entry.path + (entry.dir ? '/' : '');
+        if (!decisions[key]) {
+            decisions[key] = firstMatch(prepared.rules, entry);
+        }
+        return decisions[key];
+    };
+
+    var entries = paths.map(function(p) {
+        var entry = normalize(p);
+        var parts = entry.path.split('/');
+
+        // A directory that is excluded prunes everything in it
+        for (var i = 1; i < parts.length; i++) {
+            var parent = parts.slice(0, i).join('/');
+            var decision = decide({ path: parent, dir: true });
+            if (!decision.included) {
+                return result(entry, decision, parent);
+            }
+        }
+
+        return result(entry, decide(entry), null);
+    });
+
+    return { entries: entries, warnings: prepared.warnings };
+}
+
+/**
+ * Evaluate the rules for a local directory tree. Like rsync, a root without a
+ * trailing slash is part of the transfer, so its name is the first component
+ * of the paths. Excluded directories are reported but not descended into.
+ *
+ * @param {Array} patterns  The ordered rules of a command
+ * @param {String} root
+ * @return {Promise} Resolves with the result described at `evaluate`
+ */
+function evaluateTree(patterns, root) {
+    var prepared = prepare(patterns);
+    var entries = [];
+    var contents = /[\/\\]$/.test(root);
+    var base = path.resolve(root);
+
+    // Entries are visited one at a time, in order, so the result lists them
+    // like a walk of the tree
+    var add = function(full, entry) {
+        return lstat(full).then(function(stats) {
+            entry.dir = stats.isDirectory();
+            var decision = firstMatch(prepared.rules, entry);
+            entries.push(result(entry, decision, null));
+
+            if (entry.dir && decision.included) {
+                return visit(full, entry.path);
+            }
+        });
+    };
+
+    var visit = function(dir, relative) {
+        return readdir(dir).then(function(names) {
+            return names.sort().reduce(function(previous, name) {
+                return previous.then(function() {
+                    return add(path.join(dir, name), { path: relative ? relative + '/' + name : name });
+                });
+            }, Promise.resolve());
+        });
+    };
+
+    var walk = contents ? visit(base, '') : add(base, { path: path.basename(base) });
+
+    return walk.then(function() {
+        return { entries: entries, warnings: prepared.warnings };
+    });
+}
+
+/**
+ * @private
+ */
+function readdir(dir) {
+    return new Promise(function(resolve, reject) {
+        fs.readdir(dir, function(error, names) {
+            return error ? reject(error) : resolve(names);
+        });
+    });
+}
+
+/**
+ * @private
+ */
+function lstat(file) {
+    return new Promise(function(resolve, reject) {
+        fs.lstat(file, function(error, stats) {
+            return error ? reject(error) : resolve(stats);
+        });
+    });
+}
+
+/**
+ * @private
+ */
+function firstMatch(rules, entry) {
+    for (var i = 0; i < rules.length; i++) {
+        if (matches(rules[i], entry)) {
+            return { included: rules[i].include, rule: rules[i] };
+        }
+    }
+    return { included: true, rule: null };
+}
+
+/**
+ * @private
+ */
+function result(entry, decision, prunedBy) {
+    var rule = decision.rule;
+    return {
+        path:     entry.path,
+        type:     entry.dir ? 'dir' : 'file',
+        included: decision.included,
+        rule:     rule ? { index: rule.index, action: rule.action, pattern: rule.pattern, rule: rule.rule } : null,
+        prunedBy: prunedBy
+    };
+}
+
+/**
+ * @private
+ */
+function normalize(p) {
+    p = String(p);
+    if ('win32' === process.platform) {
+        p = p.replace(/\\/g, '/');
+    }
+    p = p.replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+    var dir = /\/$/.test(p);
+    return { path: p.replace(/\/+$/, ''), dir: dir };
+}
+
+/**
+ * @private
+ */
+function escapeRegex(c) {
+    return c.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+}
+
+exports.compile      = compile;
+exports.matches      = matches;
+exports.prepare      = prepare;
+exports.evaluate     = evaluate;
+exports.evaluateTree = evaluateTree;
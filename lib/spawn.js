@@ -0,0 +1,119 @@
+var spawn = require('child_process').spawn;
+var filterFile = require('./filterfile');
+
+/**
+ * Spawn the command for an Rsync instance as a child process.
+ *
+ * When `processGroup` is set the process is started in its own process group
+ * (not on Windows), so the whole process tree can be stopped with `terminate`.
+ *
+ * A managed filter file the command uses (see `lib/filterfile.js`) is written
+ * before the process is spawned and deleted when it is closed.
+ *
+ * @param {Rsync} cmd
+ * @param {Boolean} processGroup    Start the process in a new process group (optional)
+ * @return {ChildProcess}
+ */
+function spawnCommand(cmd, processGroup) {
+    var options = { stdio: 'pipe', cwd: cmd.cwd(), env: cmd.env() };
+    if (processGroup && 'win32' !== process.platform) {
+        options.detached = true;
+    }
+
+    var release = filterFile.acquire(cmd);
+    if (!release) {
+        return spawnProcess(cmd, options);
+    }
+
+    var cmdProc;
+    try {
+        cmdProc = spawnProcess(cmd, options);
+    }
+    catch (error) {
+        release();
+        throw error;
+    }
+    // Spawn errors are followed by a close event as well
+    cmdProc.on('close', release);
+
+    return cmdProc;
+}
+
+/**
+ * @private
+ * @param {Rsync} cmd
+ * @param {Object} options  Options for `child_process.spawn`
+ * @return {ChildProcess}
+ */
+function spawnProcess(cmd, options) {
+    // Execute rsync directly with the unescaped arguments
+    if (!cmd.useShell()) {
+        return spawn(cmd.executable(), cmd.argv(), options);
+    }
+
+    // Execute the command as a child process
+    // see https://github.com/joyent/node/blob/937e2e351b2450cf1e9c4d8b3e1a4e2a2def58bb/lib/child_process.js#L589
+    if ('win32' === process.platform) {
+        options.windowsVerbatimArguments = true;
+        return spawn('cmd.exe', ['/s', '/c', '"' + cmd.command() + '"'], options);
+    }
+
+    // The shell is replaced by rsync through `exec` so signals sent to the
+    // child process reach rsync itself
+    return spawn(cmd.executableShell(), ['-c', 'exec ' + cmd.command()], options);
+}
+
+/**
+ * Send a signal to a child process and all of its descendants. The process
+ * group is signalled for processes started in their own group, on Windows the
+ * process tree is killed with `taskkill`.
+ *
+ * @param {ChildProcess} cmdProc
+ * @param {String} signal
+ */
+function killTree(cmdProc, signal) {
+    if ('win32' === process.platform) {
+        spawn('taskkill', ['/pid', String(cmdProc.pid), '/T', '/F'], { stdio: 'ignore' })
+            .on('error', function() {
+                cmdProc.kill(signal);
+            });
+        return;
+    }
+
+    try {
+        process.kill(-cmdProc.pid, signal);
+    }
+    catch (e) {
+        // Not a process group leader or already gone
+        cmdProc.kill(signal);
+    }
+}
+
+/**
+ * Terminate a child process and its descendants. The processes receive
+ * SIGTERM first and SIGKILL when they did not exit after the grace period.
+ *
+ * @param {ChildProcess} cmdProc
+ * @param {Number} grace    Grace period in milliseconds
+ */
+function terminate(cmdProc, grace) {
+    if (cmdProc.exitCode !== null || cmdProc.signalCode !== null) {
+        return;
+    }
+
+    var timer = setTimeout(function() {
+        killTree(cmdProc, 'SIGKILL');
+    }, grace);
+    if (typeof(timer.unref) === 'function') {
+        timer.unref();
+    }
+    cmdProc.once('exit', function() {
+        clearTimeout(timer);
+    });
+
+    killTree(cmdProc, 'SIGTERM');
+}
+
+module.exports           = spawnCommand;
+module.exports.killTree  = killTree;
+module.exports.terminate = terminate;
@@ -0,0 +1,177 @@
+/**
+ * Build the remote shell command for rsync's `--rsh` option from structured
+ * ssh settings.
+ *
+ * rsync splits the `--rsh` value on spaces itself and supports single and
+ * double quotes, but not backslashes, to keep spaces in an argument. Arguments
+ * are quoted accordingly.
+ */
+
+var hasOP = require('./helpers').hasOP;
+
+/**
+ * Values for the `hostKeyPolicy` setting and the StrictHostKeyChecking value
+ * they map to.
+ * @private
+ * @type {Object}
+ */
+var HOST_KEY_POLICIES = {
+    'strict':     'yes',
+    'yes':        'yes',
+    'accept-new': 'accept-new',
+    'ask':        'ask',
+    'no':         'no',
+    'off':        'no'
+};
+
+/**
+ * Default ControlPath when multiplexing is enabled without a path. The `%C`
+ * token is a hash of the connection, so every host gets its own socket.
+ * @type {String}
+ */
+var DEFAULT_CONTROL_PATH = '~/.ssh/rsync-%C';
+
+/**
+ * Build the ssh command for the `--rsh` option.
+ *
+ * Settings:
+ *
+ *   - `executable`      the ssh executable (defaults to `ssh`)
+ *   - `port`            port of the remote host (`-p`)
+ *   - `user`            login name on the remote host (`-l`)
+ *   - `identity`        identity file or list of identity files (`-i`)
+ *   - `knownHosts`      known_hosts file (`UserKnownHostsFile`)
+ *   - `hostKeyPolicy`   `strict`, `accept-new`, `ask` or `off` (`StrictHostKeyChecking`)
+ *   - `jump`            jump host or list of jump hosts (`-J`), as Strings or
+ *                       Objects with `user`, `host` and `port`
+ *   - `controlMaster`   `true`, `auto` or `autoask` to share connections (`ControlMaster`)
+ *   - `controlPath`     socket for shared connections (`ControlPath`)
+ *   - `controlPersist`  seconds or an ssh time to keep shared connections open (`ControlPersist`)
+ *   - `connectTimeout`  seconds to wait for a connection (`ConnectTimeout`)
+ *   - `options`         Object with additional `-o` options
+ *   - `args`            Array with additional arguments
+ *
+ * @param {Object} settings
+ * @return {String}
+ */
+function command(settings) {
+    settings = settings || {};
+
+    var args = [ settings.executable || 'ssh' ];
+    var options = [];
+
+    if (settings.port) {
+        args.push('-p', String(checkPort(settings.port)));
+    }
+    if (settings.user) {
+        args.push('-l', String(settings.user));
+    }
+    toList(settings.identity).forEach(function(identity) {
+        args.push('-i', String(identity));
+    });
+
+    var jumps = toList(settings.jump).map(jumpHost);
+    if (jumps.length) {
+        args.push('-J', jumps.join(','));
+    }
+
+    if (settings.knownHosts) {
+        options.push([ 'UserKnownHostsFile', settings.knownHosts ]);
+    }
+    if (settings.hostKeyPolicy !== undefined && settings.hostKeyPolicy !== null) {
+        options.push([ 'StrictHostKeyChecking', hostKeyPolicy(settings.hostKeyPolicy) ]);
+    }
+    if (settings.connectTimeout) {
+        options.push([ 'ConnectTimeout', settings.connectTimeout ]);
+    }
+    if (settings.controlMaster) {
+        options.push([ 'ControlMaster', (settings.controlMaster === true) ? 'auto' : settings.controlMaster ]);
+        options.push([ 'ControlPath', settings.controlPath || DEFAULT_CONTROL_PATH ]);
+        if (settings.controlPersist !== undefined && settings.controlPersist !== null) {
+            options.push([ 'ControlPersist', (settings.controlPersist === true) ? 'yes' : settings.controlPersist ]);
+        }
+    }
+
+    var extra = settings.options || {};
+    Object.keys(extra).forEach(function(name) {
+        options.push([ name, extra[name] ]);
+    });
+
+    options.forEach(function(option) {
+        args.push('-o', option[0] + '=' + option[1]);
+    });
+
+    if (settings.args) {
+        args = args.concat(toList(settings.args).map(String));
+    }
+
+    return args.map(quote).join(' ');
+}
+
+/**
+ * Quote an argument for the `--rsh` value. Arguments with spaces or quotes are
+ * put between single quotes, single quotes inside are put between double quotes.
+ *
+ * @param {String} arg
+ * @return {String}
+ */
+function quote(arg) {
+    arg = String(arg);
+    if (/^[A-Za-z0-9_@%+=:,.\/~\[\]-]+$/.test(arg)) {
+        return arg;
+    }
+    return "'" + arg.replace(/'/g, "'\"'\"'") + "'";
+}
+
+/**
+ * @private
+ */
+function jumpHost(jump) {
+    if (typeof(jump) === 'string') {
+        return jump;
+    }
+    if (!jump || !jump.host) {
+        throw new Error('Jump host must be a String or an Object with a host');
+    }
+
+    var host = (String(jump.host).indexOf(':') >= 0) ? '[' + jump.host + ']' : jump.host;
+    return (jump.user ? jump.user + '@' : '') + host + (jump.port ? ':' + checkPort(jump.port) : '');
+}
+
+/**
+ * @private
+ */
+function hostKeyPolicy(policy) {
+    if (policy === true || policy === false) {
+        return policy ? 'yes' : 'no';
+    }
+    if (!hasOP(HOST_KEY_POLICIES, policy)) {
+        throw new Error('Unknown host key policy ' + policy);
+    }
+    return HOST_KEY_POLICIES[policy];
+}
+
+/**
+ * @private
+ */
+function checkPort(port) {
+    var number = Number(port);
+    if (!(number > 0 && number < 65536 && number % 1 === 0)) {
+        throw new Error('Invalid ssh port ' + port);
+    }
+    return number;
+}
+
+/**
+ * @private
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return Array.isArray(value) ? value : [ value ];
+}
+
+exports.command = command;
+exports.quote   = quote;
+exports.DEFAULT_CONTROL_PATH = DEFAULT_CONTROL_PATH;
@@ -0,0 +1,138 @@
+var units = require('./units');
+
+/**
+ * Fields of the `--stats` block by the label rsync prints. Each field has the
+ * property name and whether the value has a fractional part.
+ *
+ * @private
+ * @type {Object}
+ */
+var FIELDS = {
+    'Number of files':                      [ 'files', false ],
+    'Number of created files':              [ 'createdFiles', false ],
+    'Number of deleted files':              [ 'deletedFiles', false ],
+    'Number of regular files transferred':  [ 'filesTransferred', false ],
+    'Number of files transferred':          [ 'filesTransferred', false ],
+    'Total file size':                      [ 'totalFileSize', false ],
+    'Total transferred file size':          [ 'totalTransferredFileSize', false ],
+    'Literal data':                         [ 'literalData', false ],
+    'Matched data':                         [ 'matchedData', false ],
+    'File list size':                       [ 'fileListSize', false ],
+    'File list generation time':            [ 'fileListGenerationTime', true ],
+    'File list transfer time':              [ 'fileListTransferTime', true ],
+    'Total bytes sent':                     [ 'bytesSent', false ],
+    'Total bytes received':                 [ 'bytesReceived', false ]
+};
+
+/**
+ * Number pattern as used in the summary lines.
+ * @private
+ * @type {String}
+ */
+var NUMBER = '([\\d.,]+[KMGTP]?)';
+
+var STATS_LINE   = /^([A-Z][A-Za-z ]+): ([\d.,]+[KMGTP]?)(?: bytes| seconds)?(?: \((.*)\))?\s*$/;
+var SENT_LINE    = new RegExp('^sent ' + NUMBER + ' bytes\\s+received ' + NUMBER + ' bytes\\s+' + NUMBER + ' bytes/sec');
+var SPEEDUP_LINE = new RegExp('^total size is ' + NUMBER + '\\s+speedup is ' + NUMBER);
+
+/**
+ * Parse the `--stats` output of rsync into a summary Object. Both raw numbers
+ * and human-readable numbers (`-h`) are supported. Lines that are not part of
+ * the statistics are ignored.
+ *
+ * Human-readable numbers are converted with powers of `base`, which defaults
+ * to 1000 like a single `-h` since rsync 3.1. Pass 1024 for `-hh` output or a
+ * single `-h` of older versions. Exact numbers are only available without `-h`.
+ *
+ * The returned Object contains the following Number properties, which are null
+ * when rsync did not print them (older versions print fewer statistics):
+ *
+ *   - `files`, `createdFiles`, `deletedFiles`, `filesTransferred`
+ *   - `totalFileSize`, `totalTransferredFileSize`, `literalData`, `matchedData`
+ *   - `fileListSize`, `fileListGenerationTime`, `fileListTransferTime` (seconds)
+ *   - `bytesSent`, `bytesReceived`, `bytesPerSecond`, `speedup`
+ *
+ * The `filesByType` property contains the counts per file type rsync prints
+ * with the number of files (`{ reg: 10, dir: 2 }`).
+ *
+ * Returns null when the output does not contain any statistics.
+ *
+ * @param {String} output
+ * @param {Number} base     The base of human-readable numbers (optional, defaults to 1000)
+ * @return {Object|null}
+ */
+function parse(output, base) {
+    var stats = {
+        files:                    null,
+        filesByType:              {},
+        createdFiles:             null,
+        deletedFiles:             null,
+        filesTransferred:         null,
+        totalFileSize:            null,
+        totalTransferredFileSize: null,
+        literalData:              null,
+        matchedData:              null,
+        fileListSize:             null,
+        fileListGenerationTime:   null,
+        fileListTransferTime:     null,
+        bytesSent:                null,
+        bytesReceived:            null,
+        bytesPerSecond:           null,
+        speedup:                  null
+    };
+    var found = false;
+
+    String(output).split(/\r\n|\r|\n/).forEach(function(line) {
+        var match = STATS_LINE.exec(line);
+        if (match && FIELDS.hasOwnProperty(match[1])) {
+            var field = FIELDS[match[1]];
+            stats[field[0]] = units.parseNumber(match[2], field[1], base);
+            if (field[0] === 'files' && match[3]) {
+                stats.filesByType = parseFileTypes(match[3], base);
+            }
+            found = true;
+            return;
+        }
+
+        match = SENT_LINE.exec(line);
+        if (match) {
+            stats.bytesSent      = units.parseNumber(match[1], false, base);
+            stats.bytesReceived  = units.parseNumber(match[2], false, base);
+            stats.bytesPerSecond = units.parseNumber(match[3], true, base);
+            found = true;
+            return;
+        }
+
+        match = SPEEDUP_LINE.exec(line);
+        if (match) {
+            stats.totalFileSize = units.parseNumber(match[1], false, base);
+            stats.speedup       = units.parseNumber(match[2], true);
+            found = true;
+        }
+    });
+
+    return (found) ? stats : null;
+}
+
+/**
+ * Parse the file type counts rsync prints after the number of files, for
+ * example `reg: 1,000, dir: 234`.
+ *
+ * @private
+ * @param {String} value
+ * @param {Number} base
+ * @return {Object}
+ */
+function parseFileTypes(value, base) {
+    var types   = {};
+    var pattern = /(\w+): ([\d.,]+[KMGTP]?)/g;
+    var match;
+
+    while ((match = pattern.exec(value)) !== null) {
+        types[match[1]] = units.parseNumber(match[2], false, base);
+    }
+
+    return types;
+}
+
+exports.parse = parse;
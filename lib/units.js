@@ -0,0 +1,68 @@
+/**
+ * Unit suffixes rsync uses in human-readable output, by power of the base.
+ * @private
+ * @type {Array}
+ */
+var UNITS = [ '', 'K', 'M', 'G', 'T', 'P' ];
+
+/**
+ * Default base of human-readable numbers. A single `-h` prints values in units
+ * of 1000 since rsync 3.1, `-hh` (and a single `-h` before 3.1) in units of 1024.
+ * @private
+ * @type {Number}
+ */
+var BASE = 1000;
+
+/**
+ * Parse a number as printed by rsync into a Number. Numbers can contain
+ * digit group separators (`1,234,567`) or be printed in human-readable
+ * format with a unit suffix (`1.23M`, `12.34kB`).
+ *
+ * Integers are printed with digit group separators only, so the separators
+ * are ignored unless the value has a unit or `decimal` is set. In that case
+ * the last separator is the decimal separator (`4,936.00`).
+ *
+ * Human-readable values are converted with powers of `base` and are therefore
+ * an approximation of the actual value.
+ *
+ * @param {String} value
+ * @param {Boolean} decimal     Whether the value has a fractional part (optional)
+ * @param {Number} base         The base of unit suffixes, 1000 or 1024 (optional, defaults to 1000)
+ * @return {Number|null} The parsed number or null if the value is not a number
+ */
+function parseNumber(value, decimal, base) {
+    var match = /^([\d.,]+)\s*([kKMGTP]?)B?$/.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+
+    var digits = match[1];
+    var unit   = match[2].toUpperCase();
+
+    if (!unit && !decimal) {
+        return parseInt(digits.replace(/[.,]/g, ''), 10);
+    }
+
+    digits = digits.replace(/[.,](?=\d*[.,])/g, '').replace(',', '.');
+    if (!unit) {
+        return parseFloat(digits);
+    }
+    return Math.round(parseFloat(digits) * Math.pow(base || BASE, UNITS.indexOf(unit)));
+}
+
+/**
+ * Parse a duration in `h:mm:ss` format into a number of seconds.
+ *
+ * @param {String} value
+ * @return {Number|null} The number of seconds or null for an unknown duration
+ */
+function parseDuration(value) {
+    var match = /^(\d+):(\d{2}):(\d{2})$/.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+}
+
+exports.parseNumber   = parseNumber;
+exports.parseDuration = parseDuration;
@@ -0,0 +1,410 @@
+var path = require('path');
+var schema = require('./schema');
+var Location = require('./location');
+var RsyncUnsupportedError = require('./errors').RsyncUnsupportedError;
+var hasOP = require('./helpers').hasOP;
+
+/**
+ * Detection of the rsync version and the options it supports.
+ *
+ * The output of `rsync --version` is parsed into the version, the protocol
+ * version and the compiled-in capabilities. Options that need a newer version
+ * or a missing capability are refused before rsync is started, or replaced by
+ * an older equivalent when one exists.
+ */
+
+/**
+ * Detected versions by executable and search path (see `cacheKey`). Pending
+ * detections are shared.
+ * @private
+ * @type {Object}
+ */
+var cache = Object.create(null);
+
+/**
+ * The versions and capabilities options need, by long option name. Options
+ * with a `downgrade` can be replaced on older versions: it returns the options
+ * to set instead, given the value of the option.
+ *
+ * @type {Object}
+ */
+var REQUIREMENTS = {
+    'append-verify':       { version: '3.0.0', downgrade: replaceWith('append') },
+    'protect-args':        { version: '3.0.0' },
+    'delete-delay':        { version: '3.0.0', downgrade: replaceWith('delete-after') },
+    'remove-source-files': { version: '3.0.0', downgrade: replaceWith('remove-sent-files') },
+    'iconv':               { version: '3.0.0', capability: 'iconv' },
+    'acls':                { version: '3.0.0', capability: 'acls' },
+    'xattrs':              { version: '3.0.0', capability: 'xattrs' },
+    'fake-super':          { version: '3.0.0' },
+    'contimeout':          { version: '3.0.0' },
+    'info':                { version: '3.1.0', downgrade: downgradeInfo },
+    'debug':               { version: '3.1.0' },
+    'msgs2stderr':         { version: '3.1.0' },
+    'usermap':             { version: '3.1.0' },
+    'groupmap':            { version: '3.1.0' },
+    'chown':               { version: '3.1.0' },
+    'preallocate':         { version: '3.1.0' },
+    'ignore-missing-args': { version: '3.1.0' },
+    'delete-missing-args': { version: '3.1.0' },
+    'omit-link-times':     { version: '3.1.0' },
+    'munge-links':         { version: '3.1.0' },
+    'outbuf':              { version: '3.1.0' },
+    'checksum-choice':     { version: '3.2.0', list: 'checksums' },
+    'cc':                  { version: '3.2.0', list: 'checksums' },
+    'compress-choice':     { version: '3.2.0', list: 'compressors' },
+    'zc':                  { version: '3.2.0', list: 'compressors' },
+    'atimes':              { version: '3.2.0', capability: 'atimes' },
+    'open-noatime':        { version: '3.2.0' },
+    'crtimes':             { version: '3.2.0', capability: 'crtimes' },
+    'copy-as':             { version: '3.2.0' },
+    'max-alloc':           { version: '3.2.0' },
+    'write-devices':       { version: '3.2.0' },
+    'early-input':         { version: '3.2.1' },
+    'mkpath':              { version: '3.2.3' },
+    'stop-after':          { version: '3.2.3' },
+    'time-limit':          { version: '3.2.3' },
+    'stop-at':             { version: '3.2.3' },
+    'fsync':               { version: '3.2.4' },
+    'stderr':              { version: '3.2.4' },
+    // Older versions pass arguments the old way and trust the sender
+    'old-args':            { version: '3.2.4', downgrade: replaceWith() },
+    'trust-sender':        { version: '3.2.5', downgrade: replaceWith() },
+    'secluded-args':       { version: '3.2.6', downgrade: replaceWith('protect-args') }
+};
+
+/**
+ * Parse the output of `rsync --version`.
+ *
+ * The result has the `version` String and its `major`, `minor` and `patch`
+ * numbers, the `protocol` version, the `capabilities` as an Object with a
+ * Boolean for each listed capability (lower case, `no ACLs` is `acls: false`),
+ * the `checksums` and `compressors` rsync can negotiate (empty before 3.2.0)
+ * and whether `acls` and `xattrs` are supported.
+ *
+ * @param {String} output
+ * @return {Object}
+ */
+function parse(output) {
+    output = String(output);
+
+    var version = /\bversion\s+v?(\d+)\.(\d+)\.(\d+)([^\s]*)/.exec(output);
+    if (!version) {
+        throw new Error('Unable to parse the rsync version from: ' + output.split(/\r?\n/)[0]);
+    }
+    var protocol = /protocol version\s+(\d+)/.exec(output);
+
+    var sections = splitSections(output);
+    var capabilities = {};
+    (sections['capabilities'] || '').split(',').forEach(function(item) {
+        item = item.trim().toLowerCase();
+        if (!item) {
+            return;
+        }
+        var negated = /^no\s+(.+)$/.exec(item);
+        var optional = /^optional\s+(.+)$/.exec(item);
+        if (negated) {
+            capabilities[negated[1]] = false;
+        }
+        else {
+            capabilities[optional ? optional[1] : item] = true;
+        }
+    });
+
+    return {
+        version:      version[1] + '.' + version[2] + '.' + version[3] + version[4],
+        major:        Number(version[1]),
+        minor:        Number(version[2]),
+        patch:        Number(version[3]),
+        protocol:     protocol ? Number(protocol[1]) : null,
+        capabilities: capabilities,
+        checksums:    splitList(sections['checksum list']),
+        compressors:  splitList(sections['compress list']),
+        acls:         capabilities['acls'] === true,
+        xattrs:       capabilities['xattrs'] === true
+    };
+}
+
+/**
+ * Compare two versions.
+ *
+ * @param {String|Object} a    Version String or parsed version
+ * @param {String|Object} b    Version String or parsed version
+ * @return {Number} Negative when a is older than b, positive when newer, 0 when equal
+ */
+function compare(a, b) {
+    a = numbers(a);
+    b = numbers(b);
+    for (var i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+    return 0;
+}
+
+/**
+ * Check the options of a command against a detected version.
+ *
+ * The result has the `unsupported` options that can not be used, and the
+ * `downgrades` for options that can be replaced, each with the `option` name,
+ * the `replacement` options and a `message`.
+ *
+ * @param {Object} options  The options of a command by name
+ * @param {Object} info     A parsed version
+ * @return {Object}
+ */
+function check(options, info) {
+    var unsupported = [];
+    var downgrades  = [];
+
+    // Replacements can need a newer version themselves
+    var isSupported = function(name) {
+        return !REQUIREMENTS[name] || compare(info, REQUIREMENTS[name].version) >= 0;
+    };
+
+    Object.keys(options).forEach(function(name) {
+        var definition = schema.find(name);
+        var long = definition && definition.long;
+        var requirement = long && REQUIREMENTS[long];
+        if (!requirement) {
+            return;
+        }
+
+        var display = (name.length === 1 ? '-' : '--') + name;
+        var prefix = 'rsync ' + info.version;
+
+        if (compare(info, requirement.version) < 0) {
+            var message = prefix + ' does not support ' + display + ' (requires ' + requirement.version + ')';
+            var replacement = requirement.downgrade ? requirement.downgrade(options[name]) : null;
+            if (replacement && Object.keys(replacement).every(isSupported)) {
+                downgrades.push({ option: name, replacement: replacement, message: message });
+            }
+            else {
+                unsupported.push(message);
+            }
+        }
+        else if (requirement.capability && info.capabilities[requirement.capability] === false) {
+            unsupported.push(prefix + ' is built without ' + requirement.capability + ' support, needed for ' + display);
+        }
+        else if (requirement.list && info[requirement.list].length) {
+            [].concat(options[name]).join(',').split(',').forEach(function(value) {
+                if (value && value !== 'auto' && info[requirement.list].indexOf(value) < 0) {
+                    unsupported.push(prefix + ' does not support ' + value + ' for ' + display +
+                        ' (supported: ' + info[requirement.list].join(', ') + ')');
+                }
+            });
+        }
+    });
+
+    return { unsupported: unsupported, downgrades: downgrades };
+}
+
+/**
+ * Adapt a command to a detected version. In `downgrade` mode options with an
+ * older equivalent are replaced on a copy of the command, in `refuse` mode
+ * they are refused like other unsupported options.
+ *
+ * Throws an `RsyncUnsupportedError` when options are refused.
+ *
+ * @param {Rsync} cmd
+ * @param {Object} info     A parsed version
+ * @param {String} mode     `refuse` or `downgrade`
+ * @return {Object} With the `command` to run and the `downgrades` messages
+ */
+function adapt(cmd, info, mode) {
+    var command = cmd;
+
+    // Versions without `--protect-args` get the remote paths escaped instead
+    var options = Location.commandOptions(cmd);
+    if (hasOP(options, 'protect-args') && !cmd.isSet('protect-args') &&
+        check({ 'protect-args': null }, info).unsupported.length) {
+        command = cmd.clone();
+        command._escapeLocations = true;
+        options = Location.commandOptions(command);
+    }
+
+    // Options added for the locations, like the ssh port, are checked too
+    var report = check(options, info);
+    var refused = report.unsupported;
+
+    if (mode !== 'downgrade') {
+        refused = refused.concat(report.downgrades.map(function(downgrade) {
+            return downgrade.message;
+        }));
+    }
+    if (refused.length) {
+        throw new RsyncUnsupportedError({ version: info.version, unsupported: refused });
+    }
+
+    if (report.downgrades.length) {
+        if (command === cmd) {
+            command = cmd.clone();
+        }
+        report.downgrades.forEach(function(downgrade) {
+            // Without `--old-args` the paths are still escaped like it does
+            if (downgrade.option === 'old-args') {
+                command._escapeLocations = true;
+            }
+            delete command._options[downgrade.option];
+            Object.keys(downgrade.replacement).forEach(function(name) {
+                command._options[name] = downgrade.replacement[name];
+            });
+        });
+    }
+
+    return {
+        command:    command,
+        downgrades: report.downgrades.map(function(downgrade) {
+            var replacement = Object.keys(downgrade.replacement).map(function(name) {
+                return '--' + name;
+            });
+            return downgrade.message + ', ' + (replacement.length ? 'using ' + replacement.join(' ') + ' instead' : 'ignored');
+        })
+    };
+}
+
+/**
+ * Detect the version of the executable of a command by running it with
+ * `--version`, with the shell settings, working directory and environment of
+ * the command. Results are cached by the resolved executable and the `PATH`
+ * of the environment.
+ *
+ * @param {Rsync} cmd
+ * @param {Object} options  `refresh` to detect again (optional)
+ * @return {Promise}
+ */
+function detect(cmd, options) {
+    var key = cacheKey(cmd);
+    if (cache[key] && !(options && options.refresh)) {
+        return cache[key];
+    }
+
+    var probe = new cmd.constructor({
+        executable:      cmd.executable(),
+        executableShell: cmd.executableShell(),
+        useShell:        cmd.useShell()
+    });
+    probe._cwd = cmd._cwd;
+    probe._env = cmd._env;
+    probe.set('version');
+
+    var detection = probe.run().then(function(result) {
+        return parse(result.stdout);
+    });
+    cache[key] = detection;
+
+    // Failed detections are not cached
+    detection.catch(function() {
+        if (cache[key] === detection) {
+            delete cache[key];
+        }
+    });
+
+    return detection;
+}
+
+/**
+ * Key of a command in the detection cache. Relative executable paths are
+ * resolved from the working directory, names are looked up in the `PATH`, so
+ * both are part of the key.
+ * @private
+ */
+function cacheKey(cmd) {
+    var executable = cmd.executable();
+    if (/[\/\\]/.test(executable)) {
+        executable = path.resolve(cmd.cwd(), executable);
+    }
+    var env = cmd.env() || {};
+    var searchPath = env.PATH || env.Path || '';
+    return JSON.stringify([ executable, searchPath ]);
+}
+
+/**
+ * @private
+ */
+function replaceWith(option) {
+    return function() {
+        var replacement = {};
+        if (option) {
+            replacement[option] = null;
+        }
+        return replacement;
+    };
+}
+
+/**
+ * `--info=progress2` shows the progress of the whole transfer, older versions
+ * only have the per-file `--progress`. Other info flags only change the output.
+ * @private
+ */
+function downgradeInfo(value) {
+    var progress = [].concat(value).join(',').split(',').some(function(flag) {
+        return /^progress/.test(flag);
+    });
+    return progress ? { 'progress': null } : {};
+}
+
+/**
+ * Split the version output into the sections with a `Name:` header. The
+ * content of a section can start on the header line and continues on the
+ * indented lines below it.
+ * @private
+ */
+function splitSections(output) {
+    var sections = {};
+    var current = null;
+
+    output.split(/\r?\n/).forEach(function(line) {
+        var header = /^\s*([A-Za-z][A-Za-z ]*):(.*)$/.exec(line);
+        if (header && !/^\s/.test(line)) {
+            current = header[1].toLowerCase();
+            sections[current] = header[2];
+        }
+        else if (current && /^\s+\S/.test(line)) {
+            sections[current] += '\n' + line;
+        }
+        else {
+            current = null;
+        }
+    });
+
+    // Lines of a list end without a comma
+    Object.keys(sections).forEach(function(name) {
+        if (name === 'capabilities') {
+            sections[name] = sections[name].replace(/([^,\s])\s*\n/g, '$1,\n');
+        }
+    });
+
+    return sections;
+}
+
+/**
+ * @private
+ */
+function splitList(list) {
+    return (list || '').split(/\s+/).filter(function(item) {
+        return item && !/^\(.*\)$/.test(item);
+    });
+}
+
+/**
+ * @private
+ */
+function numbers(version) {
+    if (version && typeof(version) === 'object') {
+        return [ version.major, version.minor, version.patch ];
+    }
+    var match = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(version));
+    if (!match) {
+        throw new Error('Invalid version: ' + version);
+    }
+    return [ Number(match[1]), Number(match[2] || 0), Number(match[3] || 0) ];
+}
+
+exports.REQUIREMENTS = REQUIREMENTS;
+exports.parse        = parse;
+exports.compare      = compare;
+exports.check        = check;
+exports.adapt        = adapt;
+exports.detect       = detect;
@@ -1,6 +1,27 @@
-var spawn = require('child_process').spawn;
 var path = require('path');
 
+var lines = require('./lib/lines');
+var progress = require('./lib/progress');
+var itemize = require('./lib/itemize');
+var stats = require('./lib/stats');
+var RsyncError = require('./lib/errors');
+var RsyncRun = require('./lib/run');
+var spawnCommand = require('./lib/spawn');
+var RsyncQueue = require('./lib/queue');
+var RsyncServer = require('./lib/server');
+var parser = require('./lib/parse');
+var serializer = require('./lib/serialize');
+var Location = require('./lib/location');
+var ssh = require('./lib/ssh');
+var daemon = require('./lib/daemon');
+var filters = require('./lib/filters');
+var simulate = require('./lib/simulate');
+var FileList = require('./lib/filelist');
+var filterFile = require('./lib/filterfile');
+var schema = require('./lib/schema');
+var version = require('./lib/version');
+var hasOP = require('./lib/helpers').hasOP;
+
 /**
  * Rsync is a wrapper class to configure and execute an `rsync` command
  * in a fluent and convenient way.
@@ -57,6 +78,9 @@ function Rsync(config) {
     // shell
     this._executableShell = hasOP(config, 'executableShell') ? config.executableShell : '/bin/sh';
 
+    // execute through a shell or spawn the executable directly
+    this._useShell = hasOP(config, 'useShell') ? config.useShell : true;
+
     // source(s) and destination
     this._sources     = [];
     this._destination = '';
@@ -64,15 +88,38 @@ function Rsync(config) {
     // ordered list of file patterns to include/exclude
     this._patterns = [];
 
+    // when the filter rules are passed through a managed file
+    this._filterFile = null;
+
+    // in-memory list of files to transfer, written to stdin
+    this._filesFrom = null;
+
     // options
     this._options = {};
 
     // output callbacks
     this._outputHandlers = {
-        stdout: null,
-        stderr: null
+        stdout:   null,
+        stderr:   null,
+        progress: null,
+        file:     null
     };
 
+    // how output is passed to the stdout and stderr handlers
+    this._outputOptions = {
+        lines:    false,
+        encoding: null
+    };
+
+    // runs that are in progress, used for cancellation
+    this._runs = [];
+
+    // retry policy for run
+    this._retry = null;
+
+    // escape remote paths instead of adding --protect-args, for old versions
+    this._escapeLocations = false;
+
     this._cwd = process.cwd();
 
     // Allow child_process.spawn env overriding
@@ -80,6 +127,18 @@ function Rsync(config) {
 
     // Debug parameter
     this._debug = hasOP(config, 'debug') ? config.debug : false;
+
+    // How options are validated
+    this._validation = false;
+    if (hasOP(config, 'validation')) {
+        this.validation(config.validation);
+    }
+
+    // How options are checked against the rsync version before a run
+    this._versionCheck = false;
+    if (hasOP(config, 'versionCheck')) {
+        this.versionCheck(config.versionCheck);
+    }
 }
 
 /**
@@ -105,8 +164,246 @@ Rsync.build = function(options) {
     return command;
 };
 
+/**
+ * Parse an rsync command line into a new Rsync command. The command line can be
+ * a String, which is split into arguments like a POSIX shell does, or an Array
+ * of arguments. In both cases the first argument is the executable.
+ *
+ * Flags, options with values (`--option=value`, `--option value` and `-e value`),
+ * repeated options, include/exclude patterns and filter rules (kept in order),
+ * sources and the destination are supported. The `-e` option is stored as
+ * `rsh`, the same as the `shell` method.
+ *
+ * @example
+ *   var rsync = Rsync.parse('rsync -avz --exclude=.git -e "ssh -p 2222" src/ host:dst');
+ *   rsync.source();      // [ 'src/' ]
+ *   rsync.shell();       // 'ssh -p 2222'
+ *
+ * @param {String|Array} command
+ * @return {Rsync}
+ */
+Rsync.parse = function(command) {
+    var argv = isArray(command) ? command.slice() : parser.tokenize(command);
+    if (argv.length === 0) {
+        throw new Error('Cannot parse an empty rsync command');
+    }
+
+    var rsync = new Rsync().executable(String(argv.shift()));
+    return parser.applyArgs(rsync, argv);
+};
+
+/**
+ * Create the location of a path on a remote host that is reached through the
+ * remote shell, rendered as `user@host:path`. IPv6 addresses are put between
+ * brackets.
+ *
+ * A `port` is passed to ssh: it is added to the `rsh` option, or `ssh -p PORT`
+ * is used when no remote shell is configured. Paths with spaces or shell
+ * characters add `--protect-args`, which requires rsync 3.0.0. A version
+ * check (see `versionCheck` and `forVersion`) escapes them with backslashes
+ * instead for older versions.
+ *
+ * @example
+ *   rsync.destination(Rsync.remote({ user: 'backup', host: 'fe80::1', port: 2222, path: 'my files/' }));
+ *
+ * @param {Object} spec     `user` (optional), `host`, `port` (optional) and `path`
+ * @return {Location}
+ */
+Rsync.remote = function(spec) {
+    return new Location(locationSpec('remote', spec));
+};
+
+/**
+ * Create the location of a path in a module of an rsync daemon, rendered as
+ * `rsync://user@host:port/module/path`.
+ *
+ * @example
+ *   rsync.source(Rsync.daemon({ host: 'mirror.example.com', module: 'pub', path: 'iso/' }));
+ *
+ * @param {Object} spec     `user` (optional), `host`, `port` (optional), `module` and `path`
+ * @return {Location}
+ */
+Rsync.daemon = function(spec) {
+    return new Location(locationSpec('daemon', spec));
+};
+
+/**
+ * Parse a source or destination String into a Location, the way rsync
+ * interprets it: `host:path` and `[ipv6]:path` are remote shell locations,
+ * `host::module/path` and `rsync://` URLs are daemon locations and everything
+ * else is local.
+ *
+ * @param {String} location
+ * @return {Location}
+ */
+Rsync.location = Location.parse;
+
+/**
+ * Build the ssh command for the `--rsh` option from structured settings. See
+ * the `ssh` method for the settings.
+ *
+ * @function
+ * @param {Object} settings
+ * @return {String}
+ */
+Rsync.sshCommand = ssh.command;
+
+/**
+ * Location class for sources and destinations. See `lib/location.js`.
+ *
+ * @type {Function}
+ */
+Rsync.Location = Location;
+
+/**
+ * The table of options rsync accepts, with the `long` and `short` name, the
+ * type of the `value` and whether the option is `repeatable`. See
+ * `lib/schema.js`.
+ *
+ * @type {Array}
+ */
+Rsync.OPTIONS = schema.OPTIONS;
+
+/**
+ * Find an option in the table of options by its long or short name.
+ *
+ * @function
+ * @param {String} name
+ * @return {Object|null}
+ */
+Rsync.findOption = schema.find;
+
+/**
+ * Parse the output of `rsync --version` into the `version`, `protocol`,
+ * `capabilities`, `checksums` and `compressors`. See `lib/version.js`.
+ *
+ * @function
+ * @param {String} output
+ * @return {Object}
+ */
+Rsync.parseVersion = version.parse;
+
+/**
+ * Restore an Rsync command from the serialized configuration produced by
+ * `toJSON`. Accepts the Object or its JSON String.
+ *
+ * Stored data carries a schema `version`. Data from an older version is migrated
+ * before it is restored, an Object without a version is treated as options for
+ * `Rsync.build`. Data from a newer version is refused with an Error.
+ *
+ * @example
+ *   db.save(job.id, JSON.stringify(rsync));
+ *   var restored = Rsync.fromJSON(db.load(job.id));
+ *
+ * @param {Object|String} data
+ * @return {Rsync}
+ */
+Rsync.fromJSON = function(data) {
+    if (typeof(data) === 'string') {
+        data = JSON.parse(data);
+    }
+    return serializer.deserialize(Rsync, data);
+};
+
+/**
+ * The version of the configuration schema written by `toJSON`.
+ *
+ * @type {Number}
+ */
+Rsync.SCHEMA_VERSION = serializer.VERSION;
+
+/**
+ * Parse a progress line as printed by rsync with `--progress` or
+ * `--info=progress2`. See `progressHandler` for the returned Object.
+ *
+ * @function
+ * @param {String} line
+ * @param {Number} base     The base of human-readable numbers, 1000 or 1024 (optional, defaults to 1000)
+ * @return {Object|null} The progress or null when the line is not a progress line
+ */
+Rsync.parseProgress = progress.parse;
+
+/**
+ * Parse an itemized change line as printed by rsync with `--itemize-changes`.
+ * See `fileHandler` for the returned Object.
+ *
+ * @function
+ * @param {String} line
+ * @return {Object|null} The change or null when the line is not an itemized change
+ */
+Rsync.parseItemized = itemize.parse;
+
+/**
+ * Parse the statistics rsync prints with `--stats` into a summary Object.
+ * See `lib/stats.js` for the properties of the returned Object.
+ *
+ * Human-readable numbers are converted with powers of `base`: 1000 for a
+ * single `-h` of rsync 3.1 and later, 1024 for `-hh` or older versions.
+ *
+ * @function
+ * @param {String} output
+ * @param {Number} base     The base of human-readable numbers (optional, defaults to 1000)
+ * @return {Object|null} The statistics or null when the output contains none
+ */
+Rsync.parseStats = stats.parse;
+
+/**
+ * Parse the module list an rsync daemon prints for `rsync host::` into an
+ * Array of Objects with the `name` and `comment` of each module.
+ *
+ * @function
+ * @param {String} output
+ * @return {Array}
+ */
+Rsync.parseModules = daemon.parseModules;
+
+/**
+ * Error class for commands that do not exit successfully. The error carries
+ * the exit code and its meaning, the command, the signal and the last lines
+ * on stderr. See `lib/errors.js`.
+ *
+ * @type {Function}
+ */
+Rsync.RsyncError = RsyncError;
+
+/**
+ * Error class for runs that were terminated by a timeout. It extends
+ * `RsyncError` with the `kind` and `timeout` properties.
+ *
+ * @type {Function}
+ */
+Rsync.RsyncTimeoutError = RsyncError.RsyncTimeoutError;
+
+/**
+ * Error class for commands with options the installed rsync does not support,
+ * raised before rsync is started. See `versionCheck`.
+ *
+ * @type {Function}
+ */
+Rsync.RsyncUnsupportedError = RsyncError.RsyncUnsupportedError;
+
+/**
+ * Queue for running many Rsync commands with concurrency limits per queue and
+ * per remote host, priorities and pause/resume. See `lib/queue.js`.
+ *
+ * @type {Function}
+ */
+Rsync.Queue = RsyncQueue;
+
+/**
+ * Local rsync daemon that runs in the foreground, with the `rsyncd.conf` and
+ * secrets file generated from a configuration Object. See `lib/server.js`.
+ *
+ * @type {Function}
+ */
+Rsync.Server = RsyncServer;
+
 /**
  * Set an option.
+ *
+ * When validation is enabled (see `validation`) the option is checked against
+ * the table of rsync options first.
+ *
  * @param {String} option
  * @param mixed value
  * @return Rsync
@@ -114,6 +411,16 @@ Rsync.build = function(options) {
 Rsync.prototype.set = function(option, value) {
     option = stripLeadingDashes(option);
     if (option && option.length > 0) {
+        if (this._validation) {
+            var names = Object.keys(this._options);
+            var existing = schema.conflicts(names);
+            var problems = schema.check(option, value || null).concat(
+                schema.conflicts(names.concat(option)).filter(function(problem) {
+                    return existing.indexOf(problem) < 0;
+                })
+            );
+            reportProblems(this, problems);
+        }
         this._options[option] = value || null;
     }
     return this;
@@ -217,6 +524,50 @@ Rsync.prototype.option = function(name) {
     return this._options[name];
 };
 
+/**
+ * Get or set how options are validated against the table of rsync options
+ * (see `Rsync.OPTIONS`) when they are set. Unknown options, missing or invalid
+ * values, repeated values for options that can only be given once and options
+ * that can not be combined are reported.
+ *
+ *   - `false`     options are not validated (the default)
+ *   - `'warn'`    problems are emitted as process warnings (`RsyncOptionWarning`)
+ *   - `'strict'`  problems throw an Error and the option is not set
+ *   - a Function  called with the message of each problem
+ *
+ * The mode can also be passed as the `validation` config setting.
+ *
+ * @example
+ *   new Rsync({ validation: 'strict' }).set('exlude', '*.tmp');
+ *   // Error: Unknown option --exlude, did you mean --exclude?
+ *
+ * @param {Boolean|String|Function} mode
+ * @return {Rsync|Boolean|String|Function}
+ */
+Rsync.prototype.validation = function(mode) {
+    if (!arguments.length) return this._validation;
+
+    if (mode === 'off' || mode === null) {
+        mode = false;
+    }
+    if (mode !== false && mode !== 'warn' && mode !== 'strict' && typeof(mode) !== 'function') {
+        throw new Error('Validation must be false, warn, strict or a Function');
+    }
+    this._validation = mode;
+
+    return this;
+};
+
+/**
+ * Check the options of the command against the table of rsync options,
+ * regardless of the `validation` mode.
+ *
+ * @return {Array} Messages for the problems that were found
+ */
+Rsync.prototype.validate = function() {
+    return schema.validate(this._options);
+};
+
 /**
  * Register a list of file patterns to include/exclude in the transfer. Patterns can be
  * registered as an array of Strings or Objects.
@@ -227,7 +578,8 @@ Rsync.prototype.option = function(name) {
  *
  * When registering the pattern as an Object it must contain the `action` and
  * `pattern` keys where `action` contains the `+` or `-` sign and the `pattern`
- * key contains the file pattern, without the `+` or `-` sign.
+ * key contains the file pattern, without the `+` or `-` sign. Objects can also
+ * contain any other filter rule, see `filter`.
  *
  * @example
  *   // on an existing rsync object
@@ -262,6 +614,10 @@ Rsync.prototype.patterns = function(patterns) {
             hasOP(pattern, 'action') &&
             hasOP(pattern, 'pattern')
         ) {
+            if (pattern.modifiers || (pattern.action !== '+' && pattern.action !== '-')) {
+                this.filter(pattern);
+                return;
+            }
             action  = pattern.action;
             pattern = pattern.pattern;
         }
@@ -326,91 +682,332 @@ Rsync.prototype.include = function(patterns) {
 };
 
 /**
- * Get the command that is going to be executed.
- * @return {String}
+ * Add one or more filter rules. The rules are added to the ordered list of
+ * patterns, together with the includes and excludes, and are passed to rsync
+ * as `--filter` options in the same order.
+ *
+ * Rules are Strings in rsync's filter syntax, in the short form
+ * (`P /backup`, `-/ /etc/passwd`, `: .rsync-filter`, `!`) or the long form
+ * (`protect /backup`, `dir-merge,- .excludes`), or Objects with the `action`
+ * (`+`, `-`, `P`, `R`, `H`, `S`, `!`, `.`, `:` or their long names), the
+ * `modifiers` and the `pattern` or merge file name.
+ *
+ * Without arguments the list of rules is returned in the short form, including
+ * the includes and excludes.
+ *
+ * @example
+ *   rsync.filter(': .rsync-filter', 'P /backup/', { action: 'hide', modifiers: 's', pattern: '*.tmp' });
+ *
+ * @param {String|Object|Array} rules
+ * @return {Rsync|Array}
  */
-Rsync.prototype.command = function() {
-    return this.executable() + ' ' + this.args().join(' ');
+Rsync.prototype.filter = function(rules) {
+    if (!arguments.length) {
+        return this._patterns.map(filters.format);
+    }
+    if (arguments.length > 1) {
+        rules = Array.prototype.slice.call(arguments, 0);
+    }
+    if (!isArray(rules)) {
+        rules = [ rules ];
+    }
+
+    // Validate all rules before any of them is added
+    rules = rules.map(filters.parse);
+    this._patterns = this._patterns.concat(rules);
+
+    return this;
 };
 
 /**
- * String representation of the Rsync command. This is the command that is
- * going to be executed when calling Rsync::execute.
- * @return {String}
+ * Protect files matching the pattern from being deleted (`P` rule).
+ *
+ * @param {String} pattern
+ * @param {String} modifiers    Rule modifiers (optional)
+ * @return {Rsync}
  */
-Rsync.prototype.toString = Rsync.prototype.command;
+Rsync.prototype.protect = function(pattern, modifiers) {
+    return this.filter(filters.create('P', modifiers, pattern));
+};
 
 /**
- * Get the arguments for the rsync command.
- * @return {Array}
+ * Allow files matching the pattern to be deleted after all (`R` rule).
+ *
+ * @param {String} pattern
+ * @param {String} modifiers    Rule modifiers (optional)
+ * @return {Rsync}
  */
-Rsync.prototype.args = function() {
-    // Gathered arguments
-    var args = [];
+Rsync.prototype.risk = function(pattern, modifiers) {
+    return this.filter(filters.create('R', modifiers, pattern));
+};
 
-    // Add options. Short options (one letter) without values are gathered together.
-    // Long options have a value but can also be a single letter.
-    var short = [];
-    var long  = [];
+/**
+ * Hide files matching the pattern from the transfer on the sending side (`H` rule).
+ *
+ * @param {String} pattern
+ * @param {String} modifiers    Rule modifiers (optional)
+ * @return {Rsync}
+ */
+Rsync.prototype.hide = function(pattern, modifiers) {
+    return this.filter(filters.create('H', modifiers, pattern));
+};
 
-    // Split long and short options
-    for (var key in this._options) {
-        if (hasOP(this._options, key)) {
-            var value = this._options[key];
-            var noval = (value === null || value === undefined);
+/**
+ * Show files matching the pattern on the sending side after all (`S` rule).
+ *
+ * @param {String} pattern
+ * @param {String} modifiers    Rule modifiers (optional)
+ * @return {Rsync}
+ */
+Rsync.prototype.show = function(pattern, modifiers) {
+    return this.filter(filters.create('S', modifiers, pattern));
+};
 
-            // Check for short option (single letter without value)
-            if (key.length === 1 && noval) {
-                short.push(key);
-            }
-            else {
-                if (isArray(value)) {
-                    value.forEach(function (val) {
-                        long.push(buildOption(key, val, escapeShellArg));
-                    });
-                }
-                else {
-                    long.push(buildOption(key, value, escapeShellArg));
-                }
-            }
+/**
+ * Read filter rules from a file (`.` rule).
+ *
+ * @param {String} file
+ * @param {String} modifiers    Merge modifiers, like `-` to read excludes (optional)
+ * @return {Rsync}
+ */
+Rsync.prototype.merge = function(file, modifiers) {
+    return this.filter(filters.create('.', modifiers, file));
+};
 
-        }
+/**
+ * Read filter rules from a file in every directory of the transfer (`:` rule),
+ * like `dirMerge('.rsync-filter')`.
+ *
+ * @param {String} file
+ * @param {String} modifiers    Merge modifiers, like `n` to not inherit rules (optional)
+ * @return {Rsync}
+ */
+Rsync.prototype.dirMerge = function(file, modifiers) {
+    return this.filter(filters.create(':', modifiers, file));
+};
+
+/**
+ * Get or set when the filter rules are passed to rsync through a managed
+ * temporary file instead of separate arguments, which keeps long rule lists
+ * within the command line length limits and the command readable.
+ *
+ * Pass `true` to always use a file, `false` to never use one or the number of
+ * rules above which a file is used. By default a file is used for more than
+ * 1000 rules. The file is read with `--exclude-from` when all rules are simple
+ * includes and excludes and with a `merge` filter rule otherwise. It is written
+ * when rsync is started and deleted when it exits, also when the run fails.
+ * See `lib/filterfile.js`.
+ *
+ * @example
+ *   rsync.exclude(hugeListOfPatterns).filterFile(true);
+ *   rsync.command();
+ *   // rsync --exclude-from=/tmp/node-rsync-1234-9f86d081884c/2c26b46b68ffc68f.rules src/ dest/
+ *
+ * @param {Boolean|Number} setting
+ * @return {Rsync|Boolean|Number|null}
+ */
+Rsync.prototype.filterFile = function(setting) {
+    if (!arguments.length) return this._filterFile;
+
+    if (setting !== null && typeof(setting) !== 'boolean' && !(typeof(setting) === 'number' && setting >= 0)) {
+        throw new Error('Filter file setting must be a Boolean or a number of rules');
     }
+    this._filterFile = setting;
 
-    // Add combined short options if any are present
-    if (short.length > 0) {
-        args.push('-' + short.join(''));
+    return this;
+};
+
+/**
+ * Preview which paths the filter rules of the command include, without running
+ * rsync. The paths are relative to the transfer root, paths ending with a `/`
+ * are directories. The rules are evaluated with rsync's first-match semantics
+ * and excluded directories prune everything in them. See `lib/simulate.js`.
+ *
+ * The result has the `entries`, each with the `path`, `type` (`file` or
+ * `dir`), whether it is `included`, the deciding `rule` (null when no rule
+ * matched) and the directory it was pruned by (`prunedBy`), and `warnings` for
+ * rules that can not be evaluated, like merge rules.
+ *
+ * @example
+ *   rsync.exclude('node_modules').exclude('*.log');
+ *   rsync.filterPaths([ 'src/index.js', 'node_modules/a/index.js', 'debug.log' ]).entries;
+ *   // src/index.js is included, node_modules/a/index.js is pruned by
+ *   // '- node_modules' and debug.log is excluded by '- *.log'
+ *
+ * @param {Array} paths
+ * @return {Object}
+ */
+Rsync.prototype.filterPaths = function(paths) {
+    return simulate.evaluate(this._patterns, isArray(paths) ? paths : [ paths ]);
+};
+
+/**
+ * Preview which files of a local directory tree the filter rules of the command
+ * include, without running rsync. Like rsync, a root without a trailing slash
+ * is part of the transfer itself. Excluded directories are not descended into.
+ * Defaults to the first source of the command.
+ *
+ * Resolves with the result described at `filterPaths`.
+ *
+ * @param {String} root     Local directory (optional)
+ * @return {Promise}
+ */
+Rsync.prototype.filterTree = function(root) {
+    if (arguments.length === 0) {
+        root = this._sources[0];
     }
+    if (typeof(root) !== 'string' || !root) {
+        return Promise.reject(new Error('filterTree needs a local directory'));
+    }
+    return simulate.evaluateTree(this._patterns, root);
+};
 
-    // Add long options if any are present
-    if (long.length > 0) {
-        args = args.concat(long);
+/**
+ * Transfer only the listed files. The paths are relative to the source.
+ *
+ * An Array or a (async) iterable of paths is written to the stdin of rsync
+ * with `--files-from=-` and `--from0`, so no temporary file is needed and names
+ * can contain any character except NUL. An iterable is read while rsync reads
+ * the list and its entries are kept, so retries and copies of the command
+ * transfer the same files. A String is passed as the file to read the list
+ * from. Passing `false` removes the list.
+ *
+ * Note that `--files-from` implies `--relative` and, with `-a`, disables
+ * recursion into the listed directories unless `-r` is set explicitly.
+ *
+ * @example
+ *   rsync.filesFrom([ 'src/index.js', 'README.md' ]).source('/repo/').destination('server:repo/');
+ *
+ * @param {Array|Iterable|AsyncIterable|String|Boolean} list
+ * @return {Rsync|Array|Iterable|AsyncIterable|String}
+ */
+Rsync.prototype.filesFrom = function(list) {
+    if (!arguments.length) {
+        return this._filesFrom ? this._filesFrom.source() : this.option('files-from');
     }
 
-    // Add includes/excludes in order
-    this._patterns.forEach(function(def) {
-        if (def.action === '-') {
-            args.push(buildOption('exclude', def.pattern, escapeFileArg));
-        }
-        else if (def.action === '+') {
-            args.push(buildOption('include', def.pattern, escapeFileArg));
-        }
-        else {
-            debug(this, 'Unknown pattern action ' + def.action);
-        }
-    });
+    if (this._filesFrom) {
+        this.unset('from0');
+    }
+    this._filesFrom = null;
 
-    // Add sources
-    if (this.source().length > 0) {
-        args = args.concat(this.source().map(escapeFileArg));
+    if (typeof(list) === 'string' && list) {
+        return this.set('files-from', list);
+    }
+    if (!list) {
+        return this.unset('files-from');
     }
 
-    // Add destination
-    if (this.destination()) {
-        args.push(escapeFileArg(this.destination()));
+    this._filesFrom = new FileList(list);
+    return this.set('files-from', '-').set('from0');
+};
+
+/**
+ * Create a copy of the Rsync instance. The copy has the same options, patterns,
+ * sources, destination, execution settings, handlers and retry policy and can
+ * be changed without affecting the original.
+ *
+ * @return {Rsync}
+ */
+Rsync.prototype.clone = function() {
+    var copy = new Rsync();
+
+    for (var key in this._options) {
+        if (hasOP(this._options, key)) {
+            var value = this._options[key];
+            copy._options[key] = isArray(value) ? value.slice() : value;
+        }
     }
 
-    return args;
+    copy._patterns = this._patterns.map(filters.copy);
+    copy._filesFrom       = this._filesFrom;
+    copy._filterFile      = this._filterFile;
+    copy._validation      = this._validation;
+    copy._versionCheck    = this._versionCheck;
+    copy._sources         = this._sources.slice();
+    copy._destination     = this._destination;
+    copy._executable      = this._executable;
+    copy._executableShell = this._executableShell;
+    copy._useShell        = this._useShell;
+    copy._cwd             = this._cwd;
+    copy._env             = this._env;
+    copy._debug           = this._debug;
+    copy._retry           = this._retry;
+    copy._escapeLocations = this._escapeLocations;
+
+    for (var name in this._outputHandlers) {
+        if (hasOP(this._outputHandlers, name)) {
+            copy._outputHandlers[name] = this._outputHandlers[name];
+        }
+    }
+    copy._outputOptions = {
+        lines:    this._outputOptions.lines,
+        encoding: this._outputOptions.encoding
+    };
+
+    return copy;
+};
+
+/**
+ * Serialize the configuration of the command into a plain Object: options,
+ * include/exclude patterns in order, sources, destination, executable, shell
+ * settings, cwd, environment, debug, validation and version check modes, retry
+ * policy and output options. Output handlers, the `onRetry` callback and a validation Function
+ * are functions and are not serialized.
+ *
+ * Only environment variables that differ from `process.env` are stored, except
+ * for the daemon password in `RSYNC_PASSWORD`. Pass
+ * the `env` option with an Array of variable names to store those instead, or
+ * `true` to store the complete environment. Restored commands get the stored
+ * variables on top of the environment of the restoring process.
+ *
+ * This method is called by `JSON.stringify`. Use `Rsync.fromJSON` to restore
+ * the command.
+ *
+ * @param {Object} options  Serialize options (optional)
+ * @return {Object}
+ */
+Rsync.prototype.toJSON = function(options) {
+    // JSON.stringify passes the property key as the argument
+    return serializer.serialize(this, (options && typeof(options) === 'object') ? options : {});
+};
+
+/**
+ * Get the command that is going to be executed.
+ * @return {String}
+ */
+Rsync.prototype.command = function() {
+    return this.executable() + ' ' + this.args().join(' ');
+};
+
+/**
+ * String representation of the Rsync command. This is the command that is
+ * going to be executed when calling Rsync::execute.
+ * @return {String}
+ */
+Rsync.prototype.toString = Rsync.prototype.command;
+
+/**
+ * Get the arguments for the rsync command.
+ *
+ * The arguments are escaped for use in a shell command. See `argv` for the
+ * unescaped arguments.
+ *
+ * @return {Array}
+ */
+Rsync.prototype.args = function() {
+    return buildArgs(this, true);
+};
+
+/**
+ * Get the arguments for the rsync command without any shell escaping. These
+ * are the arguments passed to the executable when the command is executed
+ * without a shell.
+ *
+ * @return {Array}
+ */
+Rsync.prototype.argv = function() {
+    return buildArgs(this, false);
 };
 
 /**
@@ -449,91 +1046,603 @@ Rsync.prototype.env = function(env) {
     return this._env;
 };
 
+/**
+ * Get or set the password for rsync daemons. The password is passed to rsync
+ * through the `RSYNC_PASSWORD` environment variable, so it does not show up in
+ * the command. Passing `false` removes the password.
+ *
+ * The environment of the command is copied before the password is added, the
+ * environment of the process is not changed.
+ *
+ * @param {String|Boolean} password
+ * @return {Rsync|String|undefined}
+ */
+Rsync.prototype.password = function(password) {
+    if (!arguments.length) return this._env[daemon.PASSWORD_ENV];
+
+    var env = {};
+    for (var key in this._env) {
+        if (hasOP(this._env, key) && key !== daemon.PASSWORD_ENV) {
+            env[key] = this._env[key];
+        }
+    }
+    if (password) {
+        env[daemon.PASSWORD_ENV] = String(password);
+    }
+    this._env = env;
+
+    return this;
+};
+
+/**
+ * List the modules of an rsync daemon, as `rsync host::` does. The host can
+ * have a user and a port: `user@host:port`.
+ *
+ * The listing uses the executable, environment and daemon connection options of
+ * this command, such as `port`, `address`, `passwordFile` and `password`. The
+ * sources, destination and other options are not used.
+ *
+ * @example
+ *   new Rsync().port(8730).listModules('mirror.example.com').then(function(modules) {
+ *     // [ { name: 'pub', comment: 'Public files' } ]
+ *   });
+ *
+ * @param {String} host
+ * @param {Object} options  Run options, see `run` (optional)
+ * @return {Promise}
+ */
+Rsync.prototype.listModules = function(host, options) {
+    var listing;
+    try {
+        listing = new Rsync({
+            executable:      this._executable,
+            executableShell: this._executableShell,
+            useShell:        this._useShell,
+            debug:           this._debug
+        });
+        listing._cwd = this._cwd;
+        listing._env = this._env;
+
+        daemon.CONNECTION_OPTIONS.forEach(function(name) {
+            if (this.isSet(name)) {
+                listing._options[name] = this._options[name];
+            }
+        }, this);
+
+        listing.source(daemon.moduleListLocation(host));
+    }
+    catch (error) {
+        return Promise.reject(error);
+    }
+
+    return listing.run(options).then(function(result) {
+        return daemon.parseModules(result.stdout);
+    });
+};
+
+/**
+ * Detect the version of the rsync executable by running it with `--version`.
+ * The result is cached by executable, pass the `refresh` option to detect the
+ * version again.
+ *
+ * Resolves with the `version` String, its `major`, `minor` and `patch`
+ * numbers, the `protocol` version, the compiled-in `capabilities` (an Object
+ * with a Boolean for each capability), the `checksums` and `compressors` rsync
+ * can negotiate and whether `acls` and `xattrs` are supported.
+ *
+ * @example
+ *   rsync.detectVersion().then(function(info) {
+ *     // { version: '3.2.7', protocol: 31, compressors: [ 'zstd', 'lz4', 'zlibx', 'zlib', 'none' ], ... }
+ *   });
+ *
+ * @param {Object} options  `refresh` (optional)
+ * @return {Promise}
+ */
+Rsync.prototype.detectVersion = function(options) {
+    return version.detect(this, options);
+};
+
+/**
+ * Get or set how the options are checked against the version of the rsync
+ * executable before `run` and `start` execute the command. The version is
+ * detected once per executable (see `detectVersion`).
+ *
+ *   - `false`      options are not checked (the default)
+ *   - `'refuse'`   a run with options the version does not support is rejected
+ *                  with an `RsyncUnsupportedError` before rsync is started
+ *   - `'downgrade'` options with an older equivalent are replaced for the run,
+ *                  like `--info=progress2` with `--progress` and
+ *                  `--append-verify` with `--append`, and reported as `warning`
+ *                  events; other unsupported options are refused
+ *
+ * Options that need a capability rsync was built without, like `--acls`, and
+ * checksum or compression choices rsync does not list are refused as well.
+ * The mode can also be passed as the `versionCheck` config setting. `execute`
+ * does not check the version, see `forVersion`.
+ *
+ * @param {Boolean|String} mode
+ * @return {Rsync|Boolean|String}
+ */
+Rsync.prototype.versionCheck = function(mode) {
+    if (!arguments.length) return this._versionCheck;
+
+    if (mode === null || mode === 'off') {
+        mode = false;
+    }
+    if (mode !== false && mode !== 'refuse' && mode !== 'downgrade') {
+        throw new Error('Version check must be false, refuse or downgrade');
+    }
+    this._versionCheck = mode;
+
+    return this;
+};
+
+/**
+ * Get the command for a detected rsync version, for example to check a command
+ * before calling `execute`. Throws an `RsyncUnsupportedError` for options the
+ * version does not support. In `downgrade` mode a copy of the command is
+ * returned with the options that have an older equivalent replaced. Versions
+ * before 3.0.0 get a copy with the remote paths escaped instead of the
+ * `--protect-args` they would need. Otherwise the command itself is returned.
+ *
+ * @example
+ *   rsync.detectVersion().then(function(info) {
+ *     rsync.forVersion(info, 'downgrade').execute(callback);
+ *   });
+ *
+ * @param {Object} info     Detected version, see `detectVersion`
+ * @param {String} mode     `refuse` or `downgrade` (defaults to the `versionCheck` mode or `refuse`)
+ * @return {Rsync}
+ */
+Rsync.prototype.forVersion = function(info, mode) {
+    return version.adapt(this, info, mode || this._versionCheck || 'refuse').command;
+};
+
 /**
  * Register an output handlers for the commands stdout and stderr streams.
  * These functions will be called once data is streamed on one of the output buffers
  * when the command is executed using `execute`.
  *
+ * By default the handlers receive the raw Buffer chunks, which can split a line
+ * in the middle. The options Object can change this:
+ *
+ *   - `lines`     call the handlers with complete lines, without the line break.
+ *                 The `\r` progress redraws of rsync are reported as separate lines.
+ *   - `encoding`  the encoding to decode the output with (defaults to utf8 for
+ *                 lines). Without `lines` the handlers receive decoded chunks.
+ *
  * Only one callback function can be registered for each output stream. Previously
  * registered callbacks will be overridden.
  *
+ * @example
+ *   rsync.output(function(line) {
+ *     console.log('stdout:', line);
+ *   }, function(line) {
+ *     console.error('stderr:', line);
+ *   }, { lines: true, encoding: 'latin1' });
+ *
  * @param {Function} stdout     Callback Function for stdout data
  * @param {Function} stderr     Callback Function for stderr data
+ * @param {Object} options      Output options (optional)
  * @return Rsync
  */
-Rsync.prototype.output = function(stdout, stderr) {
+Rsync.prototype.output = function(stdout, stderr, options) {
     // Check for single argument so the method can be used with Rsync.build
     if (arguments.length === 1 && Array.isArray(stdout)) {
-        stderr = stdout[1];
-        stdout = stdout[0];
+        options = stdout[2];
+        stderr  = stdout[1];
+        stdout  = stdout[0];
     }
 
     if (typeof(stdout) === 'function') {
         this._outputHandlers.stdout = stdout;
     }
     if (typeof(stderr) === 'function') {
-        this._outputHandlers.stderr = stdout;
+        this._outputHandlers.stderr = stderr;
+    }
+    if (options && typeof(options) === 'object') {
+        this._outputOptions = {
+            lines:    !!options.lines,
+            encoding: options.encoding || null
+        };
+    }
+
+    return this;
+};
+
+/**
+ * Register a handler for transfer progress. When the command is executed the
+ * progress lines rsync prints on stdout are parsed and the handler is called
+ * with an Object for each progress update. This requires the `--progress` or
+ * `--info=progress2` option to be set.
+ *
+ * The progress Object contains the `file` being transferred, the number of
+ * `bytes` transferred, the `percent` done, the `rate` in bytes per second, the
+ * `eta` in seconds and the `xfr`, `toCheck` and `total` counters that rsync
+ * prints when a file is done. See `lib/progress.js` for details.
+ *
+ * Only one progress handler can be registered. A previously registered handler
+ * will be overridden.
+ *
+ * @example
+ *   rsync.progress().progressHandler(function(progress) {
+ *     console.log(progress.file, progress.percent + '%');
+ *   });
+ *
+ * @param {Function} handler    Callback Function for progress updates
+ * @return Rsync
+ */
+Rsync.prototype.progressHandler = function(handler) {
+    if (typeof(handler) === 'function') {
+        this._outputHandlers.progress = handler;
+    }
+
+    return this;
+};
+
+/**
+ * Register a handler for itemized changes. When the command is executed with
+ * the `--itemize-changes` option the change lines rsync prints on stdout are
+ * parsed and the handler is called with a record Object for each file.
+ *
+ * The record contains the `action` (`sent`, `received`, `created`, `local`,
+ * `hardlink`, `unchanged` or `deleted`), the file `type`, the `path`, the
+ * `target` for links, `isNew` and a `changes` Object with a Boolean for each
+ * attribute. See `lib/itemize.js` for details.
+ *
+ * Only one file handler can be registered. A previously registered handler
+ * will be overridden.
+ *
+ * @example
+ *   rsync.itemizeChanges().fileHandler(function(record) {
+ *     console.log(record.action, record.path);
+ *   });
+ *
+ * @param {Function} handler    Callback Function for itemized changes
+ * @return Rsync
+ */
+Rsync.prototype.fileHandler = function(handler) {
+    if (typeof(handler) === 'function') {
+        this._outputHandlers.file = handler;
     }
 
     return this;
 };
 
 /**
- * Execute the rsync command.
+ * Execute the rsync command.
+ *
+ * The callback function is called with an Error object (or null when there was none),
+ * the exit code from the executed command and the executed command as a String. When
+ * rsync does not exit successfully the Error is an `RsyncError`. When rsync can not be
+ * started, like a missing executable without a shell, the Error is the spawn error and
+ * the exit code is null.
+ *
+ * When stdoutHandler and stderrHandler functions are provided they will be used to stream
+ * data from stdout and stderr directly without buffering.
+ *
+ * @param {Function} callback       Called when rsync finishes (optional)
+ * @param {Function} stdoutHandler  Called on each chunk received from stdout (optional)
+ * @param {Function} stderrHandler  Called on each chunk received from stderr (optional)
+ */
+Rsync.prototype.execute = function(callback, stdoutHandler, stderrHandler) {
+    // Register output handlers
+    this.output(stdoutHandler, stderrHandler);
+
+    var cmdProc = spawnCommand(this);
+    attachOutputHandlers(this, cmdProc);
+
+    var stderrTail = captureTail(cmdProc.stderr);
+
+    // Write the file list, stop rsync when the list can not be read
+    var listError = null;
+    if (this._filesFrom) {
+        this._filesFrom.pipe(cmdProc.stdin).catch(function(error) {
+            listError = error;
+            cmdProc.kill();
+        });
+    }
+
+    // Spawn errors (like a missing executable without a shell) are followed by
+    // a close event on newer Node versions, so only the first outcome is used.
+    var done = false;
+    cmdProc.on('error', function(error) {
+        if (done) {
+            return;
+        }
+        done = true;
+        if (typeof(callback) === 'function') {
+            callback(error, null, this.command());
+        }
+    }.bind(this));
+
+    // Wait for the command to finish
+    cmdProc.on('close', function(code, signal) {
+        if (done) {
+            return;
+        }
+        done = true;
+
+        var error = listError;
+
+        // Check rsyncs error code
+        if (!error && code !== 0) {
+            error = new RsyncError({
+                exitCode: code,
+                signal:   signal,
+                command:  this.command(),
+                stderr:   stderrTail()
+            });
+        }
+
+        // Check for callback
+        if (typeof(callback) === 'function') {
+            callback(error, code, this.command());
+        }
+    }.bind(this));
+
+    // Return the child process object so it can be cleaned up
+    // if the process exits
+    return(cmdProc);
+};
+
+/**
+ * Run the rsync command and return a Promise for the result.
+ *
+ * The Promise resolves with a result Object when rsync exits with code 0:
+ *
+ *   - `code`     the exit code of the process
+ *   - `signal`   the signal that terminated the process, if any
+ *   - `command`  the executed command as a String
+ *   - `duration` the run time in milliseconds
+ *   - `stdout`   the captured output on stdout as a String
+ *   - `stderr`   the captured output on stderr as a String
+ *   - `changes`  the itemized changes when `--itemize-changes` is set (see
+ *                `fileHandler`), otherwise an empty Array
+ *   - `stats`    the parsed statistics when `--stats` is set (see
+ *                `Rsync.parseStats`), otherwise null
+ *
+ * The output is decoded with the `encoding` set through `output` (utf8 by
+ * default), like the lines passed to the output handlers.
+ *
+ * On a non-zero exit code the Promise is rejected with an `RsyncError` that has
+ * the `result` property set. Handlers registered through `output`,
+ * `progressHandler` and `fileHandler` are called as usual. See `start` for
+ * an event based interface.
+ *
+ * When a retry policy is configured (see `retry`) failed attempts are executed
+ * again. The `attempts` property of the result lists the `attempt` number, exit
+ * `code`, `signal`, `duration` and `error` of each attempt.
+ *
+ * A run can be stopped by aborting the `signal` option (an `AbortSignal`) or by
+ * calling `cancel` on the Rsync instance. The Promise is then rejected with an
+ * Error named `AbortError`.
+ *
+ * The following options limit how long a run can take. When a timeout expires
+ * the process tree is terminated and the Promise is rejected with an
+ * `RsyncTimeoutError`:
+ *
+ *   - `timeout`       the maximum run time of an attempt in milliseconds
+ *   - `idleTimeout`   the maximum time without any output in milliseconds
+ *   - `killGrace`     the time between SIGTERM and SIGKILL when terminating
+ *                     (defaults to 5000)
+ *   - `processGroup`  start rsync in its own process group so the whole process
+ *                     tree is terminated (defaults to true when `timeout` or
+ *                     `idleTimeout` is set, ignored on Windows). Processes in
+ *                     their own group have no controlling terminal, so ssh can
+ *                     not prompt for passwords and signals sent to the terminal
+ *                     do not reach them; runs should be cancelled on shutdown.
+ *
+ * @example
+ *   var controller = new AbortController();
+ *   rsync.run({ signal: controller.signal }).then(function(result) {
+ *     console.log(result.command, 'took', result.duration, 'ms');
+ *   });
+ *
+ * @param {Object} options   Run options (optional)
+ * @return {Promise}
+ */
+Rsync.prototype.run = function(options) {
+    return this.start(options).promise;
+};
+
+/**
+ * Start the rsync command and return the run as an EventEmitter. The run
+ * reports the lifecycle of the command through events, so any number of
+ * listeners can subscribe to a single execution:
+ *
+ *   - `spawn`        (childProcess, attempt) a process was started
+ *   - `stdout-line`  (line) a line was received on stdout
+ *   - `stderr-line`  (line) a line was received on stderr
+ *   - `progress`     (progress) a progress update (see `progressHandler`)
+ *   - `file`         (record) an itemized change (see `fileHandler`)
+ *   - `warning`      (message) rsync reported a problem on stderr, or an
+ *                    unsupported option was downgraded (see `versionCheck`)
+ *   - `exit`         (code, signal, attempt) a process exited
+ *   - `retry`        (error, attempt, delay) a failed attempt will be retried
+ *   - `done`         (result) the run finished successfully
+ *   - `error`        (error) the run failed
+ *
+ * The run is thenable and resolves or rejects like `run`. It is cancelled with
+ * its `cancel` method. The `error` event is only emitted when there are
+ * listeners for it.
+ *
+ * @example
+ *   rsync.start()
+ *     .on('progress', function(progress) { bar.update(progress.percent); })
+ *     .on('warning', function(message) { log.warn(message); })
+ *     .on('done', function(result) { metrics.timing('rsync', result.duration); });
+ *
+ * @param {Object} options   Run options, see `run` (optional)
+ * @return {RsyncRun}
+ */
+Rsync.prototype.start = function(options) {
+    var self = this;
+    var run  = new RsyncRun(this, options);
+
+    this._runs.push(run);
+    run.promise.then(removeRun, removeRun);
+
+    function removeRun() {
+        var index = self._runs.indexOf(run);
+        if (index >= 0) {
+            self._runs.splice(index, 1);
+        }
+    }
+
+    return run;
+};
+
+/**
+ * Cancel all commands started with `run` or `start` on this instance that are
+ * still running or waiting for a retry. These runs are rejected with an
+ * `AbortError`.
+ *
+ * @return {Rsync}
+ */
+Rsync.prototype.cancel = function() {
+    this._runs.slice().forEach(function(run) {
+        run.cancel();
+    });
+    return this;
+};
+
+/**
+ * Plan the transfer without changing anything. The configured command is run
+ * with `--dry-run` and itemized output on a copy of the instance, so the
+ * instance itself is not changed. Deletions are included when a delete option
+ * is configured.
  *
- * The callback function is called with an Error object (or null when there was none),
- * the exit code from the executed command and the executed command as a String.
+ * The Promise resolves with a plan Object containing:
  *
- * When stdoutHandler and stderrHandler functions are provided they will be used to stream
- * data from stdout and stderr directly without buffering.
+ *   - `create`     the items that would be created
+ *   - `update`     the existing items that would be changed
+ *   - `delete`     the items that would be deleted
+ *   - `changes`    all itemized changes, including unchanged items
+ *   - `totalSize`  the total size in bytes of the created and updated files
+ *   - `result`     the result of the dry run (see `run`)
  *
- * @param {Function} callback       Called when rsync finishes (optional)
- * @param {Function} stdoutHandler  Called on each chunk received from stdout (optional)
- * @param {Function} stderrHandler  Called on each chunk received from stderr (optional)
+ * Each item is an itemized change record (see `fileHandler`) with the file
+ * size in bytes as the `size` property (null for deletions).
+ *
+ * @example
+ *   rsync.plan().then(function(plan) {
+ *     plan.create.forEach(function(item) {
+ *       console.log('+', item.path, item.size);
+ *     });
+ *   });
+ *
+ * @param {Object} options   Run options, see `run` (optional)
+ * @return {Promise}
  */
-Rsync.prototype.execute = function(callback, stdoutHandler, stderrHandler) {
-    // Register output handlers
-    this.output(stdoutHandler, stderrHandler);
+Rsync.prototype.plan = function(options) {
+    var dry = this.clone();
 
-    // Execute the command as a child process
-    // see https://github.com/joyent/node/blob/937e2e351b2450cf1e9c4d8b3e1a4e2a2def58bb/lib/child_process.js#L589
-    var cmdProc;
-    if ('win32' === process.platform) {
-        cmdProc = spawn('cmd.exe', ['/s', '/c', '"' + this.command() + '"'],
-                        { stdio: 'pipe', windowsVerbatimArguments: true, cwd: this._cwd, env: this._env });
-    }
-    else {
-        cmdProc = spawn(this._executableShell, ['-c', this.command()],
-                        { stdio: 'pipe', cwd: this._cwd, env: this._env });
-    }
+    // Handlers and retries are meant for the actual transfer
+    dry._outputHandlers = { stdout: null, stderr: null, progress: null, file: null };
+    dry._retry = null;
 
-    // Capture stdout and stderr if there are output handlers configured
-    if (typeof(this._outputHandlers.stdout) === 'function') {
-        cmdProc.stdout.on('data', this._outputHandlers.stdout);
-    }
-    if (typeof(this._outputHandlers.stderr) === 'function') {
-        cmdProc.stderr.on('data', this._outputHandlers.stderr);
+    // The output format replaces itemize and quiet output
+    [ 'i', 'itemize-changes', 'q', 'quiet', 'progress', 'out-format', 'log-format' ].forEach(function(option) {
+        dry.unset(option);
+    });
+    if (!dry.isSet('dry-run')) {
+        dry.set('n');
     }
+    dry.set('out-format', itemize.SIZED_FORMAT);
+
+    return dry.run(options).then(function(result) {
+        var plan = {
+            create:    [],
+            update:    [],
+            delete:    [],
+            changes:   [],
+            totalSize: 0,
+            result:    result
+        };
+
+        result.stdout.split(/\r\n|\r|\n/).forEach(function(line) {
+            var record = itemize.parseSized(line);
+            if (!record) {
+                return;
+            }
 
-    // Wait for the command to finish
-    cmdProc.on('close', function(code) {
-        var error = null;
+            plan.changes.push(record);
+            if (record.action === 'deleted') {
+                plan.delete.push(record);
+                return;
+            }
 
-        // Check rsyncs error code
-        // @see http://bluebones.net/2007/06/rsync-exit-codes/
-        if (code !== 0) {
-            error = new Error('rsync exited with code ' + code);
-        }
+            var transfer = (record.action === 'sent' || record.action === 'received');
+            if (record.isNew) {
+                plan.create.push(record);
+            }
+            else if (transfer || hasChanges(record)) {
+                plan.update.push(record);
+            }
+            else {
+                return;
+            }
 
-        // Check for callback
-        if (typeof(callback) === 'function') {
-            callback(error, code, this.command());
-        }
-    }.bind(this));
+            if (transfer) {
+                plan.totalSize += record.size;
+            }
+        });
 
-    // Return the child process object so it can be cleaned up
-    // if the process exits
-    return(cmdProc);
+        return plan;
+    });
+};
+
+/**
+ * Get or set the retry policy for commands executed with `run`. When a run
+ * fails with a retryable exit code (see `RsyncError#isRetryable`) the same
+ * command is executed again after a delay that grows exponentially.
+ *
+ * The policy is an Object with the following settings:
+ *
+ *   - `attempts`  the maximum number of attempts, including the first (defaults to 3)
+ *   - `delay`     the delay before the first retry in milliseconds (defaults to 1000)
+ *   - `factor`    the factor the delay grows with for each retry (defaults to 2)
+ *   - `maxDelay`  the maximum delay in milliseconds (defaults to 30000)
+ *   - `jitter`    the fraction of the delay that is randomized (defaults to 0.2)
+ *   - `codes`     the exit codes to retry on (defaults to the retryable codes)
+ *   - `partial`   whether to add the `--partial` option to the executed command so
+ *                 partially transferred files are kept between attempts (defaults
+ *                 to true). The options of the instance are not changed.
+ *   - `onRetry`   called with the error, the number of the failed attempt and the
+ *                 delay before a retry; returning false stops retrying
+ *
+ * Passing `true` uses the default policy, passing `false` disables retries.
+ *
+ * @example
+ *   rsync.retry({ attempts: 5, onRetry: function(error, attempt, delay) {
+ *     console.warn('attempt', attempt, 'failed:', error.message);
+ *   }});
+ *
+ * @param {Object|Boolean} policy   The retry policy (optional)
+ * @return {Rsync|Object}
+ */
+Rsync.prototype.retry = function(policy) {
+    if (!arguments.length) return this._retry;
+
+    if (!policy) {
+        this._retry = null;
+        return this;
+    }
+
+    policy = (typeof(policy) === 'object') ? policy : {};
+    this._retry = {
+        attempts: hasOP(policy, 'attempts') ? policy.attempts : 3,
+        delay:    hasOP(policy, 'delay') ? policy.delay : 1000,
+        factor:   hasOP(policy, 'factor') ? policy.factor : 2,
+        maxDelay: hasOP(policy, 'maxDelay') ? policy.maxDelay : 30000,
+        jitter:   hasOP(policy, 'jitter') ? policy.jitter : 0.2,
+        codes:    hasOP(policy, 'codes') ? policy.codes : null,
+        partial:  hasOP(policy, 'partial') ? policy.partial : true,
+        onRetry:  policy.onRetry || null
+    };
+
+    return this;
 };
 
 /**
@@ -579,6 +1688,23 @@ createValueAccessor('executable');
  */
 createValueAccessor('executableShell');
 
+/**
+ * Get or set whether the command is executed through a shell.
+ *
+ * By default the command is executed as a single escaped String through
+ * the executable shell (or `cmd.exe` on Windows). When set to false the
+ * executable is spawned directly with the unescaped `argv` arguments, so
+ * no shell and no escaping are involved. The `command` output is then for
+ * display only.
+ *
+ * @function
+ * @name useShell
+ * @memberOf Rsync.prototype
+ * @param {Boolean} useShell whether to execute through a shell (optional)
+ * @return {Rsync|Boolean}
+ */
+createValueAccessor('useShell');
+
 /**
  * Get or set the destination for the transfer.
  *
@@ -586,11 +1712,14 @@ createValueAccessor('executableShell');
  * the fluent interface. Otherwise the configured destination path
  * is returned.
  *
+ * The destination can be a String or a Location, see `Rsync.remote`,
+ * `Rsync.daemon` and `Rsync.location`.
+ *
  * @function
  * @name destination
  * @memberOf Rsync.prototype
- * @param {String} destination the destination (optional)
- * @return {Rsync|String}
+ * @param {String|Location} destination the destination (optional)
+ * @return {Rsync|String|Location}
  */
 createValueAccessor('destination');
 
@@ -602,10 +1731,13 @@ createValueAccessor('destination');
  * included yet and the Rsync instance is returned for the fluent
  * interface. Otherwise the configured list of source is returned.
  *
+ * Sources can be Strings or Locations, see `Rsync.remote`, `Rsync.daemon`
+ * and `Rsync.location`.
+ *
  * @function
  * @name source
  * @memberOf Rsync.prototype
- * @param {String|Array} sources the source or list of sources to configure (optional)
+ * @param {String|Location|Array} sources the source or list of sources to configure (optional)
  * @return {Rsync|Array}
  */
 createListAccessor('source', '_sources');
@@ -623,6 +1755,35 @@ createListAccessor('source', '_sources');
  */
 exposeLongOption('rsh', 'shell');
 
+/**
+ * Use ssh as the remote shell, configured with structured settings instead of
+ * a hand written `rsh` String. The generated command is set as the `rsh`
+ * option with arguments quoted the way rsync splits them.
+ *
+ * The settings are `executable`, `port`, `user`, `identity` (one or more
+ * files), `knownHosts`, `hostKeyPolicy` (`strict`, `accept-new`, `ask` or
+ * `off`), `jump` (one or more jump hosts as Strings or Objects with `user`,
+ * `host` and `port`), `controlMaster`, `controlPath`, `controlPersist`,
+ * `connectTimeout` (seconds), `options` (an Object with `-o` options) and
+ * `args` (additional arguments). See `lib/ssh.js`.
+ *
+ * @example
+ *   rsync.ssh({
+ *     port: 2222,
+ *     identity: '~/.ssh/backup key',
+ *     hostKeyPolicy: 'accept-new',
+ *     jump: 'bastion.example.com',
+ *     controlMaster: true,
+ *     controlPersist: 60
+ *   });
+ *
+ * @param {Object} settings
+ * @return {Rsync}
+ */
+Rsync.prototype.ssh = function(settings) {
+    return this.set('rsh', ssh.command(settings));
+};
+
 /**
  * Add a chmod instruction to the command.
  *
@@ -841,6 +2002,67 @@ exposeShortOption('specials');
  */
 exposeShortOption('t', 'times');
 
+/**
+ * Set the itemize changes flag to output a change summary for each file.
+ *
+ * @function
+ * @name itemizeChanges
+ * @memberOf Rsync.prototype
+ * @return {Rsync}
+ */
+exposeShortOption('i', 'itemizeChanges');
+
+/**
+ * Set the stats flag to print file transfer statistics.
+ *
+ * This is the same as setting the `--stats` commandline flag.
+ *
+ * @function
+ * @name stats
+ * @memberOf Rsync.prototype
+ * @return {Rsync}
+ */
+exposeShortOption('stats');
+
+/**
+ * Set the port of the rsync daemon to connect to.
+ *
+ * This is the same as setting the `--port` option.
+ *
+ * @function
+ * @name port
+ * @memberOf Rsync.prototype
+ * @param {Number|String} port
+ * @return {Rsync|String}
+ */
+exposeLongOption('port');
+
+/**
+ * Set the local address to bind to when connecting to an rsync daemon.
+ *
+ * This is the same as setting the `--address` option.
+ *
+ * @function
+ * @name address
+ * @memberOf Rsync.prototype
+ * @param {String} address
+ * @return {Rsync|String}
+ */
+exposeLongOption('address');
+
+/**
+ * Set the file to read the rsync daemon password from.
+ *
+ * This is the same as setting the `--password-file` option.
+ *
+ * @function
+ * @name passwordFile
+ * @memberOf Rsync.prototype
+ * @param {String} file
+ * @return {Rsync|String}
+ */
+exposeLongOption('password-file', 'passwordFile');
+
 // our awesome export product
 module.exports = Rsync;
 
@@ -875,8 +2097,8 @@ function createListAccessor(name, internal) {
         if (isArray(value)) {
             value.forEach(this[name], this);
         }
-        else if (typeof(value) !== 'string') {
-            throw new Error('Value for Rsync::' + name + ' must be a String');
+        else if (typeof(value) !== 'string' && !(value instanceof Location)) {
+            throw new Error('Value for Rsync::' + name + ' must be a String or Location');
         }
         else if (this[container].indexOf(value) < 0) {
             this[container].push(value);
@@ -965,6 +2187,221 @@ function exposeLongOption(option, name) {
     };
 }
 
+/**
+ * Attach the output handlers registered on an Rsync instance to the output
+ * streams of a child process.
+ *
+ * @private
+ * @param {Rsync} cmd
+ * @param {ChildProcess} cmdProc
+ */
+function attachOutputHandlers(cmd, cmdProc) {
+    var handlers = cmd._outputHandlers;
+
+    // Capture stdout and stderr if there are output handlers configured
+    if (typeof(handlers.stdout) === 'function') {
+        lines.attachHandler(cmdProc.stdout, handlers.stdout, cmd._outputOptions);
+    }
+    if (typeof(handlers.stderr) === 'function') {
+        lines.attachHandler(cmdProc.stderr, handlers.stderr, cmd._outputOptions);
+    }
+
+    // Parse progress and itemized change lines from stdout
+    var parsers = [];
+    if (typeof(handlers.progress) === 'function') {
+        parsers.push(progress.createParser(handlers.progress));
+    }
+    if (typeof(handlers.file) === 'function' && itemize.isEnabled(cmd)) {
+        parsers.push(itemize.createParser(handlers.file));
+    }
+
+    if (parsers.length > 0) {
+        var splitter = lines.createLineSplitter(function(line) {
+            parsers.forEach(function(parser) {
+                parser(line);
+            });
+        }, cmd._outputOptions.encoding);
+        cmdProc.stdout.on('data', splitter.write);
+        cmdProc.stdout.on('end', splitter.end);
+    }
+}
+
+/**
+ * Check if an itemized change record has any changed attributes.
+ *
+ * @private
+ * @param {Object} record
+ * @return {Boolean}
+ */
+function hasChanges(record) {
+    return Object.keys(record.changes).some(function(attribute) {
+        return record.changes[attribute];
+    });
+}
+
+/**
+ * Keep the last part of the data on a stream.
+ *
+ * @private
+ * @param {Stream} stream
+ * @return {Function} Function that returns the captured data as a String
+ */
+function captureTail(stream) {
+    var data = '';
+    stream.on('data', function(chunk) {
+        data = (data + chunk).slice(-8192);
+    });
+
+    return function() {
+        return data;
+    };
+}
+
+/**
+ * Report problems with the options of a command according to its validation
+ * mode.
+ *
+ * @private
+ * @param {Rsync} cmd
+ * @param {Array} problems
+ */
+function reportProblems(cmd, problems) {
+    if (!problems.length) {
+        return;
+    }
+    if (cmd._validation === 'strict') {
+        throw new Error(problems.join('; '));
+    }
+    problems.forEach(function(problem) {
+        if (typeof(cmd._validation) === 'function') {
+            cmd._validation(problem);
+        }
+        else {
+            process.emitWarning(problem, 'RsyncOptionWarning');
+        }
+    });
+}
+
+/**
+ * Build the list of arguments for an Rsync instance.
+ *
+ * When `escaped` is true the arguments are escaped for use in a shell command,
+ * otherwise the raw arguments are returned and short options with a value are
+ * split into two arguments.
+ *
+ * @private
+ * @param {Rsync} cmd
+ * @param {Boolean} escaped
+ * @return {Array}
+ */
+function buildArgs(cmd, escaped) {
+    // Gathered arguments
+    var args = [];
+
+    var shellArg = (escaped) ? escapeShellArg : identity;
+    var fileArg  = (escaped) ? escapeFileArg : convertFileArg;
+
+    var option = function(name, value, escapeArg) {
+        if (!escaped && name.length === 1 && value) {
+            return [ '-' + name, String(value) ];
+        }
+        return [ buildOption(name, value, escapeArg) ];
+    };
+
+    // Add options. Short options (one letter) without values are gathered together.
+    // Long options have a value but can also be a single letter.
+    var short = [];
+    var long  = [];
+
+    var options = Location.commandOptions(cmd);
+
+    // Split long and short options
+    for (var key in options) {
+        if (hasOP(options, key)) {
+            var value = options[key];
+            var noval = (value === null || value === undefined);
+
+            // Check for short option (single letter without value)
+            if (key.length === 1 && noval) {
+                short.push(key);
+            }
+            else {
+                if (isArray(value)) {
+                    value.forEach(function (val) {
+                        long = long.concat(option(key, val, shellArg));
+                    });
+                }
+                else {
+                    long = long.concat(option(key, value, shellArg));
+                }
+            }
+
+        }
+    }
+
+    // Add combined short options if any are present
+    if (short.length > 0) {
+        args.push('-' + short.join(''));
+    }
+
+    // Add long options if any are present
+    if (long.length > 0) {
+        args = args.concat(long);
+    }
+
+    // Add includes/excludes and filter rules in order, or the file with the rules
+    if (filterFile.isUsed(cmd)) {
+        var managed = filterFile.option(cmd._patterns);
+        args.push(buildOption(managed.name, managed.value, fileArg));
+    }
+    else {
+        cmd._patterns.forEach(function(def) {
+            if (filters.isSimple(def)) {
+                args.push(buildOption(def.action === '-' ? 'exclude' : 'include', def.pattern, fileArg));
+            }
+            else {
+                args.push(buildOption('filter', filters.format(def), fileArg));
+            }
+        });
+    }
+
+    // Locations are escaped for the remote side when rsync does not protect arguments
+    var location = function(value) {
+        if (value instanceof Location) {
+            return fileArg(value.format({ escape: cmd.isSet('old-args') || cmd._escapeLocations }));
+        }
+        return fileArg(value);
+    };
+
+    // Add sources
+    if (cmd.source().length > 0) {
+        args = args.concat(cmd.source().map(location));
+    }
+
+    // Add destination
+    if (cmd.destination()) {
+        args.push(location(cmd.destination()));
+    }
+
+    return args;
+}
+
+/**
+ * Build a location spec of the given type.
+ * @param {String} type
+ * @param {Object} spec
+ * @return {Object}
+ */
+function locationSpec(type, spec) {
+    var copy = { type: type };
+    for (var key in spec) {
+        if (hasOP(spec, key) && key !== 'type') {
+            copy[key] = spec[key];
+        }
+    }
+    return copy;
+}
+
 /**
  * Build an option for use in a shell command.
  *
@@ -975,7 +2412,7 @@ function exposeLongOption(option, name) {
  */
 function buildOption(name, value, escapeArg) {
     if (typeof escapeArg === 'boolean') {
-        escapeArg = (!escapeArg) ? noop : null;
+        escapeArg = (!escapeArg) ? identity : null;
     }
 
     if (typeof escapeArg !== 'function') {
@@ -1008,7 +2445,8 @@ function escapeShellArg(arg) {
   if (!/(["'`\\$ ])/.test(arg)) {
     return arg;
   }
-  return '"' + arg.replace(/(["'`\\$])/g, '\\$1') + '"';
+  // Single quotes are literal between double quotes
+  return '"' + arg.replace(/(["`\\$])/g, '\\$1') + '"';
 }
 
 /**
@@ -1030,6 +2468,19 @@ function escapeFileArg(filename) {
   return filename;
 }
 
+/**
+ * Convert a filename for use as an unescaped argument. Under Windows the
+ * path is converted to the directory separator used by rsync (cygwin).
+ * @param {String} filename the filename to convert
+ * @return {String} the converted filename
+ */
+function convertFileArg(filename) {
+  if ('win32' === process.platform && /\\/.test(filename)) {
+    filename = filename.replace(/\\/g,'/').replace(/^[A-Z]\:\//i,'/');
+  }
+  return filename;
+}
+
 /**
  * Strip the leading dashes from a value.
  * @param {String} value
@@ -1060,19 +2511,15 @@ function isArray(value) {
 }
 
 /**
- * Simple hasOwnProperty wrapper. This will call hasOwnProperty on the obj
- * through the Object prototype.
+ * Return the value that was passed in.
  * @private
- * @param {Object} obj  The object to check the property on
- * @param {String} key  The name of the property to check
- * @return {Boolean}
+ * @param {Mixed} value
+ * @return {Mixed}
  */
-function hasOP(obj, key) {
-    return Object.prototype.hasOwnProperty.call(obj, key);
+function identity(value) {
+    return value;
 }
 
-function noop() {}
-
 /**
  * Simple debug printer.
  *
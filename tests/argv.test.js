@@ -0,0 +1,78 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+describe('argv', function () {
+
+    describe('#argv', function () {
+
+        it('should not escape values', function () {
+            var rsync = Rsync.build({
+                source:      [ 'a file.txt', 'it\'s $HOME;*' ],
+                destination: 'host:dest & more',
+                exclude:     [ 'with space' ],
+                shell:       'ssh -p 2222',
+                flags:       'az'
+            });
+            assert.deepEqual(rsync.argv(), [
+                '-az',
+                '--rsh=ssh -p 2222',
+                '--exclude=with space',
+                'a file.txt',
+                'it\'s $HOME;*',
+                'host:dest & more'
+            ]);
+        });
+
+        it('should split short options with a value', function () {
+            var rsync = new Rsync().set('f', '- .git').source('a').destination('b');
+            assert.deepEqual(rsync.argv(), [ '-f', '- .git', 'a', 'b' ]);
+        });
+
+    });
+
+    describe('#useShell', function () {
+
+        it('should default to true', function () {
+            assert.isTrue(new Rsync().useShell());
+        });
+
+        it('should be configurable through the constructor', function () {
+            assert.isFalse(new Rsync({ useShell: false }).useShell());
+        });
+
+        it('should pass the arguments to the executable without a shell', function () {
+            var sources = [ 'new\nline', '*', 'a & b; c', 'ünïcødé "quoted"' ];
+            var rsync = fake.command({ args: 1 }).useShell(false).source(sources);
+
+            return rsync.run().then(function (result) {
+                assert.deepEqual(JSON.parse(result.stdout), [ 'SOURCE' ].concat(sources, 'DESTINATION'));
+            });
+        });
+
+        it('should call back with the spawn error of a missing executable', function (done) {
+            var calls = 0;
+            var rsync = new Rsync().executable('/nonexistent/rsync').useShell(false).source('a').destination('b');
+
+            rsync.execute(function (error, code, cmd) {
+                calls++;
+                assert.strictEqual(error.code, 'ENOENT');
+                assert.isNull(code);
+                assert.strictEqual(cmd, '/nonexistent/rsync a b');
+                setTimeout(function () {
+                    assert.strictEqual(calls, 1);
+                    done();
+                }, 50);
+            });
+        });
+
+        it('should keep command as a display string', function () {
+            var rsync = fake.command().useShell(false).source('a b');
+            assert.strictEqual(rsync.command(), fake.executable + ' SOURCE a\\ b DESTINATION');
+        });
+
+    });
+
+});
@@ -0,0 +1,145 @@
+/* global describe,it,beforeEach,afterEach */
+"use strict";
+var assert = require('chai').assert;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var cli = require('../lib/cli');
+var fake = require('./helpers/fake');
+
+/**
+ * Collect the output written by the CLI.
+ */
+function capture() {
+    var io = { out: '', err: '' };
+    io.stdout = { write: function (data) { io.out += data; } };
+    io.stderr = { write: function (data) { io.err += data; } };
+    return io;
+}
+
+describe('cli', function () {
+    var dir, file, io;
+
+    function writeJobs(data) {
+        fs.writeFileSync(file, JSON.stringify(data));
+    }
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-rsync-cli-'));
+        file = path.join(dir, 'jobs.json');
+        io = capture();
+        writeJobs({
+            defaults: { executable: fake.executable, flags: 'az' },
+            jobs: {
+                www:  { source: '/var/www/', destination: 'backup:www/' },
+                logs: { source: '/var/log/', destination: 'backup:logs/', flags: 'a' }
+            }
+        });
+    });
+
+    afterEach(function () {
+        fs.unlinkSync(file);
+        fs.rmdirSync(dir);
+    });
+
+    it('should print the commands of all jobs', function () {
+        return cli.main([ 'run', file, '--print' ], io).then(function (status) {
+            assert.strictEqual(status, 0);
+            assert.strictEqual(io.out,
+                fake.executable + ' -az /var/www/ backup:www/\n' +
+                fake.executable + ' -a /var/log/ backup:logs/\n');
+        });
+    });
+
+    it('should print the commands of the named jobs', function () {
+        return cli.main([ 'run', file, 'logs', '--print' ], io).then(function (status) {
+            assert.strictEqual(status, 0);
+            assert.strictEqual(io.out, fake.executable + ' -a /var/log/ backup:logs/\n');
+        });
+    });
+
+    it('should run the jobs and stream their output', function () {
+        writeJobs({
+            defaults: { executable: fake.executable, env: { FAKE_RSYNC_STDOUT: 'synced' } },
+            jobs: {
+                one: { source: 'a', destination: 'b' },
+                two: { source: 'c', destination: 'd' }
+            }
+        });
+
+        return cli.main([ 'run', file ], io).then(function (status) {
+            assert.strictEqual(status, 0);
+            assert.strictEqual(io.out, 'syncedsynced');
+        });
+    });
+
+    it('should exit with the rsync exit code of a failed job', function () {
+        writeJobs({
+            defaults: { executable: fake.executable },
+            jobs: {
+                broken: { source: 'a', destination: 'b', env: { FAKE_RSYNC_EXIT: '23' } },
+                fine:   { source: 'c', destination: 'd', env: { FAKE_RSYNC_STDOUT: 'fine' } }
+            }
+        });
+
+        return cli.main([ 'run', file ], io).then(function (status) {
+            assert.strictEqual(status, 23);
+            assert.match(io.err, /job broken failed: rsync exited with code 23/);
+            assert.strictEqual(io.out, 'fine', 'the remaining jobs still run');
+        });
+    });
+
+    it('should resolve a relative cwd from the job file', function () {
+        writeJobs({ jobs: { one: { source: 'a', destination: 'b', cwd: 'data' } } });
+        var job = cli.buildJob(require('../rsync'), cli.loadJobs(file), 'one');
+        assert.strictEqual(job.cwd(), path.join(dir, 'data'));
+    });
+
+    it('should refuse unknown jobs', function () {
+        return cli.main([ 'run', file, 'missing' ], io).then(function (status) {
+            assert.strictEqual(status, 1);
+            assert.match(io.err, /Unknown job missing/);
+        });
+    });
+
+    it('should refuse keys that are not configuration', function () {
+        writeJobs({ jobs: { one: { source: 'a', destination: 'b', execute: true } } });
+        return cli.main([ 'run', file, '--print' ], io).then(function (status) {
+            assert.strictEqual(status, 1);
+            assert.match(io.err, /unsupported key "execute"/);
+        });
+    });
+
+    it('should refuse methods that run rsync or read files', function () {
+        var keys = [ 'filterTree', 'filterPaths', 'detectVersion', 'listModules', 'forVersion' ];
+        return keys.reduce(function (previous, key) {
+            return previous.then(function () {
+                var job = { source: 'a', destination: 'b' };
+                job[key] = '/nonexistent';
+                writeJobs({ jobs: { one: job } });
+                io.err = '';
+                return cli.main([ 'run', file, '--print' ], io).then(function (status) {
+                    assert.strictEqual(status, 1);
+                    assert.include(io.err, 'unsupported key "' + key + '"');
+                });
+            });
+        }, Promise.resolve());
+    });
+
+    it('should report invalid job files', function () {
+        fs.writeFileSync(file, '{ "jobs": ');
+        return cli.main([ 'run', file ], io).then(function (status) {
+            assert.strictEqual(status, 1);
+            assert.match(io.err, /Cannot read job file/);
+        });
+    });
+
+    it('should show the usage for unknown commands', function () {
+        return cli.main([ 'sync', file ], io).then(function (status) {
+            assert.strictEqual(status, 1);
+            assert.match(io.err, /Unknown command sync/);
+            assert.match(io.err, /Usage: node-rsync run/);
+        });
+    });
+
+});
@@ -0,0 +1,110 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+describe('daemon', function () {
+
+    it('should add the daemon connection options', function () {
+        var rsync = new Rsync()
+            .port(8730)
+            .address('10.0.0.2')
+            .passwordFile('/etc/rsync.secret')
+            .source('rsync://mirror/pub/')
+            .destination('pub/');
+        assert.strictEqual(rsync.command(),
+            'rsync --port=8730 --address=10.0.0.2 --password-file=/etc/rsync.secret rsync://mirror/pub/ pub/');
+    });
+
+    describe('#password', function () {
+
+        it('should pass the password through the environment', function () {
+            var rsync = new Rsync().password('s3cret pass').source('rsync://mirror/pub/').destination('pub/');
+            assert.strictEqual(rsync.password(), 's3cret pass');
+            assert.strictEqual(rsync.env().RSYNC_PASSWORD, 's3cret pass');
+            assert.notInclude(rsync.command(), 's3cret');
+            assert.notInclude(rsync.argv().join(' '), 's3cret');
+        });
+
+        it('should not change the process environment', function () {
+            new Rsync().password('secret');
+            assert.notStrictEqual(process.env.RSYNC_PASSWORD, 'secret');
+        });
+
+        it('should remove the password', function () {
+            var rsync = new Rsync().password('secret').password(false);
+            assert.isUndefined(rsync.password());
+        });
+
+        it('should be received by rsync', function () {
+            var rsync = fake.command({ env: 'RSYNC_PASSWORD' }).password('secret');
+            return rsync.run().then(function (result) {
+                assert.strictEqual(result.stderr, 'RSYNC_PASSWORD=secret');
+            });
+        });
+
+    });
+
+    describe('.parseModules', function () {
+
+        it('should parse the module list', function () {
+            var output = 'Welcome to the mirror\n\n' +
+                'pub            \tPublic files\n' +
+                'backup         \t\n' +
+                'very-long-module-name\tWith a long name\n';
+            assert.deepEqual(Rsync.parseModules(output), [
+                { name: 'pub', comment: 'Public files' },
+                { name: 'backup', comment: '' },
+                { name: 'very-long-module-name', comment: 'With a long name' }
+            ]);
+        });
+
+        it('should return an empty list without modules', function () {
+            assert.deepEqual(Rsync.parseModules(''), []);
+        });
+
+    });
+
+    describe('#listModules', function () {
+
+        it('should resolve with the modules of the daemon', function () {
+            var rsync = fake.command({ stdout: 'motd\npub            \tPublic files\n' });
+            return rsync.listModules('mirror').then(function (modules) {
+                assert.deepEqual(modules, [ { name: 'pub', comment: 'Public files' } ]);
+            });
+        });
+
+        it('should only use the connection options', function () {
+            var rsync = fake.command({ args: 1 })
+                .flags('avz')
+                .exclude('.git')
+                .port(8730)
+                .password('secret');
+            var run = Rsync.prototype.run;
+            var listed = null;
+            Rsync.prototype.run = function (options) {
+                listed = this;
+                return run.call(this, options);
+            };
+
+            return rsync.listModules('backup@fe80::1').then(function () {
+                Rsync.prototype.run = run;
+                assert.deepEqual(listed.argv(), [ '--port=8730', 'rsync://backup@[fe80::1]/' ]);
+                assert.strictEqual(listed.password(), 'secret');
+            }, function (error) {
+                Rsync.prototype.run = run;
+                throw error;
+            });
+        });
+
+        it('should reject an invalid host', function () {
+            return new Rsync().listModules('').then(function () {
+                assert.fail('should reject');
+            }, function (error) {
+                assert.match(error.message, /Invalid daemon host/);
+            });
+        });
+
+    });
+});
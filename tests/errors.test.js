@@ -0,0 +1,92 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+var RsyncError = Rsync.RsyncError;
+
+describe('errors', function () {
+
+    describe('RsyncError', function () {
+
+        it('should be an Error', function () {
+            var error = new RsyncError({ exitCode: 23 });
+            assert.instanceOf(error, Error);
+            assert.strictEqual(error.name, 'RsyncError');
+            assert.isString(error.stack);
+        });
+
+        it('should describe the exit code', function () {
+            var error = new RsyncError({ exitCode: 24, command: 'rsync a b' });
+            assert.strictEqual(error.exitCode, 24);
+            assert.strictEqual(error.description, 'partial transfer due to vanished source files');
+            assert.strictEqual(error.message, 'rsync exited with code 24 (partial transfer due to vanished source files)');
+            assert.strictEqual(error.command, 'rsync a b');
+        });
+
+        it('should describe unknown exit codes', function () {
+            assert.strictEqual(new RsyncError({ exitCode: 99 }).description, 'unknown error');
+        });
+
+        it('should report the signal when killed', function () {
+            var error = new RsyncError({ exitCode: null, signal: 'SIGKILL' });
+            assert.strictEqual(error.signal, 'SIGKILL');
+            assert.strictEqual(error.message, 'rsync was killed by signal SIGKILL');
+        });
+
+        it('should keep the tail of stderr', function () {
+            var lines = [];
+            for (var i = 1; i <= 30; i++) {
+                lines.push('line ' + i);
+            }
+            var error = new RsyncError({ exitCode: 23, stderr: lines.join('\n') + '\n' });
+            assert.strictEqual(error.stderr.split('\n')[0], 'line 11');
+            assert.strictEqual(error.stderr.split('\n').length, 20);
+        });
+
+        it('should tell partial transfers apart', function () {
+            assert.isTrue(new RsyncError({ exitCode: 23 }).isPartial());
+            assert.isTrue(new RsyncError({ exitCode: 24 }).isPartial());
+            assert.isFalse(new RsyncError({ exitCode: 10 }).isPartial());
+        });
+
+        it('should tell retryable failures apart', function () {
+            [ 10, 12, 30, 35, 255 ].forEach(function (code) {
+                assert.isTrue(new RsyncError({ exitCode: code }).isRetryable(), 'code ' + code);
+            });
+            [ 1, 2, 23, 24 ].forEach(function (code) {
+                assert.isFalse(new RsyncError({ exitCode: code }).isRetryable(), 'code ' + code);
+            });
+        });
+
+    });
+
+    describe('execution', function () {
+
+        it('should call back with an RsyncError from execute', function (done) {
+            var rsync = fake.command({ exit: 24, stderr: 'file has vanished: "a"\n' });
+            rsync.execute(function (error, code, cmd) {
+                assert.instanceOf(error, RsyncError);
+                assert.strictEqual(code, 24);
+                assert.strictEqual(error.command, cmd);
+                assert.strictEqual(error.stderr, 'file has vanished: "a"');
+                assert.isTrue(error.isPartial());
+                done();
+            });
+        });
+
+        it('should reject run with an RsyncError', function () {
+            return fake.command({ exit: 12, stderr: 'connection unexpectedly closed' }).run().then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.instanceOf(error, RsyncError);
+                assert.isTrue(error.isRetryable());
+                assert.strictEqual(error.stderr, 'connection unexpectedly closed');
+                assert.strictEqual(error.result.code, 12);
+            });
+        });
+
+    });
+
+});
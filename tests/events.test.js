@@ -0,0 +1,125 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var EventEmitter = require('events').EventEmitter;
+var fake = require('./helpers/fake');
+
+describe('events', function () {
+
+    describe('#start', function () {
+
+        it('should return an EventEmitter', function () {
+            var run = fake.command().start();
+            assert.instanceOf(run, EventEmitter);
+            return run;
+        });
+
+        it('should emit the lifecycle events', function () {
+            var events = [];
+            var run = fake.command({
+                stdout: 'sending incremental file list\n>f+++++++++ a.txt\n' +
+                        '          1,024 100%    1.00kB/s    0:00:01 (xfr#1, to-chk=0/1)\n',
+                stderr: 'rsync: link_stat "/missing" failed: No such file or directory (2)\n'
+            }).itemizeChanges().start();
+
+            [ 'spawn', 'stdout-line', 'stderr-line', 'progress', 'file', 'warning', 'exit', 'done' ].forEach(function (name) {
+                run.on(name, function () {
+                    events.push(name);
+                });
+            });
+
+            return run.then(function () {
+                assert.strictEqual(events[0], 'spawn');
+                assert.strictEqual(events[events.length - 2], 'exit');
+                assert.strictEqual(events[events.length - 1], 'done');
+                [ 'stdout-line', 'stderr-line', 'progress', 'file', 'warning' ].forEach(function (name) {
+                    assert.include(events, name);
+                });
+            });
+        });
+
+        it('should support any number of listeners', function () {
+            var first = [], second = [];
+            var run = fake.command({ stdout: 'one\ntwo\n' }).start();
+            run.on('stdout-line', function (line) { first.push(line); });
+            run.on('stdout-line', function (line) { second.push(line); });
+
+            return run.then(function () {
+                assert.deepEqual(first, [ 'one', 'two' ]);
+                assert.deepEqual(second, [ 'one', 'two' ]);
+            });
+        });
+
+        it('should emit error when there are listeners', function () {
+            var emitted = null;
+            var run = fake.command({ exit: 23 }).start();
+            run.on('error', function (error) { emitted = error; });
+
+            return run.then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.strictEqual(emitted, error);
+                assert.strictEqual(error.exitCode, 23);
+            });
+        });
+
+        it('should not throw without error listeners', function (done) {
+            var run = fake.command({ exit: 23 }).start();
+            run.on('exit', function (code) {
+                assert.strictEqual(code, 23);
+                setTimeout(done, 10);
+            });
+        });
+
+        it('should settle the run when a listener throws', function () {
+            var thrown = [];
+            var onUnhandled = function (error) { thrown.push(error.message); };
+            process.on('unhandledRejection', onUnhandled);
+
+            var done = fake.command().start();
+            done.on('done', function () { throw new Error('done listener'); });
+            var failed = fake.command({ exit: 23 }).start();
+            failed.on('error', function () { throw new Error('error listener'); });
+
+            return Promise.all([
+                done,
+                failed.then(function () {
+                    assert.fail('run should have been rejected');
+                }, function (error) {
+                    assert.strictEqual(error.exitCode, 23);
+                })
+            ]).then(function () {
+                return new Promise(function (resolve) { setTimeout(resolve, 10); });
+            }).then(function () {
+                process.removeListener('unhandledRejection', onUnhandled);
+                assert.sameMembers(thrown, [ 'done listener', 'error listener' ]);
+            }, function (error) {
+                process.removeListener('unhandledRejection', onUnhandled);
+                throw error;
+            });
+        });
+
+        it('should emit retry events', function () {
+            var retries = [];
+            var run = fake.command({ exit: 10 }).retry({ attempts: 2, delay: 1 }).start();
+            run.on('retry', function (error, attempt) { retries.push(attempt); });
+
+            return run.then(null, function () {
+                assert.deepEqual(retries, [ 1 ]);
+            });
+        });
+
+        it('should be cancelled through the run', function () {
+            var run = fake.command({ sleep: 5000 }).start();
+            run.on('spawn', function () { run.cancel(); });
+
+            return run.then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.strictEqual(error.name, 'AbortError');
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,152 @@
+/* global describe,it */
+"use strict";
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var PassThrough = require('stream').PassThrough;
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+function generate(entries) {
+    var index = 0;
+    var iterable = {};
+    iterable[Symbol.asyncIterator] = function () {
+        return {
+            next: function () {
+                if (index >= entries.length) {
+                    return Promise.resolve({ done: true });
+                }
+                var entry = entries[index++];
+                return (entry instanceof Error) ? Promise.reject(entry) : Promise.resolve({ value: entry, done: false });
+            }
+        };
+    };
+    return iterable;
+}
+
+describe('filesFrom', function () {
+
+    it('should read the list from stdin with NUL separators', function () {
+        var rsync = new Rsync().filesFrom([ 'a.txt', 'dir/b.txt' ]).source('src/').destination('dest/');
+        assert.strictEqual(rsync.command(), 'rsync --files-from=- --from0 src/ dest/');
+        assert.deepEqual(rsync.filesFrom(), [ 'a.txt', 'dir/b.txt' ]);
+    });
+
+    it('should pass a file name as is', function () {
+        var rsync = new Rsync().filesFrom('changed.txt').source('src/').destination('dest/');
+        assert.strictEqual(rsync.command(), 'rsync --files-from=changed.txt src/ dest/');
+        assert.strictEqual(rsync.filesFrom(), 'changed.txt');
+    });
+
+    it('should remove the list', function () {
+        var rsync = new Rsync().filesFrom([ 'a' ]).filesFrom(false).source('src/').destination('dest/');
+        assert.strictEqual(rsync.command(), 'rsync src/ dest/');
+        assert.isUndefined(rsync.filesFrom());
+    });
+
+    it('should reject invalid lists and entries', function () {
+        assert.throws(function () {
+            new Rsync().filesFrom(42);
+        }, /Array or an iterable/);
+        assert.throws(function () {
+            new Rsync().filesFrom([ 'a\0b' ]);
+        }, /NUL/);
+    });
+
+    it('should write an Array to stdin on execute', function (done) {
+        var stdout = '';
+        fake.command({ stdin: 0 }).filesFrom([ 'a.txt', 'with\nnewline' ]).execute(function (error) {
+            assert.isNull(error);
+            assert.strictEqual(JSON.parse(stdout), 'a.txt\0with\nnewline\0');
+            done();
+        }, function (chunk) {
+            stdout += chunk;
+        });
+    });
+
+    it('should stream an async iterable on run', function () {
+        var rsync = fake.command({ stdin: 0 }).filesFrom(generate([ 'one', 'two', 'three' ]));
+        return rsync.run().then(function (result) {
+            assert.strictEqual(JSON.parse(result.stdout), 'one\0two\0three\0');
+        });
+    });
+
+    it('should stream a synchronous iterable', function () {
+        var entries = new Set([ 'x', 'y' ]);
+        return fake.command({ stdin: 0 }).filesFrom(entries).run().then(function (result) {
+            assert.strictEqual(JSON.parse(result.stdout), 'x\0y\0');
+        });
+    });
+
+    it('should write the same list on retries', function () {
+        var counter = path.join(os.tmpdir(), 'node-rsync-filesfrom-' + process.pid + '-' + Date.now());
+        var cleanup = function () {
+            if (fs.existsSync(counter)) {
+                fs.unlinkSync(counter);
+            }
+        };
+        var rsync = fake.command({ stdin: 0, exit: '30,0', counter: counter })
+            .filesFrom(generate([ 'a', 'b' ]))
+            .retry({ delay: 1, jitter: 0, partial: false });
+
+        return rsync.run().then(function (result) {
+            cleanup();
+            assert.lengthOf(result.attempts, 2);
+            assert.strictEqual(JSON.parse(result.stdout), 'a\0b\0');
+        }, function (error) {
+            cleanup();
+            throw error;
+        });
+    });
+
+    it('should fail the run when the iterable fails', function () {
+        var rsync = fake.command({ stdin: 0 }).filesFrom(generate([ 'a', new Error('diff failed') ]));
+        return rsync.run().then(function () {
+            assert.fail('run should fail');
+        }, function (error) {
+            assert.strictEqual(error.message, 'diff failed');
+        });
+    });
+
+    it('should not end the list when the iterable fails', function () {
+        var stream = new PassThrough();
+        var end = sinon.spy(stream, 'end');
+        var list = new Rsync().filesFrom(generate([ 'a', new Error('diff failed') ]))._filesFrom;
+        return list.pipe(stream).then(function () {
+            assert.fail('writing should fail');
+        }, function (error) {
+            assert.strictEqual(error.message, 'diff failed');
+            assert.isFalse(end.called);
+            assert.strictEqual(stream.read().toString(), 'a\0');
+        });
+    });
+
+    it('should stop writing when rsync stops reading', function () {
+        var entries = [];
+        for (var i = 0; i < 20000; i++) {
+            entries.push('directory/with/a/long/path/file-' + i + '.txt');
+        }
+        return fake.command({ stdin: 10 }).filesFrom(entries).run().then(function (result) {
+            assert.strictEqual(JSON.parse(result.stdout), 'directory/');
+        });
+    });
+
+    it('should share the list with copies and serialize an Array', function () {
+        var rsync = new Rsync().filesFrom([ 'a', 'b' ]).source('src/').destination('dest/');
+        assert.deepEqual(rsync.clone().filesFrom(), [ 'a', 'b' ]);
+
+        var restored = Rsync.fromJSON(JSON.stringify(rsync));
+        assert.deepEqual(restored.filesFrom(), [ 'a', 'b' ]);
+        assert.strictEqual(restored.command(), rsync.command());
+    });
+
+    it('should not serialize a streamed list', function () {
+        var rsync = new Rsync().filesFrom(generate([ 'a' ]));
+        assert.throws(function () {
+            rsync.toJSON();
+        }, /streamed file list/);
+    });
+
+});
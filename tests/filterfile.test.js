@@ -0,0 +1,135 @@
+/* global describe,it */
+"use strict";
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+function managedFile(rsync) {
+    var arg = rsync.argv().filter(function (arg) {
+        return /^--(exclude-from|filter)=/.test(arg);
+    })[0];
+    return arg.replace(/^--exclude-from=|^--filter=merge /, '');
+}
+
+describe('filterFile', function () {
+
+    it('should pass the rules inline below the threshold', function () {
+        var rsync = new Rsync().exclude([ 'a', 'b' ]).source('src/').destination('dest/');
+        assert.isNull(rsync.filterFile());
+        assert.strictEqual(rsync.command(), 'rsync --exclude=a --exclude=b src/ dest/');
+    });
+
+    it('should use a file above the default threshold', function () {
+        var patterns = [];
+        for (var i = 0; i <= 1000; i++) {
+            patterns.push('file-' + i);
+        }
+        var rsync = new Rsync().exclude(patterns).source('src/').destination('dest/');
+        assert.lengthOf(rsync.argv(), 3);
+        assert.match(rsync.argv()[0], /^--exclude-from=.*\.rules$/);
+    });
+
+    it('should use a file above a configured threshold', function () {
+        var rsync = new Rsync().exclude([ 'a', 'b' ]).include('c').filterFile(2).source('src/').destination('dest/');
+        var file = managedFile(rsync);
+        assert.strictEqual(path.dirname(path.dirname(file)), os.tmpdir());
+        assert.strictEqual(rsync.command(), 'rsync --exclude-from=' + file + ' src/ dest/');
+    });
+
+    it('should merge the file for other rules', function () {
+        var rsync = new Rsync().exclude('a').protect('b').filterFile(true).source('src/').destination('dest/');
+        var file = managedFile(rsync);
+        assert.strictEqual(rsync.command(), 'rsync --filter=merge\\ ' + file + ' src/ dest/');
+    });
+
+    it('should never use a file when disabled', function () {
+        var rsync = new Rsync().exclude([ 'a', 'b' ]).filterFile(false);
+        assert.deepEqual(rsync.argv(), [ '--exclude=a', '--exclude=b' ]);
+    });
+
+    it('should not use a file without rules', function () {
+        assert.deepEqual(new Rsync().filterFile(true).argv(), []);
+    });
+
+    it('should use the same file for the same rules', function () {
+        var a = new Rsync().exclude('a').include('b').filterFile(true);
+        var b = new Rsync().exclude('a').include('b').filterFile(true);
+        var c = new Rsync().include('b').exclude('a').filterFile(true);
+        assert.strictEqual(managedFile(a), managedFile(b));
+        assert.notStrictEqual(managedFile(a), managedFile(c));
+    });
+
+    it('should reject invalid settings', function () {
+        assert.throws(function () {
+            new Rsync().filterFile('yes');
+        }, /Boolean or a number/);
+    });
+
+    it('should be copied and serialized', function () {
+        var rsync = new Rsync().exclude('a').filterFile(10);
+        assert.strictEqual(rsync.clone().filterFile(), 10);
+        assert.strictEqual(Rsync.fromJSON(JSON.stringify(rsync)).filterFile(), 10);
+    });
+
+    describe('running', function () {
+
+        it('should write the rules and delete the file after the run', function () {
+            var rsync = fake.command({ args: 1 }).exclude('*.tmp').include('/src').filterFile(true);
+            var file = managedFile(rsync);
+            var content = null;
+
+            return rsync.start().on('spawn', function () {
+                content = fs.readFileSync(file, 'utf8');
+            }).then(function (result) {
+                assert.strictEqual(content, '- *.tmp\n+ /src\n');
+                assert.include(JSON.parse(result.stdout), '--exclude-from=' + file);
+                assert.isFalse(fs.existsSync(file));
+            });
+        });
+
+        it('should delete the file when the run fails', function () {
+            var rsync = fake.command({ exit: 23 }).exclude('a').filterFile(true);
+            var file = managedFile(rsync);
+
+            return rsync.run().then(function () {
+                assert.fail('run should fail');
+            }, function (error) {
+                assert.strictEqual(error.exitCode, 23);
+                assert.isFalse(fs.existsSync(file));
+            });
+        });
+
+        it('should delete the file after execute', function (done) {
+            var rsync = fake.command({}).hide('secret').filterFile(true);
+            var file = managedFile(rsync);
+
+            var cmdProc = rsync.execute(function (error) {
+                assert.isNull(error);
+                assert.isFalse(fs.existsSync(file));
+                done();
+            });
+            assert.isNumber(cmdProc.pid);
+            assert.isTrue(fs.existsSync(file));
+        });
+
+        it('should keep the file while other runs use it', function () {
+            var slow = fake.command({ sleep: 200 }).exclude('shared').filterFile(true);
+            var fast = fake.command({}).exclude('shared').filterFile(true);
+            var file = managedFile(slow);
+
+            var slowRun = slow.run();
+            return fast.run().then(function () {
+                assert.isTrue(fs.existsSync(file));
+                return slowRun;
+            }).then(function () {
+                assert.isFalse(fs.existsSync(file));
+                assert.isFalse(fs.existsSync(path.dirname(file)));
+            });
+        });
+
+    });
+
+});
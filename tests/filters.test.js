@@ -95,4 +95,86 @@ describe('filters', function () {
 
     });
 
+    describe('#filter', function () {
+
+        it('should add rules in the short form', function () {
+            command.filter(': .rsync-filter', 'P /backup/', 'Hs *.tmp', '!');
+            assertOutput(command, 'rsync --filter=:\\ .rsync-filter --filter=P\\ /backup/ --filter=Hs\\ *.tmp --filter=! SOURCE DESTINATION');
+        });
+
+        it('should add rules in the long form', function () {
+            command.filter('dir-merge,- .excludes', 'protect /backup/', 'exclude,/ /etc/passwd', 'clear');
+            assert.deepEqual(command.filter(), [ ':- .excludes', 'P /backup/', '-/ /etc/passwd', '!' ]);
+        });
+
+        it('should add rules as Objects', function () {
+            command.filter([
+                { action: 'risk', pattern: '/backup/old/' },
+                { action: '+', modifiers: '!', pattern: '*/' }
+            ]);
+            assert.deepEqual(command.filter(), [ 'R /backup/old/', '+! */' ]);
+        });
+
+        it('should keep the order with includes and excludes', function () {
+            command.include('*/').filter('- *.tmp').exclude('.git').filter('-p *.o');
+            assert.deepEqual(command.argv(), [
+                '--include=*/', '--exclude=*.tmp', '--exclude=.git', '--filter=-p *.o', 'SOURCE', 'DESTINATION'
+            ]);
+        });
+
+        it('should accept filter rules in patterns', function () {
+            command.patterns([ '-.git', { action: 'P', pattern: '/keep' }, { action: '-', modifiers: 'x', pattern: 'user.*' } ]);
+            assert.deepEqual(command.filter(), [ '- .git', 'P /keep', '-x user.*' ]);
+        });
+
+        it('should add a CVS exclude without a pattern', function () {
+            command.filter('-C');
+            assert.deepEqual(command.argv(), [ '--filter=-C', 'SOURCE', 'DESTINATION' ]);
+        });
+
+        it('should reject invalid rules', function () {
+            assert.throws(function () {
+                command.filter('X foo');
+            }, /Invalid filter rule/);
+            assert.throws(function () {
+                command.filter('-e foo');
+            }, /Invalid modifier e/);
+            assert.throws(function () {
+                command.filter(':-+ .rules');
+            }, /both the - and \+ modifiers/);
+            assert.throws(function () {
+                command.filter('P');
+            }, /needs a pattern/);
+            assert.throws(function () {
+                command.filter('! foo');
+            }, /does not take a pattern/);
+            assert.lengthOf(command._patterns, 0);
+        });
+
+        it('should keep patterns with spaces in one argument', function () {
+            command.protect('/my backups/', '/');
+            assert.deepEqual(command.argv(), [ '--filter=P/ /my backups/', 'SOURCE', 'DESTINATION' ]);
+            assertOutput(command, 'rsync --filter=P/\\ /my\\ backups/ SOURCE DESTINATION');
+        });
+
+    });
+
+    describe('shorthands', function () {
+
+        it('should add the filter rules', function () {
+            command.protect('/keep').risk('/keep/tmp').hide('*.bak', 's').show('important.bak')
+                .merge('/etc/rsync/rules', '-').dirMerge('.rsync-filter', 'n');
+            assert.deepEqual(command.filter(), [
+                'P /keep', 'R /keep/tmp', 'Hs *.bak', 'S important.bak', '.- /etc/rsync/rules', ':n .rsync-filter'
+            ]);
+        });
+
+        it('should survive cloning and serialization', function () {
+            command.exclude('.git').dirMerge('.rsync-filter', '-');
+            assert.deepEqual(command.clone().filter(), command.filter());
+            assert.deepEqual(Rsync.fromJSON(JSON.stringify(command)).filter(), command.filter());
+        });
+
+    });
+
 });
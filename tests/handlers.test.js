@@ -0,0 +1,102 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+describe('output handlers', function () {
+
+    describe('#output', function () {
+
+        it('should register the stderr handler for stderr', function () {
+            var stdout = function () {};
+            var stderr = function () {};
+            var rsync = new Rsync().output(stdout, stderr);
+            assert.strictEqual(rsync._outputHandlers.stdout, stdout);
+            assert.strictEqual(rsync._outputHandlers.stderr, stderr);
+        });
+
+        it('should accept options through Rsync.build', function () {
+            var rsync = Rsync.build({
+                output: [ function () {}, function () {}, { lines: true, encoding: 'latin1' } ]
+            });
+            assert.deepEqual(rsync._outputOptions, { lines: true, encoding: 'latin1' });
+        });
+
+        it('should keep the options when only handlers are passed', function () {
+            var rsync = new Rsync().output(null, null, { lines: true });
+            rsync.output(function () {});
+            assert.isTrue(rsync._outputOptions.lines);
+        });
+
+    });
+
+    describe('execution', function () {
+
+        it('should call the stderr handler with stderr data', function (done) {
+            var out = '', err = '';
+            fake.command({ stdout: 'to stdout', stderr: 'to stderr' }).execute(function () {
+                assert.strictEqual(out, 'to stdout');
+                assert.strictEqual(err, 'to stderr');
+                done();
+            }, function (chunk) {
+                out += chunk;
+            }, function (chunk) {
+                err += chunk;
+            });
+        });
+
+        it('should pass Buffer chunks by default', function () {
+            var chunks = [];
+            var rsync = fake.command({ stdout: 'data' }).output(function (chunk) {
+                chunks.push(chunk);
+            });
+            return rsync.run().then(function () {
+                assert.isTrue(Buffer.isBuffer(chunks[0]));
+            });
+        });
+
+        it('should pass complete lines', function () {
+            var out = [], err = [];
+            var rsync = fake.command({
+                stdout: 'file.txt\n   512  50%\r  1024 100%\nlast',
+                stderr: 'warning one\nwarning two\n'
+            }).output(function (line) {
+                out.push(line);
+            }, function (line) {
+                err.push(line);
+            }, { lines: true });
+
+            return rsync.run().then(function () {
+                assert.deepEqual(out, [ 'file.txt', '   512  50%', '  1024 100%', 'last' ]);
+                assert.deepEqual(err, [ 'warning one', 'warning two' ]);
+            });
+        });
+
+        it('should decode with the configured encoding', function () {
+            var out = [];
+            var rsync = fake.command({ stdout: 'café\n' }).output(function (line) {
+                out.push(line);
+            }, null, { lines: true, encoding: 'latin1' });
+
+            return rsync.run().then(function (result) {
+                // the utf8 output decoded as latin1
+                assert.deepEqual(out, [ 'cafÃ©' ]);
+                assert.strictEqual(result.stdout, 'cafÃ©\n');
+            });
+        });
+
+        it('should pass decoded chunks with only an encoding', function () {
+            var chunks = [];
+            var rsync = fake.command({ stdout: 'text' }).output(function (chunk) {
+                chunks.push(chunk);
+            }, null, { encoding: 'utf8' });
+
+            return rsync.run().then(function () {
+                assert.deepEqual(chunks, [ 'text' ]);
+            });
+        });
+
+    });
+
+});
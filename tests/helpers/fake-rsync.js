@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+"use strict";
+/*
+ * Stand-in for the rsync executable so commands can be executed in tests
+ * without rsync being installed. Its behaviour is controlled through
+ * environment variables:
+ *
+ *   FAKE_RSYNC_STDOUT  text to write to stdout
+ *   FAKE_RSYNC_STDERR  text to write to stderr
+ *   FAKE_RSYNC_EXIT    exit code (defaults to 0), or a comma separated list of
+ *                      exit codes for consecutive invocations
+ *   FAKE_RSYNC_COUNTER file to count invocations in, used with a list of exit codes
+ *   FAKE_RSYNC_SLEEP   milliseconds to wait before exiting
+ *   FAKE_RSYNC_ARGS    when set, the received arguments are written to stdout as JSON
+ *   FAKE_RSYNC_TICK    write a dot to stdout every given number of milliseconds
+ *   FAKE_RSYNC_NOTERM  when set, SIGTERM is ignored
+ *   FAKE_RSYNC_CHILD   file to write the pid of a long running child process to
+ *   FAKE_RSYNC_READY   when set, a `ready` line is written to stdout once the
+ *                      SIGTERM handler is installed and the child is started
+ *   FAKE_RSYNC_ENV     name of an environment variable to write to stderr
+ *   FAKE_RSYNC_LISTEN  when set, accept connections on the --port argument until
+ *                      terminated and greet them like a daemon
+ *   FAKE_RSYNC_VERSION text to write to stdout when called with --version, which
+ *                      then exits with code 0 without any other behaviour
+ *   FAKE_RSYNC_STDIN   when set, stdin is read before exiting and written to
+ *                      stdout as JSON, with the number of bytes to read or 0
+ *                      for all of it
+ */
+var fs = require('fs');
+var env = process.env;
+
+if (env.FAKE_RSYNC_VERSION && process.argv.indexOf('--version') >= 0) {
+    process.stdout.write(env.FAKE_RSYNC_VERSION, function() {
+        process.exit(0);
+    });
+    return;
+}
+
+var exitCodes = (env.FAKE_RSYNC_EXIT || '0').split(',');
+var invocation = 0;
+if (env.FAKE_RSYNC_COUNTER) {
+    try {
+        invocation = parseInt(fs.readFileSync(env.FAKE_RSYNC_COUNTER, 'utf8'), 10) || 0;
+    }
+    catch (e) {
+        invocation = 0;
+    }
+    fs.writeFileSync(env.FAKE_RSYNC_COUNTER, String(invocation + 1));
+}
+var exitCode = exitCodes[Math.min(invocation, exitCodes.length - 1)];
+
+if (env.FAKE_RSYNC_ARGS) {
+    process.stdout.write(JSON.stringify(process.argv.slice(2)));
+}
+if (env.FAKE_RSYNC_STDOUT) {
+    process.stdout.write(env.FAKE_RSYNC_STDOUT);
+}
+if (env.FAKE_RSYNC_STDERR) {
+    process.stderr.write(env.FAKE_RSYNC_STDERR);
+}
+if (env.FAKE_RSYNC_ENV) {
+    process.stderr.write(env.FAKE_RSYNC_ENV + '=' + (env[env.FAKE_RSYNC_ENV] || ''));
+}
+
+if (env.FAKE_RSYNC_TICK) {
+    setInterval(function() {
+        process.stdout.write('.');
+    }, parseInt(env.FAKE_RSYNC_TICK, 10));
+}
+if (env.FAKE_RSYNC_NOTERM) {
+    process.on('SIGTERM', function() {});
+}
+if (env.FAKE_RSYNC_CHILD) {
+    var child = require('child_process').spawn(process.execPath, ['-e', 'setTimeout(function() {}, 60000)'], {
+        stdio: 'ignore'
+    });
+    fs.writeFileSync(env.FAKE_RSYNC_CHILD, String(child.pid));
+}
+if (env.FAKE_RSYNC_READY) {
+    process.stdout.write('ready\n');
+}
+
+if (env.FAKE_RSYNC_LISTEN) {
+    var port = process.argv.filter(function(arg) {
+        return /^--port=/.test(arg);
+    })[0];
+    var server = require('net').createServer(function(socket) {
+        socket.end('@RSYNCD: 31.0\n');
+    });
+    server.listen(parseInt(port.slice('--port='.length), 10), '127.0.0.1');
+}
+else if (env.FAKE_RSYNC_STDIN) {
+    var limit = parseInt(env.FAKE_RSYNC_STDIN, 10);
+    var input = '';
+    var exited = false;
+    var exit = function() {
+        if (exited) {
+            return;
+        }
+        exited = true;
+        process.stdout.write(JSON.stringify(input), function() {
+            process.exit(parseInt(exitCode, 10));
+        });
+    };
+    process.stdin.on('data', function(chunk) {
+        input += chunk.toString();
+        if (limit > 0 && input.length >= limit) {
+            input = input.slice(0, limit);
+            process.stdin.pause();
+            exit();
+        }
+    });
+    process.stdin.on('end', exit);
+}
+else {
+    setTimeout(function() {
+        process.exit(parseInt(exitCode, 10));
+    }, parseInt(env.FAKE_RSYNC_SLEEP || '0', 10));
+}
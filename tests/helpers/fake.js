@@ -0,0 +1,47 @@
+"use strict";
+/* jshint strict: true */
+var path = require('path');
+var Rsync = require('../../rsync');
+var mergeEnv = require('../../lib/helpers').mergeEnv;
+
+var fake = module.exports;
+
+/**
+ * Path to the fake rsync executable.
+ * @type {String}
+ */
+fake.executable = path.join(__dirname, 'fake-rsync.js');
+
+/**
+ * Create the environment for the fake rsync executable with the given
+ * behaviour: the environment of the process with the settings added.
+ *
+ * @param {Object} behaviour    FAKE_RSYNC_* settings without the prefix
+ * @return {Object}
+ */
+fake.env = function (behaviour) {
+  var settings = {};
+  Object.keys(behaviour || {}).forEach(function (key) {
+    settings['FAKE_RSYNC_' + key.toUpperCase()] = behaviour[key];
+  });
+  return mergeEnv(settings);
+};
+
+/**
+ * Create an Rsync command that executes the fake rsync executable with
+ * the given behaviour. See `fake-rsync.js` for the supported settings.
+ *
+ * @param {Object} behaviour    FAKE_RSYNC_* settings without the prefix
+ * @return {Rsync}
+ */
+fake.command = function (behaviour) {
+  var env = fake.env(behaviour);
+
+  var rsync = new Rsync()
+    .executable(fake.executable)
+    .source('SOURCE')
+    .destination('DESTINATION');
+  rsync.env(env);
+
+  return rsync;
+};
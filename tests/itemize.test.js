@@ -0,0 +1,128 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+describe('itemize', function () {
+
+    describe('#parseItemized', function () {
+
+        it('should parse a received file with changed attributes', function () {
+            var record = Rsync.parseItemized('>f.st...... path/to/file.txt');
+            assert.strictEqual(record.action, 'received');
+            assert.strictEqual(record.type, 'file');
+            assert.strictEqual(record.path, 'path/to/file.txt');
+            assert.isFalse(record.isNew);
+            assert.deepEqual(record.changes, {
+                checksum: false, size: true, time: true, perms: false,
+                owner: false, group: false, acl: false, xattr: false
+            });
+        });
+
+        it('should parse a sent new file', function () {
+            var record = Rsync.parseItemized('<f+++++++++ new file.txt');
+            assert.strictEqual(record.action, 'sent');
+            assert.isTrue(record.isNew);
+            assert.strictEqual(record.path, 'new file.txt');
+            assert.isTrue(record.changes.size);
+        });
+
+        it('should parse a created directory', function () {
+            var record = Rsync.parseItemized('cd+++++++++ new/dir/');
+            assert.strictEqual(record.action, 'created');
+            assert.strictEqual(record.type, 'directory');
+        });
+
+        it('should parse local changes with ACL and xattr changes', function () {
+            var record = Rsync.parseItemized('.d..t....ax some/dir/');
+            assert.strictEqual(record.action, 'unchanged');
+            assert.isTrue(record.changes.time);
+            assert.isTrue(record.changes.acl);
+            assert.isTrue(record.changes.xattr);
+            assert.isFalse(record.changes.perms);
+        });
+
+        it('should split the target of symlinks and hard links', function () {
+            var link = Rsync.parseItemized('cL+++++++++ link -> ../target');
+            assert.strictEqual(link.type, 'symlink');
+            assert.strictEqual(link.path, 'link');
+            assert.strictEqual(link.target, '../target');
+
+            var hard = Rsync.parseItemized('hf+++++++++ copy => original');
+            assert.strictEqual(hard.action, 'hardlink');
+            assert.strictEqual(hard.path, 'copy');
+            assert.strictEqual(hard.target, 'original');
+        });
+
+        it('should parse deletions', function () {
+            var record = Rsync.parseItemized('*deleting   old/file.txt');
+            assert.strictEqual(record.action, 'deleted');
+            assert.isNull(record.type);
+            assert.strictEqual(record.path, 'old/file.txt');
+        });
+
+        it('should parse the shorter flags of older versions', function () {
+            var record = Rsync.parseItemized('>f.st.... file.txt');
+            assert.strictEqual(record.path, 'file.txt');
+            assert.isTrue(record.changes.size);
+        });
+
+        it('should parse paths with spaces in the shorter flags of older versions', function () {
+            var record = Rsync.parseItemized('>f+++++++ a b.txt');
+            assert.strictEqual(record.path, 'a b.txt');
+            assert.strictEqual(record.flags, '>f+++++++');
+            assert.isTrue(record.isNew);
+            assert.strictEqual(record.action, 'received');
+
+            var changed = Rsync.parseItemized('>f.st.... some dir/file name.txt');
+            assert.strictEqual(changed.path, 'some dir/file name.txt');
+            assert.isTrue(changed.changes.size);
+            assert.isTrue(changed.changes.time);
+        });
+
+        it('should parse unchanged items with blank attributes', function () {
+            assert.strictEqual(Rsync.parseItemized('.d          some dir/').path, 'some dir/');
+            assert.strictEqual(Rsync.parseItemized('.f        a b.txt').path, 'a b.txt');
+        });
+
+        it('should return null for other lines', function () {
+            assert.isNull(Rsync.parseItemized('sending incremental file list'));
+            assert.isNull(Rsync.parseItemized('*warning something'));
+        });
+
+    });
+
+    describe('execution', function () {
+        var stdout = 'sending incremental file list\n' +
+                     '>f+++++++++ a.txt\n' +
+                     '*deleting   b.txt\n' +
+                     '\nsent 100 bytes  received 20 bytes  240.00 bytes/sec\n';
+
+        it('should collect the changes on the run result', function () {
+            return fake.command({ stdout: stdout }).itemizeChanges().run().then(function (result) {
+                assert.lengthOf(result.changes, 2);
+                assert.strictEqual(result.changes[0].path, 'a.txt');
+                assert.strictEqual(result.changes[1].action, 'deleted');
+            });
+        });
+
+        it('should not collect changes without the itemize option', function () {
+            return fake.command({ stdout: stdout }).run().then(function (result) {
+                assert.lengthOf(result.changes, 0);
+            });
+        });
+
+        it('should stream each change to the file handler', function () {
+            var records = [];
+            var rsync = fake.command({ stdout: stdout }).itemizeChanges().fileHandler(function (record) {
+                records.push(record.path);
+            });
+            return rsync.run().then(function () {
+                assert.deepEqual(records, [ 'a.txt', 'b.txt' ]);
+            });
+        });
+
+    });
+
+});
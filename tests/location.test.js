@@ -0,0 +1,153 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+
+describe('location', function () {
+
+//# remote ////////////////////////////////////////////////////////////////////////////////////////
+    describe('.remote', function () {
+
+        it('should render a remote shell location', function () {
+            var location = Rsync.remote({ user: 'backup', host: 'server', path: '/srv/data/' });
+            assert.strictEqual(String(location), 'backup@server:/srv/data/');
+        });
+
+        it('should put brackets around IPv6 addresses', function () {
+            var location = Rsync.remote({ user: 'backup', host: 'fe80::1', path: 'data' });
+            assert.strictEqual(String(location), 'backup@[fe80::1]:data');
+        });
+
+        it('should keep colons in the path', function () {
+            var location = Rsync.remote({ host: 'server', path: 'a:b/c:d' });
+            assert.strictEqual(String(location), 'server:a:b/c:d');
+        });
+
+        it('should pass the port to ssh', function () {
+            var rsync = new Rsync()
+                .source('local/')
+                .destination(Rsync.remote({ host: 'server', port: 2222, path: 'dst' }));
+            assert.strictEqual(rsync.command(), 'rsync --rsh="ssh -p 2222" local/ server:dst');
+        });
+
+        it('should add the port to the configured remote shell', function () {
+            var rsync = new Rsync()
+                .shell('ssh -i key')
+                .source('local/')
+                .destination(Rsync.remote({ host: 'server', port: 2222, path: 'dst' }));
+            assert.deepEqual(rsync.argv(), [ '--rsh=ssh -i key -p 2222', 'local/', 'server:dst' ]);
+        });
+
+        it('should reject invalid hosts and ports', function () {
+            assert.throws(function () {
+                Rsync.remote({ host: 'bad host', path: 'x' });
+            }, /Invalid host/);
+            assert.throws(function () {
+                Rsync.remote({ host: 'server', port: 70000, path: 'x' });
+            }, /Invalid port/);
+        });
+
+    });
+
+//# daemon ////////////////////////////////////////////////////////////////////////////////////////
+    describe('.daemon', function () {
+
+        it('should render an rsync URL', function () {
+            var location = Rsync.daemon({ user: 'mirror', host: 'example.com', port: 8730, module: 'pub', path: 'iso/' });
+            assert.strictEqual(String(location), 'rsync://mirror@example.com:8730/pub/iso/');
+        });
+
+        it('should render a module without a path', function () {
+            assert.strictEqual(String(Rsync.daemon({ host: '::1', module: 'pub' })), 'rsync://[::1]/pub');
+        });
+
+        it('should require a module', function () {
+            assert.throws(function () {
+                Rsync.daemon({ host: 'example.com', path: 'x' });
+            }, /Invalid module/);
+        });
+
+    });
+
+//# escaping //////////////////////////////////////////////////////////////////////////////////////
+    describe('escaping', function () {
+
+        it('should protect remote paths with spaces', function () {
+            var rsync = new Rsync()
+                .source(Rsync.remote({ host: 'server', path: 'my files/' }))
+                .destination('local/');
+            assert.deepEqual(rsync.argv(), [ '--protect-args', 'server:my files/', 'local/' ]);
+            assert.strictEqual(rsync.command(), 'rsync --protect-args server:my\\ files/ local/');
+        });
+
+        it('should not protect paths without special characters', function () {
+            var rsync = new Rsync()
+                .source(Rsync.remote({ host: 'server', path: 'files/' }))
+                .destination('local/');
+            assert.deepEqual(rsync.argv(), [ 'server:files/', 'local/' ]);
+        });
+
+        it('should escape remote paths for the remote shell with old-args', function () {
+            var rsync = new Rsync()
+                .set('old-args')
+                .source(Rsync.remote({ host: 'server', path: 'my files/' }))
+                .destination('local/');
+            assert.deepEqual(rsync.argv(), [ '--old-args', 'server:my\\ files/', 'local/' ]);
+        });
+
+        it('should prefix local paths that look remote', function () {
+            var rsync = new Rsync()
+                .source(Rsync.location('./a:b'))
+                .destination(new Rsync.Location({ path: 'c:d' }));
+            assert.deepEqual(rsync.argv(), [ './a:b', './c:d' ]);
+        });
+
+    });
+
+//# location //////////////////////////////////////////////////////////////////////////////////////
+    describe('.location', function () {
+
+        it('should parse remote shell locations', function () {
+            var location = Rsync.location('backup@[fe80::1]:my files/');
+            assert.strictEqual(location.type, 'remote');
+            assert.strictEqual(location.user, 'backup');
+            assert.strictEqual(location.host, 'fe80::1');
+            assert.strictEqual(location.path, 'my files/');
+        });
+
+        it('should parse daemon locations', function () {
+            var url = Rsync.location('rsync://mirror@example.com:8730/pub/iso/');
+            assert.include(url, { type: 'daemon', user: 'mirror', host: 'example.com', port: 8730, module: 'pub', path: 'iso/' });
+
+            var module = Rsync.location('example.com::pub/iso/');
+            assert.include(module, { type: 'daemon', host: 'example.com', module: 'pub', path: 'iso/' });
+        });
+
+        it('should parse local paths', function () {
+            [ '/srv/data', 'relative/a:b', 'C:\\data' ].forEach(function (path) {
+                var location = Rsync.location(path);
+                assert.strictEqual(location.type, 'local');
+                assert.strictEqual(location.path, path);
+            });
+        });
+
+        it('should round-trip rendered locations', function () {
+            [
+                Rsync.remote({ user: 'u', host: '2001:db8::2', path: 'a:b' }),
+                Rsync.daemon({ host: 'example.com', port: 873, module: 'pub', path: 'x/y' })
+            ].forEach(function (location) {
+                assert.deepEqual(Rsync.location(String(location)).toJSON(), location.toJSON());
+            });
+        });
+
+        it('should survive serialization', function () {
+            var rsync = new Rsync()
+                .source('local/')
+                .destination(Rsync.remote({ host: 'server', port: 2222, path: 'dst' }));
+            var restored = Rsync.fromJSON(JSON.stringify(rsync));
+            assert.instanceOf(restored.destination(), Rsync.Location);
+            assert.strictEqual(restored.command(), rsync.command());
+        });
+
+    });
+});
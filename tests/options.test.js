@@ -175,5 +175,34 @@ describe('options', function () {
 
         });
 
+    });
+//# clone /////////////////////////////////////////////////////////////////////////////////////////
+    describe('#clone', function () {
+
+        it('should produce the same command', function () {
+            command.flags('avz')
+                .set('rsh', 'ssh -p 2222')
+                .chmod([ 'u=rwx', 'g=rx' ])
+                .exclude('.git')
+                .include('/src')
+                .source([ 'a', 'b' ])
+                .destination('host:dest')
+                .executable('/usr/local/bin/rsync');
+
+            assert.strictEqual(command.clone().command(), command.command());
+        });
+
+        it('should not share state with the original', function () {
+            command.chmod('u=rwx').exclude('.git').source('a');
+
+            var copy = command.clone();
+            copy.chmod('g=rx').exclude('.svn').source('b').set('delete');
+
+            assert.deepEqual(command.chmod(), [ 'u=rwx' ]);
+            assert.lengthOf(command._patterns, 1);
+            assert.deepEqual(command.source(), [ 'a' ]);
+            assert.isFalse(command.isSet('delete'));
+        });
+
     });
 });
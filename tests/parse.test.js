@@ -0,0 +1,125 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var tokenize = require('../lib/parse').tokenize;
+
+describe('parse', function () {
+
+    describe('tokenize', function () {
+
+        it('should split on whitespace', function () {
+            assert.deepEqual(tokenize('  rsync  -a\tsrc dst '), [ 'rsync', '-a', 'src', 'dst' ]);
+        });
+
+        it('should support quotes and escapes', function () {
+            assert.deepEqual(tokenize('a "b c" \'d "e"\' f\\ g "h\\"i" \'j\\k\' ""'),
+                [ 'a', 'b c', 'd "e"', 'f g', 'h"i', 'j\\k', '' ]);
+        });
+
+        it('should throw on unterminated quotes', function () {
+            assert.throw(function () {
+                tokenize('rsync "src');
+            }, /unterminated quote/i);
+        });
+
+    });
+
+    describe('#parse', function () {
+
+        it('should parse the example command', function () {
+            var rsync = Rsync.parse('rsync -avz --exclude=.git -e "ssh -p 2222" src/ host:dst');
+            assert.strictEqual(rsync.executable(), 'rsync');
+            assert.isTrue(rsync.isSet('a'));
+            assert.isTrue(rsync.isSet('v'));
+            assert.isTrue(rsync.isSet('z'));
+            assert.strictEqual(rsync.shell(), 'ssh -p 2222');
+            assert.deepEqual(rsync._patterns, [ { action: '-', pattern: '.git' } ]);
+            assert.deepEqual(rsync.source(), [ 'src/' ]);
+            assert.strictEqual(rsync.destination(), 'host:dst');
+            assert.strictEqual(rsync.command(), 'rsync -avz --rsh="ssh -p 2222" --exclude=.git src/ host:dst');
+        });
+
+        it('should parse long options with a separate value', function () {
+            var rsync = Rsync.parse('/usr/bin/rsync --rsh ssh --timeout 30 --delete src dst');
+            assert.strictEqual(rsync.executable(), '/usr/bin/rsync');
+            assert.strictEqual(rsync.option('rsh'), 'ssh');
+            assert.strictEqual(rsync.option('timeout'), '30');
+            assert.isTrue(rsync.isSet('delete'));
+        });
+
+        it('should accumulate repeated options', function () {
+            var rsync = Rsync.parse('rsync --chmod=u=rwx --chmod g=rx -f "- .git" -f"+ *.js" a b');
+            assert.deepEqual(rsync.chmod(), [ 'u=rwx', 'g=rx' ]);
+            assert.deepEqual(rsync.filter(), [ '- .git', '+ *.js' ]);
+        });
+
+        it('should keep the order of includes and excludes', function () {
+            var rsync = Rsync.parse('rsync --include "*/" --exclude=.git --include=*.js --exclude "*" a b');
+            assert.deepEqual(rsync._patterns, [
+                { action: '+', pattern: '*/' },
+                { action: '-', pattern: '.git' },
+                { action: '+', pattern: '*.js' },
+                { action: '-', pattern: '*' }
+            ]);
+        });
+
+        it('should keep filter rules in order with includes and excludes', function () {
+            var rsync = Rsync.parse('rsync -a --include="*/" -f "- *.tmp" --filter="P /keep" --exclude="*" src dst');
+            assert.deepEqual(rsync.filter(), [ '+ */', '- *.tmp', 'P /keep', '- *' ]);
+            assert.isFalse(rsync.isSet('filter'));
+            assert.strictEqual(rsync.command(),
+                'rsync -a --include=*/ --exclude=*.tmp --filter=P\\ /keep --exclude=* src dst');
+            assert.strictEqual(Rsync.parse(rsync.command()).command(), rsync.command());
+        });
+
+        it('should parse a value at the end of a flag cluster', function () {
+            var rsync = Rsync.parse('rsync -azessh a b');
+            assert.isTrue(rsync.isSet('z'));
+            assert.strictEqual(rsync.shell(), 'ssh');
+        });
+
+        it('should treat all arguments but the last as sources', function () {
+            var rsync = Rsync.parse('rsync -a one "two words" three dest/');
+            assert.deepEqual(rsync.source(), [ 'one', 'two words', 'three' ]);
+            assert.strictEqual(rsync.destination(), 'dest/');
+        });
+
+        it('should treat a single argument as a source', function () {
+            var rsync = Rsync.parse('rsync --list-only host::');
+            assert.deepEqual(rsync.source(), [ 'host::' ]);
+            assert.strictEqual(rsync.destination(), '');
+        });
+
+        it('should stop parsing options after --', function () {
+            var rsync = Rsync.parse('rsync -a -- -weird-name dst');
+            assert.deepEqual(rsync.source(), [ '-weird-name' ]);
+        });
+
+        it('should accept an argv Array', function () {
+            var rsync = Rsync.parse([ 'rsync', '-a', '--exclude', 'a b', 'src', 'dst' ]);
+            assert.deepEqual(rsync.argv(), [ '-a', '--exclude=a b', 'src', 'dst' ]);
+        });
+
+        it('should round-trip the command', function () {
+            var original = new Rsync()
+                .flags('avz')
+                .shell('ssh -i /key')
+                .chmod([ 'u=rwx', 'g=rx' ])
+                .exclude([ '.git', 'with space' ])
+                .include('/src')
+                .source([ 'a', 'b c' ])
+                .destination('host:dest');
+
+            assert.strictEqual(Rsync.parse(original.command()).command(), original.command());
+        });
+
+        it('should throw on a missing value', function () {
+            assert.throw(function () {
+                Rsync.parse('rsync a b --exclude');
+            }, /missing value for option --exclude/i);
+        });
+
+    });
+
+});
@@ -0,0 +1,69 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var fake = require('./helpers/fake');
+
+var OUTPUT = [
+    'sending incremental file list',
+    'cd+++++++++ 4096 new/',
+    '>f+++++++++ 1024 new/file.txt',
+    '>f.st...... 2048 changed.txt',
+    '.d..t...... 4096 ./',
+    '.f          512 same.txt',
+    '*deleting   0 old.txt',
+    '',
+    'sent 100 bytes  received 20 bytes  240.00 bytes/sec',
+    'total size is 3,584  speedup is 29.87 (DRY RUN)'
+].join('\n');
+
+describe('plan', function () {
+
+    it('should run a dry run with itemized output', function () {
+        var rsync = fake.command({ stdout: OUTPUT }).flags('aq').itemizeChanges();
+        return rsync.plan().then(function (plan) {
+            var command = plan.result.command;
+            assert.match(command, / -an --out-format="%i %l %n%L" /);
+        });
+    });
+
+    it('should keep a configured delete option', function () {
+        return fake.command({ stdout: OUTPUT }).delete().plan().then(function (plan) {
+            assert.match(plan.result.command, /--delete/);
+        });
+    });
+
+    it('should not change the instance', function () {
+        var rsync = fake.command({ stdout: OUTPUT }).archive();
+        var before = rsync.command();
+        return rsync.plan().then(function () {
+            assert.strictEqual(rsync.command(), before);
+        });
+    });
+
+    it('should group the changes', function () {
+        return fake.command({ stdout: OUTPUT }).plan().then(function (plan) {
+            assert.deepEqual(plan.create.map(function (item) { return item.path; }), [ 'new/', 'new/file.txt' ]);
+            assert.deepEqual(plan.update.map(function (item) { return item.path; }), [ 'changed.txt', './' ]);
+            assert.deepEqual(plan.delete.map(function (item) { return item.path; }), [ 'old.txt' ]);
+            assert.lengthOf(plan.changes, 6);
+        });
+    });
+
+    it('should report the sizes', function () {
+        return fake.command({ stdout: OUTPUT }).plan().then(function (plan) {
+            assert.strictEqual(plan.create[1].size, 1024);
+            assert.strictEqual(plan.update[0].size, 2048);
+            assert.isNull(plan.delete[0].size);
+            assert.strictEqual(plan.totalSize, 3072);
+        });
+    });
+
+    it('should not call the handlers of the instance', function () {
+        var called = false;
+        var rsync = fake.command({ stdout: OUTPUT }).output(function () { called = true; });
+        return rsync.plan().then(function () {
+            assert.isFalse(called);
+        });
+    });
+
+});
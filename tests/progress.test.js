@@ -0,0 +1,109 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var createLineSplitter = require('../lib/lines').createLineSplitter;
+var fake = require('./helpers/fake');
+
+describe('progress', function () {
+
+    describe('#parseProgress', function () {
+
+        it('should parse an in-progress line', function () {
+            var progress = Rsync.parseProgress('      1,234,567  45%   12.34MB/s    0:00:02');
+            assert.strictEqual(progress.bytes, 1234567);
+            assert.strictEqual(progress.percent, 45);
+            assert.strictEqual(progress.rate, Math.round(12.34 * 1024 * 1024));
+            assert.strictEqual(progress.eta, 2);
+            assert.isNull(progress.xfr);
+            assert.isNull(progress.toCheck);
+        });
+
+        it('should parse the counters of a finished file', function () {
+            var progress = Rsync.parseProgress('         32,768 100%   31.25MB/s    0:01:05 (xfr#3, to-chk=5/7)');
+            assert.strictEqual(progress.percent, 100);
+            assert.strictEqual(progress.eta, 65);
+            assert.strictEqual(progress.xfr, 3);
+            assert.strictEqual(progress.toCheck, 5);
+            assert.strictEqual(progress.total, 7);
+            assert.isFalse(progress.incremental);
+        });
+
+        it('should parse progress2 lines with human-readable numbers', function () {
+            var progress = Rsync.parseProgress('          1.50M  12%    1.23kB/s    ??:??:??  (xfr#10, ir-chk=1000/1234)');
+            assert.strictEqual(progress.bytes, 1500000);
+            assert.strictEqual(progress.rate, Math.round(1.23 * 1024));
+            assert.isNull(progress.eta);
+            assert.strictEqual(progress.xfr, 10);
+            assert.isTrue(progress.incremental);
+
+            var binary = Rsync.parseProgress('          1.50M  12%    1.23kB/s    ??:??:??', 1024);
+            assert.strictEqual(binary.bytes, 1.5 * 1024 * 1024);
+            assert.strictEqual(binary.rate, Math.round(1.23 * 1024));
+        });
+
+        it('should parse the counters of older rsync versions', function () {
+            var progress = Rsync.parseProgress('        1024 100%    0.00kB/s    0:00:00 (xfer#1, to-check=0/2)');
+            assert.strictEqual(progress.xfr, 1);
+            assert.strictEqual(progress.toCheck, 0);
+        });
+
+        it('should return null for other lines', function () {
+            assert.isNull(Rsync.parseProgress('sending incremental file list'));
+            assert.isNull(Rsync.parseProgress('dir/file 100%.txt'));
+        });
+
+    });
+
+    describe('line splitter', function () {
+
+        it('should split on newlines and carriage returns', function () {
+            var lines = [];
+            var splitter = createLineSplitter(function (line) { lines.push(line); });
+            splitter.write('a\rb\r');
+            splitter.write('\nc\nd');
+            splitter.end();
+            assert.deepEqual(lines, [ 'a', 'b', 'c', 'd' ]);
+        });
+
+        it('should decode multi-byte characters split over chunks', function () {
+            var lines = [];
+            var splitter = createLineSplitter(function (line) { lines.push(line); });
+            var data = Buffer.from('ünï\n');
+            splitter.write(data.slice(0, 1));
+            splitter.write(data.slice(1));
+            splitter.end();
+            assert.deepEqual(lines, [ 'ünï' ]);
+        });
+
+    });
+
+    describe('#progressHandler', function () {
+
+        it('should call the handler with parsed progress for the current file', function () {
+            var updates = [];
+            var rsync = fake.command({
+                stdout: 'sending incremental file list\n' +
+                        'dir/a.txt\n' +
+                        '          512  50%    1.00kB/s    0:00:01\r' +
+                        '        1,024 100%    1.00kB/s    0:00:01 (xfr#1, to-chk=1/3)\n' +
+                        'dir/b.txt\n' +
+                        '        2,048 100%    2.00kB/s    0:00:01 (xfr#2, to-chk=0/3)\n' +
+                        '\nsent 3,200 bytes  received 54 bytes  6,508.00 bytes/sec\n'
+            }).progress().progressHandler(function (progress) {
+                updates.push(progress);
+            });
+
+            return rsync.run().then(function () {
+                assert.lengthOf(updates, 3);
+                assert.strictEqual(updates[0].file, 'dir/a.txt');
+                assert.strictEqual(updates[0].percent, 50);
+                assert.strictEqual(updates[1].xfr, 1);
+                assert.strictEqual(updates[2].file, 'dir/b.txt');
+                assert.strictEqual(updates[2].bytes, 2048);
+            });
+        });
+
+    });
+
+});
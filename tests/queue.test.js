@@ -0,0 +1,188 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+/**
+ * Create a fake command that takes some time and tracks how many commands
+ * run at the same time.
+ */
+function tracked(tracker, behaviour, destination) {
+    var rsync = fake.command(behaviour || { sleep: 50 });
+    if (destination) {
+        rsync.destination(destination);
+    }
+    rsync.output(function () {});
+    var run = rsync.run;
+    rsync.run = function (options) {
+        tracker.current++;
+        tracker.max = Math.max(tracker.max, tracker.current);
+        tracker.order.push(rsync);
+        return run.call(rsync, options).then(function (result) {
+            tracker.current--;
+            return result;
+        }, function (error) {
+            tracker.current--;
+            throw error;
+        });
+    };
+    return rsync;
+}
+
+describe('queue', function () {
+
+    it('should run commands with a concurrency limit', function () {
+        var tracker = { current: 0, max: 0, order: [] };
+        var queue = new Rsync.Queue({ concurrency: 2 });
+        for (var i = 0; i < 5; i++) {
+            queue.add(tracked(tracker));
+        }
+
+        return queue.drain().then(function (summary) {
+            assert.strictEqual(tracker.max, 2);
+            assert.strictEqual(summary.total, 5);
+            assert.strictEqual(summary.succeeded, 5);
+            assert.strictEqual(summary.failed, 0);
+        });
+    });
+
+    it('should limit the commands per host', function () {
+        var tracker = { current: 0, max: 0, order: [] };
+        var hostTracker = { current: 0, max: 0, order: [] };
+        var queue = new Rsync.Queue({ concurrency: 4, hostConcurrency: 1 });
+
+        queue.add(tracked(hostTracker, null, 'user@backup:dest'));
+        queue.add(tracked(hostTracker, null, 'backup:other'));
+        queue.add(tracked(hostTracker, null, 'rsync://backup/module/'));
+        queue.add(tracked(tracker, null, 'elsewhere:dest'));
+
+        return queue.drain().then(function () {
+            assert.strictEqual(hostTracker.max, 1);
+        });
+    });
+
+    it('should run commands by priority', function () {
+        var tracker = { current: 0, max: 0, order: [] };
+        var queue = new Rsync.Queue({ autoStart: false });
+        var low = tracked(tracker, { sleep: 1 });
+        var high = tracked(tracker, { sleep: 1 });
+        var normal = tracked(tracker, { sleep: 1 });
+
+        queue.add(low, { priority: -1 });
+        queue.add(normal);
+        queue.add(high, { priority: 10 });
+        queue.resume();
+
+        return queue.drain().then(function () {
+            assert.deepEqual(tracker.order, [ high, normal, low ]);
+        });
+    });
+
+    it('should accept Rsync.build options', function () {
+        var queue = new Rsync.Queue();
+        var promise = queue.add({
+            executable: fake.executable,
+            source: 'a',
+            destination: 'b'
+        });
+
+        return promise.then(function (result) {
+            assert.strictEqual(result.code, 0);
+            assert.strictEqual(result.command, fake.executable + ' a b');
+        });
+    });
+
+    it('should pause and resume', function () {
+        var queue = new Rsync.Queue();
+        queue.pause();
+        queue.add(fake.command());
+        queue.add(fake.command());
+
+        assert.isTrue(queue.isPaused());
+        assert.strictEqual(queue.size(), 2);
+        assert.strictEqual(queue.running(), 0);
+
+        queue.resume();
+        assert.strictEqual(queue.running(), 1);
+        return queue.drain();
+    });
+
+    it('should aggregate failures and emit events', function () {
+        var events = [];
+        var queue = new Rsync.Queue({ concurrency: 2 });
+        [ 'start', 'success', 'failure', 'drain' ].forEach(function (name) {
+            queue.on(name, function () { events.push(name); });
+        });
+
+        var failing = queue.add(fake.command({ exit: 23 }));
+        queue.add(fake.command());
+
+        return failing.then(function () {
+            assert.fail('job should have been rejected');
+        }, function (error) {
+            assert.strictEqual(error.exitCode, 23);
+            return queue.drain();
+        }).then(function (summary) {
+            assert.strictEqual(summary.total, 2);
+            assert.strictEqual(summary.failed, 1);
+            assert.strictEqual(summary.jobs.filter(function (job) { return job.error; })[0].error.exitCode, 23);
+            assert.includeMembers(events, [ 'start', 'success', 'failure' ]);
+        });
+    });
+
+    it('should continue when a listener throws', function () {
+        // Listener errors are uncaught exceptions, which mocha would report
+        var thrown = [];
+        var rejected = [];
+        var handlers = process.listeners('uncaughtException');
+        var onUncaught = function (error) { thrown.push(error.message); };
+        var onUnhandled = function (error) { rejected.push(error.message); };
+        var restore = function () {
+            process.removeListener('uncaughtException', onUncaught);
+            process.removeListener('unhandledRejection', onUnhandled);
+            handlers.forEach(function (handler) {
+                process.on('uncaughtException', handler);
+            });
+        };
+        process.removeAllListeners('uncaughtException');
+        process.on('uncaughtException', onUncaught);
+        process.on('unhandledRejection', onUnhandled);
+
+        var queue = new Rsync.Queue({ concurrency: 1 });
+        queue.on('success', function () { throw new Error('success listener'); });
+        queue.on('failure', function () { throw new Error('failure listener'); });
+
+        var failing = queue.add(fake.command({ exit: 23 })).then(function () {
+            assert.fail('job should have been rejected');
+        }, function (error) {
+            assert.strictEqual(error.exitCode, 23);
+        });
+        var succeeding = queue.add(fake.command());
+
+        return Promise.all([ failing, succeeding, queue.drain() ]).then(function (values) {
+            assert.strictEqual(values[2].total, 2);
+            return new Promise(function (resolve) { setTimeout(resolve, 10); });
+        }).then(function () {
+            restore();
+            assert.sameMembers(thrown, [ 'success listener', 'failure listener' ]);
+            assert.deepEqual(rejected, []);
+        }, function (error) {
+            restore();
+            throw error;
+        });
+    });
+
+    it('should reject jobs removed with clear', function () {
+        var queue = new Rsync.Queue({ autoStart: false });
+        var promise = queue.add(fake.command());
+        queue.clear();
+
+        return promise.then(function () {
+            assert.fail('job should have been rejected');
+        }, function (error) {
+            assert.match(error.message, /removed from the queue/);
+        });
+    });
+
+});
@@ -0,0 +1,170 @@
+/* global describe,it,beforeEach,afterEach */
+"use strict";
+var assert = require('chai').assert;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+describe('retry', function () {
+    var counter;
+
+    beforeEach(function () {
+        counter = path.join(os.tmpdir(), 'node-rsync-retry-' + process.pid + '-' + Date.now());
+    });
+
+    afterEach(function () {
+        if (fs.existsSync(counter)) {
+            fs.unlinkSync(counter);
+        }
+    });
+
+    describe('#retry', function () {
+
+        it('should use the default policy', function () {
+            var policy = new Rsync().retry(true).retry();
+            assert.strictEqual(policy.attempts, 3);
+            assert.strictEqual(policy.delay, 1000);
+            assert.strictEqual(policy.factor, 2);
+        });
+
+        it('should not change the options of the instance', function () {
+            var rsync = new Rsync().retry({});
+            assert.isFalse(rsync.isSet('partial'));
+            assert.notMatch(rsync.command(), /--partial/);
+            assert.notProperty(rsync.toJSON().options, 'partial');
+        });
+
+        it('should be disabled with false', function () {
+            assert.isNull(new Rsync().retry({}).retry(false).retry());
+        });
+
+    });
+
+    describe('#run', function () {
+
+        it('should add the partial option to the executed command', function () {
+            var rsync = fake.command({ exit: '10,0', counter: counter }).retry({ delay: 5 });
+
+            return rsync.run().then(function (result) {
+                assert.match(result.command, /--partial/);
+                assert.isFalse(rsync.isSet('partial'));
+                assert.notMatch(rsync.command(), /--partial/);
+            });
+        });
+
+        it('should not add the partial option when disabled', function () {
+            var rsync = fake.command({ exit: '10,0', counter: counter }).retry({ delay: 5, partial: false });
+
+            return rsync.run().then(function (result) {
+                assert.notMatch(result.command, /--partial/);
+            });
+        });
+
+        it('should retry on retryable exit codes', function () {
+            var retries = [];
+            var rsync = fake.command({ exit: '10,30,0', counter: counter }).retry({
+                delay: 5,
+                onRetry: function (error, attempt, delay) {
+                    retries.push([ error.exitCode, attempt ]);
+                    assert.isNumber(delay);
+                }
+            });
+
+            return rsync.run().then(function (result) {
+                assert.strictEqual(result.code, 0);
+                assert.deepEqual(retries, [ [ 10, 1 ], [ 30, 2 ] ]);
+                assert.deepEqual(result.attempts.map(function (a) { return a.code; }), [ 10, 30, 0 ]);
+                assert.instanceOf(result.attempts[0].error, Rsync.RsyncError);
+                assert.isNull(result.attempts[2].error);
+            });
+        });
+
+        it('should give up after the maximum number of attempts', function () {
+            var rsync = fake.command({ exit: '12', counter: counter }).retry({ attempts: 2, delay: 5 });
+
+            return rsync.run().then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.strictEqual(error.exitCode, 12);
+                assert.lengthOf(error.result.attempts, 2);
+            });
+        });
+
+        it('should not retry other exit codes', function () {
+            var rsync = fake.command({ exit: '23,0', counter: counter }).retry({ delay: 5 });
+
+            return rsync.run().then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.strictEqual(error.exitCode, 23);
+                assert.lengthOf(error.result.attempts, 1);
+            });
+        });
+
+        it('should retry on configured exit codes', function () {
+            var rsync = fake.command({ exit: '23,0', counter: counter }).retry({ delay: 5, codes: [ 23 ] });
+
+            return rsync.run().then(function (result) {
+                assert.lengthOf(result.attempts, 2);
+            });
+        });
+
+        it('should stop when onRetry returns false', function () {
+            var rsync = fake.command({ exit: '10,0', counter: counter }).retry({
+                delay: 5,
+                onRetry: function () { return false; }
+            });
+
+            return rsync.run().then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.strictEqual(error.exitCode, 10);
+            });
+        });
+
+        it('should reject when onRetry throws', function () {
+            var rsync = fake.command({ exit: '10,0', counter: counter }).retry({
+                delay: 5,
+                onRetry: function () { throw new Error('callback failed'); }
+            });
+
+            return rsync.run().then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.strictEqual(error.exitCode, 10);
+                assert.lengthOf(error.result.attempts, 1);
+            });
+        });
+
+        it('should reject when a retry listener throws', function () {
+            var run = fake.command({ exit: '10,0', counter: counter }).retry({ delay: 5 }).start();
+            run.on('retry', function () { throw new Error('listener failed'); });
+
+            return run.then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.strictEqual(error.exitCode, 10);
+            });
+        });
+
+        it('should be cancelled while waiting for a retry', function () {
+            var rsync = fake.command({ exit: '10,0', counter: counter }).retry({
+                delay: 5000,
+                onRetry: function () {
+                    setTimeout(function () { rsync.cancel(); }, 10);
+                }
+            });
+
+            return rsync.run().then(function () {
+                assert.fail('run should have been rejected');
+            }, function (error) {
+                assert.strictEqual(error.name, 'AbortError');
+                assert.lengthOf(error.result.attempts, 1);
+            });
+        });
+
+    });
+
+});
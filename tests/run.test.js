@@ -0,0 +1,81 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+describe('run', function () {
+
+    it('should resolve with a result object', function () {
+        var rsync = fake.command({ stdout: 'sent 10 bytes', stderr: 'a warning' });
+        return rsync.run().then(function (result) {
+            assert.strictEqual(result.code, 0);
+            assert.strictEqual(result.command, rsync.command());
+            assert.strictEqual(result.stdout, 'sent 10 bytes');
+            assert.strictEqual(result.stderr, 'a warning');
+            assert.isNumber(result.duration);
+        });
+    });
+
+    it('should reject with an Error on a non-zero exit code', function () {
+        return fake.command({ exit: 23, stderr: 'failed' }).run().then(function () {
+            assert.fail('run should have been rejected');
+        }, function (error) {
+            assert.instanceOf(error, Error);
+            assert.match(error.message, /exited with code 23/);
+            assert.strictEqual(error.exitCode, 23);
+            assert.instanceOf(error, Rsync.RsyncError);
+            assert.strictEqual(error.result.stderr, 'failed');
+        });
+    });
+
+    it('should call the registered output handlers', function () {
+        var out = '';
+        var rsync = fake.command({ stdout: 'hello' }).output(function (chunk) {
+            out += chunk;
+        });
+        return rsync.run().then(function () {
+            assert.strictEqual(out, 'hello');
+        });
+    });
+
+    it('should be cancelled through cancel()', function () {
+        var rsync = fake.command({ sleep: 5000 });
+        var promise = rsync.run();
+        setTimeout(function () { rsync.cancel(); }, 50);
+        return promise.then(function () {
+            assert.fail('run should have been rejected');
+        }, function (error) {
+            assert.strictEqual(error.name, 'AbortError');
+            assert.isBelow(error.result.duration, 5000);
+        });
+    });
+
+    it('should be cancelled through an AbortSignal', function () {
+        if (typeof AbortController !== 'function') {
+            return this.skip();
+        }
+        var controller = new AbortController();
+        var promise = fake.command({ sleep: 5000 }).run({ signal: controller.signal });
+        setTimeout(function () { controller.abort(); }, 50);
+        return promise.then(function () {
+            assert.fail('run should have been rejected');
+        }, function (error) {
+            assert.strictEqual(error.name, 'AbortError');
+        });
+    });
+
+    it('should not start when the signal is already aborted', function () {
+        if (typeof AbortController !== 'function') {
+            return this.skip();
+        }
+        var controller = new AbortController();
+        controller.abort();
+        return fake.command().run({ signal: controller.signal }).then(function () {
+            assert.fail('run should have been rejected');
+        }, function (error) {
+            assert.strictEqual(error.name, 'AbortError');
+        });
+    });
+
+});
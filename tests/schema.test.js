@@ -0,0 +1,183 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+
+describe('schema', function () {
+
+    describe('.findOption', function () {
+
+        it('should find options by long and short name', function () {
+            var archive = Rsync.findOption('archive');
+            assert.strictEqual(archive.short, 'a');
+            assert.isNull(archive.value);
+            assert.strictEqual(Rsync.findOption('a'), archive);
+            assert.strictEqual(Rsync.findOption('B').long, 'block-size');
+        });
+
+        it('should describe values and repeatable options', function () {
+            assert.strictEqual(Rsync.findOption('port').value, 'integer');
+            assert.strictEqual(Rsync.findOption('bwlimit').value, 'size');
+            assert.isTrue(Rsync.findOption('exclude').repeatable);
+            assert.isFalse(Rsync.findOption('rsh').repeatable);
+        });
+
+        it('should find negated options', function () {
+            assert.strictEqual(Rsync.findOption('no-perms').long, 'no-perms');
+            assert.isNotNull(Rsync.findOption('no-D'));
+            assert.isNull(Rsync.findOption('no-rsh'));
+        });
+
+        it('should find the options rsync 3.1 to 3.3 list in --help', function () {
+            [
+                'verbose', 'info', 'debug', 'stderr', 'msgs2stderr', 'quiet', 'no-motd', 'checksum',
+                'archive', 'recursive', 'relative', 'no-implied-dirs', 'backup', 'backup-dir', 'suffix',
+                'update', 'inplace', 'append', 'append-verify', 'dirs', 'old-dirs', 'mkpath', 'links',
+                'copy-links', 'copy-unsafe-links', 'safe-links', 'munge-links', 'copy-dirlinks',
+                'keep-dirlinks', 'hard-links', 'perms', 'executability', 'chmod', 'acls', 'xattrs',
+                'owner', 'group', 'devices', 'copy-devices', 'write-devices', 'specials', 'times',
+                'atimes', 'open-noatime', 'crtimes', 'omit-dir-times', 'omit-link-times', 'super',
+                'fake-super', 'sparse', 'preallocate', 'dry-run', 'whole-file', 'checksum-choice',
+                'one-file-system', 'block-size', 'rsh', 'rsync-path', 'existing', 'ignore-existing',
+                'remove-source-files', 'del', 'delete', 'delete-before', 'delete-during', 'delete-delay',
+                'delete-after', 'delete-excluded', 'ignore-missing-args', 'delete-missing-args',
+                'ignore-errors', 'force', 'max-delete', 'max-size', 'min-size', 'max-alloc', 'partial',
+                'partial-dir', 'delay-updates', 'prune-empty-dirs', 'numeric-ids', 'usermap', 'groupmap',
+                'chown', 'timeout', 'contimeout', 'ignore-times', 'size-only', 'modify-window',
+                'temp-dir', 'fuzzy', 'compare-dest', 'copy-dest', 'link-dest', 'compress',
+                'compress-choice', 'compress-level', 'skip-compress', 'cvs-exclude', 'filter', 'exclude',
+                'exclude-from', 'include', 'include-from', 'files-from', 'from0', 'old-args',
+                'protect-args', 'secluded-args', 'trust-sender', 'copy-as', 'address', 'port',
+                'sockopts', 'outbuf', 'blocking-io', 'stats', '8-bit-output', 'human-readable',
+                'progress', 'itemize-changes', 'remote-option', 'out-format', 'log-file',
+                'log-file-format', 'password-file', 'early-input', 'list-only', 'bwlimit', 'stop-after',
+                'time-limit', 'stop-at', 'fsync', 'write-batch', 'only-write-batch', 'read-batch',
+                'protocol', 'iconv', 'checksum-seed', 'ipv4', 'ipv6', 'version', 'help', 'daemon',
+                'config', 'dparam', 'detach', 'no-detach'
+            ].forEach(function (name) {
+                assert.isNotNull(Rsync.findOption(name), name);
+            });
+        });
+
+        it('should not find unknown options', function () {
+            assert.isNull(Rsync.findOption('exlude'));
+            assert.isNull(Rsync.findOption('Z'));
+        });
+
+    });
+
+    describe('#validate', function () {
+
+        it('should report unknown options with a suggestion', function () {
+            var rsync = new Rsync().set('exlude', '*.tmp').flags('Z');
+            assert.deepEqual(rsync.validate(), [
+                'Unknown option --exlude, did you mean --exclude?',
+                'Unknown option -Z'
+            ]);
+        });
+
+        it('should report missing and invalid values', function () {
+            var rsync = new Rsync()
+                .set('rsh')
+                .set('a', 'yes')
+                .set('port', 'ssh')
+                .set('max-size', '10M')
+                .set('bwlimit', '1.5x');
+            assert.deepEqual(rsync.validate(), [
+                'Option --rsh needs a value',
+                'Option -a does not take a value',
+                'Invalid integer value for option --port: ssh',
+                'Invalid size value for option --bwlimit: 1.5x'
+            ]);
+        });
+
+        it('should report repeated values for options that can only be given once', function () {
+            var rsync = new Rsync().set('suffix', [ '.bak', '.old' ]).chmod([ 'u+r', 'g+r' ]);
+            assert.deepEqual(rsync.validate(), [ 'Option --suffix can only be given once' ]);
+        });
+
+        it('should report options that can not be combined', function () {
+            var rsync = new Rsync().set('delete-before').set('delete-after').set('inplace').set('partial-dir', '.p');
+            assert.deepEqual(rsync.validate(), [
+                'Options --delete-before and --delete-after can not be combined',
+                'Options --inplace and --partial-dir can not be combined'
+            ]);
+        });
+
+        it('should accept a valid command', function () {
+            var rsync = new Rsync().flags('avz').delete().set('no-perms').set('info', 'progress2').shell('ssh');
+            assert.deepEqual(rsync.validate(), []);
+        });
+
+    });
+
+    describe('#validation', function () {
+
+        it('should not validate by default', function () {
+            var rsync = new Rsync().set('exlude', '*.tmp');
+            assert.isFalse(rsync.validation());
+            assert.isTrue(rsync.isSet('exlude'));
+        });
+
+        it('should throw in strict mode without setting the option', function () {
+            var rsync = new Rsync({ validation: 'strict' });
+            assert.throws(function () {
+                rsync.set('exlude', '*.tmp');
+            }, /Unknown option --exlude, did you mean --exclude\?/);
+            assert.throws(function () {
+                rsync.flags('Z');
+            }, /Unknown option -Z/);
+            assert.isFalse(rsync.isSet('exlude'));
+            assert.isFalse(rsync.isSet('Z'));
+        });
+
+        it('should check conflicts with options that are already set', function () {
+            var rsync = new Rsync().validation('strict').set('link-dest', '../prev');
+            assert.throws(function () {
+                rsync.set('compare-dest', '../base');
+            }, /Options --compare-dest and --link-dest can not be combined/);
+        });
+
+        it('should call a Function with the problems', function () {
+            var problems = [];
+            var rsync = new Rsync().validation(function (problem) {
+                problems.push(problem);
+            });
+            rsync.set('timeout', 'soon').set('archive');
+            assert.deepEqual(problems, [ 'Invalid integer value for option --timeout: soon' ]);
+            assert.isTrue(rsync.isSet('timeout'));
+        });
+
+        it('should emit process warnings', function (done) {
+            process.once('warning', function (warning) {
+                assert.strictEqual(warning.name, 'RsyncOptionWarning');
+                assert.strictEqual(warning.message, 'Unknown option --colour');
+                done();
+            });
+            new Rsync().validation('warn').set('colour');
+        });
+
+        it('should reject unknown modes', function () {
+            assert.throws(function () {
+                new Rsync().validation('loud');
+            }, /Validation must be/);
+        });
+
+        it('should be copied and serialized', function () {
+            var rsync = new Rsync().validation('strict');
+            assert.strictEqual(rsync.clone().validation(), 'strict');
+            assert.strictEqual(Rsync.fromJSON(JSON.stringify(rsync)).validation(), 'strict');
+            assert.isFalse(Rsync.fromJSON(JSON.stringify(new Rsync().validation(function () {}))).validation());
+        });
+
+        it('should accept the options set by the shorthand methods', function () {
+            var rsync = new Rsync({ validation: 'strict' })
+                .archive().compress().delete().progress().dry().itemizeChanges().stats()
+                .shell('ssh').chmod('u+rw').port(873).passwordFile('/etc/secret')
+                .filesFrom([ 'a' ]).retry(true);
+            assert.deepEqual(rsync.validate(), []);
+        });
+
+    });
+
+});
@@ -0,0 +1,123 @@
+/* global describe,it,beforeEach */
+'use strict';
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+
+describe('serialize', function () {
+    var command;
+
+    beforeEach(function () {
+        command = new Rsync({ executable: '/usr/local/bin/rsync', useShell: false, debug: true })
+            .flags('avz')
+            .set('rsh', 'ssh -p 2222')
+            .chmod([ 'u=rwx', 'g=rx' ])
+            .exclude('.git')
+            .include('/src')
+            .exclude('*.tmp')
+            .source([ 'a', 'b' ])
+            .destination('host:dest')
+            .executableShell('/bin/bash');
+    });
+
+//# toJSON ////////////////////////////////////////////////////////////////////////////////////////
+    describe('#toJSON', function () {
+
+        it('should include the schema version', function () {
+            assert.strictEqual(command.toJSON().version, Rsync.SCHEMA_VERSION);
+        });
+
+        it('should serialize the command state', function () {
+            var data = command.toJSON();
+            assert.strictEqual(data.executable, '/usr/local/bin/rsync');
+            assert.strictEqual(data.executableShell, '/bin/bash');
+            assert.isFalse(data.useShell);
+            assert.isTrue(data.debug);
+            assert.deepEqual(data.sources, [ 'a', 'b' ]);
+            assert.strictEqual(data.destination, 'host:dest');
+            assert.deepEqual(data.options.chmod, [ 'u=rwx', 'g=rx' ]);
+            assert.deepEqual(data.patterns, [
+                { action: '-', pattern: '.git' },
+                { action: '+', pattern: '/src' },
+                { action: '-', pattern: '*.tmp' }
+            ]);
+        });
+
+        it('should not store the inherited environment', function () {
+            assert.isNull(command.toJSON().env);
+        });
+
+        it('should store environment variables that differ from the process', function () {
+            var env = Object.assign({}, process.env, { RSYNC_CONNECT_PROG: 'nc %H 873' });
+            command.env(env);
+            assert.deepEqual(command.toJSON().env, { RSYNC_CONNECT_PROG: 'nc %H 873' });
+        });
+
+        it('should only store the daemon password when it is selected', function () {
+            command.password('secret');
+            assert.deepEqual(command.toJSON().env, {});
+            assert.deepEqual(command.toJSON({ env: [ 'RSYNC_PASSWORD' ] }).env, { RSYNC_PASSWORD: 'secret' });
+        });
+
+        it('should store the selected environment variables', function () {
+            command.env({ RSYNC_PASSWORD: 'secret', HOME: '/home/backup' });
+            assert.deepEqual(command.toJSON({ env: [ 'HOME', 'MISSING' ] }).env, { HOME: '/home/backup' });
+        });
+
+        it('should be used by JSON.stringify', function () {
+            assert.deepEqual(JSON.parse(JSON.stringify(command)), command.toJSON());
+        });
+
+    });
+
+//# fromJSON //////////////////////////////////////////////////////////////////////////////////////
+    describe('.fromJSON', function () {
+
+        it('should round-trip the command', function () {
+            command.cwd('/tmp');
+            command.retry({ attempts: 5, partial: false });
+            var restored = Rsync.fromJSON(JSON.stringify(command));
+
+            assert.strictEqual(restored.command(), command.command());
+            assert.deepEqual(restored.argv(), command.argv());
+            assert.deepEqual(restored.toJSON(), command.toJSON());
+            assert.strictEqual(restored.cwd(), '/tmp');
+            assert.strictEqual(restored.retry().attempts, 5);
+        });
+
+        it('should restore the environment on top of the process environment', function () {
+            command.env({ RSYNC_PASSWORD: 'secret' });
+            var restored = Rsync.fromJSON(command.toJSON({ env: true }));
+            assert.strictEqual(restored.env().RSYNC_PASSWORD, 'secret');
+            assert.strictEqual(restored.env().PATH, process.env.PATH);
+        });
+
+        it('should use defaults for missing properties', function () {
+            var restored = Rsync.fromJSON({ version: 1, sources: [ 'a' ], destination: 'b' });
+            assert.strictEqual(restored.command(), 'rsync a b');
+            assert.isTrue(restored.useShell());
+        });
+
+        it('should migrate build options without a version', function () {
+            var restored = Rsync.fromJSON({
+                source:      'src',
+                destination: 'dst',
+                flags:       'av',
+                exclude:     [ '.git' ]
+            });
+            assert.strictEqual(restored.command(), 'rsync -av --exclude=.git src dst');
+        });
+
+        it('should refuse data from a newer schema version', function () {
+            assert.throws(function () {
+                Rsync.fromJSON({ version: Rsync.SCHEMA_VERSION + 1 });
+            }, /Unsupported serialized Rsync version/);
+        });
+
+        it('should refuse data that is not an Object', function () {
+            assert.throws(function () {
+                Rsync.fromJSON('"rsync"');
+            }, /must be an Object/);
+        });
+
+    });
+});
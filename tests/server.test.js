@@ -0,0 +1,211 @@
+/* global describe,it,afterEach */
+"use strict";
+var assert = require('chai').assert;
+var fs = require('fs');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+describe('server', function () {
+    var server;
+
+    afterEach(function () {
+        return server ? server.stop() : null;
+    });
+
+    describe('.renderConfig', function () {
+
+        it('should render the modules', function () {
+            var config = Rsync.Server.renderConfig({
+                global: { maxConnections: 4 },
+                users: { alice: 'secret' },
+                modules: {
+                    data: {
+                        path:       '/srv/data',
+                        comment:    'Data files',
+                        readOnly:   false,
+                        authUsers:  [ 'alice' ],
+                        hostsAllow: [ '127.0.0.1', '10.0.0.0/8' ],
+                        uid:        'nobody',
+                        gid:        'nogroup'
+                    }
+                }
+            }, { secrets: '/tmp/rsyncd.secrets' });
+
+            assert.strictEqual(config, [
+                '# Generated by node-rsync',
+                'use chroot = no',
+                'max connections = 4',
+                '',
+                '[data]',
+                '    path = /srv/data',
+                '    comment = Data files',
+                '    read only = no',
+                '    auth users = alice',
+                '    hosts allow = 127.0.0.1, 10.0.0.0/8',
+                '    uid = nobody',
+                '    gid = nogroup',
+                '    secrets file = /tmp/rsyncd.secrets',
+                ''
+            ].join('\n'));
+        });
+
+        it('should take the users and passwords from the module', function () {
+            var config = { modules: { data: { path: '/srv/data', authUsers: { alice: 'a', bob: 'b' } } } };
+            assert.include(Rsync.Server.renderConfig(config, {}), '    auth users = alice, bob\n');
+            assert.strictEqual(Rsync.Server.renderSecrets(config), 'alice:a\nbob:b\n');
+        });
+
+        it('should reject invalid configurations', function () {
+            assert.throws(function () {
+                new Rsync.Server({ modules: { data: {} } });
+            }, /needs a path/);
+            assert.throws(function () {
+                new Rsync.Server({ modules: { data: { path: '/srv', authUsers: [ 'alice' ] } } });
+            }, /auth user alice without a password/);
+            assert.throws(function () {
+                new Rsync.Server({ modules: { data: { path: '/srv', comment: 'two\nlines' } } });
+            }, /Invalid value/);
+        });
+
+    });
+
+    describe('#start', function () {
+
+        it('should start the daemon in the foreground', function () {
+            server = new Rsync.Server({
+                executable: fake.executable,
+                env:        fake.env({ listen: 1 }),
+                users:      { alice: 'secret' },
+                modules:    { data: { path: os.tmpdir(), readOnly: false, authUsers: [ 'alice' ] } }
+            });
+
+            var ready = false;
+            server.on('ready', function () {
+                ready = true;
+            });
+
+            return server.start().then(function () {
+                assert.isTrue(ready);
+                assert.isTrue(server.isRunning());
+                assert.isAbove(server.port, 0);
+                assert.deepEqual(server.command().argv(), [
+                    '--daemon', '--no-detach', '--config=' + server.configFile,
+                    '--address=127.0.0.1', '--port=' + server.port
+                ]);
+                assert.include(fs.readFileSync(server.configFile, 'utf8'), '[data]');
+                assert.strictEqual(fs.readFileSync(server.secretsFile, 'utf8'), 'alice:secret\n');
+                assert.strictEqual(fs.statSync(server.secretsFile).mode & parseInt('777', 8), parseInt('600', 8));
+                assert.strictEqual(String(server.location('data', 'sub/', 'alice')),
+                    'rsync://alice@127.0.0.1:' + server.port + '/data/sub/');
+            });
+        });
+
+        it('should remove the generated files when stopped', function () {
+            server = new Rsync.Server({
+                executable: fake.executable,
+                env:        fake.env({ listen: 1 }),
+                modules:    { data: { path: os.tmpdir() } }
+            });
+
+            var dir;
+            return server.start().then(function () {
+                dir = server.dir;
+                return server.stop();
+            }).then(function () {
+                assert.isFalse(server.isRunning());
+                assert.isFalse(fs.existsSync(dir));
+            });
+        });
+
+        it('should clean up when the directory changed while running', function () {
+            server = new Rsync.Server({
+                executable: fake.executable,
+                env:        fake.env({ listen: 1 }),
+                modules:    { data: { path: os.tmpdir() } }
+            });
+
+            var removed, extended;
+            return server.start().then(function () {
+                removed = server.dir;
+                fs.unlinkSync(server.configFile);
+                fs.unlinkSync(server.secretsFile);
+                fs.rmdirSync(server.dir);
+                return server.stop();
+            }).then(function () {
+                assert.isFalse(fs.existsSync(removed));
+                assert.isNull(server.dir);
+                return server.start();
+            }).then(function () {
+                extended = server.dir;
+                fs.writeFileSync(path.join(server.dir, 'rsyncd.pid'), '1');
+                return server.stop();
+            }).then(function () {
+                assert.isFalse(fs.existsSync(extended));
+            });
+        });
+
+        it('should reject when the daemon exits before it is ready', function () {
+            server = new Rsync.Server({
+                executable: fake.executable,
+                env:        fake.env({ exit: 1, stderr: 'failed to bind' }),
+                modules:    { data: { path: os.tmpdir() } }
+            });
+
+            return server.start().then(function () {
+                assert.fail('should reject');
+            }, function (error) {
+                assert.match(error.message, /exited with code 1 before it was ready: failed to bind/);
+                assert.isNull(server.dir);
+            });
+        });
+
+        it('should reject when the port is already in use', function () {
+            var other = net.createServer();
+            var spawned = false;
+
+            return new Promise(function (resolve) {
+                other.listen(0, '127.0.0.1', resolve);
+            }).then(function () {
+                server = new Rsync.Server({
+                    executable: fake.executable,
+                    env:        fake.env({ listen: 1 }),
+                    port:       other.address().port,
+                    modules:    { data: { path: os.tmpdir() } }
+                });
+                server.on('ready', function () {
+                    spawned = true;
+                });
+                return server.start();
+            }).then(function () {
+                assert.fail('should reject');
+            }, function (error) {
+                assert.match(error.message, /port \d+ on 127\.0\.0\.1 is already in use/);
+                assert.isFalse(spawned);
+                assert.isFalse(server.isRunning());
+                assert.isNull(server.dir);
+            }).then(function () {
+                other.close();
+            });
+        });
+
+        it('should reject when the daemon is not ready in time', function () {
+            server = new Rsync.Server({
+                executable:   fake.executable,
+                env:          fake.env({ sleep: 5000 }),
+                readyTimeout: 200,
+                modules:      { data: { path: os.tmpdir() } }
+            });
+
+            return server.start().then(function () {
+                assert.fail('should reject');
+            }, function (error) {
+                assert.match(error.message, /did not accept connections within 200ms/);
+                assert.isFalse(server.isRunning());
+            });
+        });
+
+    });
+});
@@ -384,4 +384,20 @@ describe('shorthands', function () {
 
     });
 
+    describe('#itemizeChanges', function () {
+
+      it('should set the the itemize changes flag', function () {
+        command.itemizeChanges();
+        assertOutputPattern(command, /rsync -i/);
+      });
+
+      it('should unset the itemize changes flag', function () {
+        command.itemizeChanges();
+        assertOutputPattern(command, /rsync -i/);
+        command.itemizeChanges(false);
+        assertOutput(command, output);
+      });
+
+    });
+
 });
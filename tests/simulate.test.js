@@ -0,0 +1,206 @@
+/* global describe,it,before,after */
+"use strict";
+var assert = require('chai').assert;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Rsync = require('../rsync');
+
+/**
+ * Map the entries of a simulation to path => included.
+ */
+function decisions(result) {
+    var map = {};
+    result.entries.forEach(function (entry) {
+        map[entry.path] = entry.included;
+    });
+    return map;
+}
+
+describe('simulate', function () {
+
+    describe('#filterPaths', function () {
+
+        it('should include paths without rules', function () {
+            var result = new Rsync().filterPaths([ 'a.txt', 'dir/', 'dir/b.txt' ]);
+            assert.deepEqual(result.entries[2], {
+                path: 'dir/b.txt', type: 'file', included: true, rule: null, prunedBy: null
+            });
+            assert.strictEqual(result.entries[1].type, 'dir');
+        });
+
+        it('should use the first matching rule', function () {
+            var rsync = new Rsync().include('keep.log').exclude('*.log');
+            var result = rsync.filterPaths([ 'keep.log', 'other.log', 'sub/keep.log', 'sub/x.log' ]);
+
+            assert.deepEqual(decisions(result), {
+                'keep.log': true, 'other.log': false, 'sub/keep.log': true, 'sub/x.log': false
+            });
+            assert.deepEqual(result.entries[1].rule, { index: 1, action: '-', pattern: '*.log', rule: '- *.log' });
+        });
+
+        it('should anchor patterns with a leading slash', function () {
+            var rsync = new Rsync().exclude('/build');
+            assert.deepEqual(decisions(rsync.filterPaths([ 'build/', 'src/build/' ])), {
+                'build': false, 'src/build': true
+            });
+        });
+
+        it('should match patterns with a slash against the end of the path', function () {
+            var rsync = new Rsync().exclude('lib/*.js');
+            assert.deepEqual(decisions(rsync.filterPaths([ 'lib/a.js', 'src/lib/b.js', 'lib/sub/c.js', 'a.js' ])), {
+                'lib/a.js': false, 'src/lib/b.js': false, 'lib/sub/c.js': true, 'a.js': true
+            });
+        });
+
+        it('should only match directories with a trailing slash', function () {
+            var rsync = new Rsync().exclude('cache/');
+            assert.deepEqual(decisions(rsync.filterPaths([ 'cache/', 'cache', 'x/cache/' ])), {
+                'cache': true, 'x/cache': false
+            });
+            var entries = rsync.filterPaths([ 'cache/', 'cache' ]).entries;
+            assert.isFalse(entries[0].included);
+            assert.isTrue(entries[1].included);
+        });
+
+        it('should match across directories with **', function () {
+            var rsync = new Rsync().exclude('/src/**/test');
+            assert.deepEqual(decisions(rsync.filterPaths([ 'src/a/test', 'src/a/b/test', 'src/test', 'lib/a/test' ])), {
+                'src/a/test': false, 'src/a/b/test': false, 'src/test': true, 'lib/a/test': true
+            });
+        });
+
+        it('should match a directory and its contents with ***', function () {
+            var rsync = new Rsync().include('/docs/***').exclude('*');
+            assert.deepEqual(decisions(rsync.filterPaths([ 'docs/', 'docs/a/b.md', 'readme' ])), {
+                'docs': true, 'docs/a/b.md': true, 'readme': false
+            });
+        });
+
+        it('should prune excluded directories', function () {
+            var rsync = new Rsync().exclude('node_modules').include('*.js');
+            var entry = rsync.filterPaths([ 'node_modules/pkg/index.js' ]).entries[0];
+
+            assert.isFalse(entry.included);
+            assert.strictEqual(entry.prunedBy, 'node_modules');
+            assert.strictEqual(entry.rule.rule, '- node_modules');
+        });
+
+        it('should need directories to be included for include-only sets', function () {
+            var only = new Rsync().include('*.js').exclude('*');
+            assert.isFalse(only.filterPaths([ 'src/a.js' ]).entries[0].included);
+
+            var dirs = new Rsync().include('*/').include('*.js').exclude('*');
+            assert.deepEqual(decisions(dirs.filterPaths([ 'src/a.js', 'src/a.css' ])), {
+                'src/a.js': true, 'src/a.css': false
+            });
+        });
+
+        it('should support wildcards and character classes', function () {
+            var rsync = new Rsync().exclude('file?.[ch]').exclude('*.[!o]');
+            assert.deepEqual(decisions(rsync.filterPaths([ 'file1.c', 'file12.c', 'a.x', 'a.o' ])), {
+                'file1.c': false, 'file12.c': false, 'a.x': false, 'a.o': true
+            });
+        });
+
+        it('should apply filter rules', function () {
+            var rsync = new Rsync()
+                .show('important.tmp')
+                .hide('*.tmp')
+                .protect('*.bak')
+                .filter('- *.bak', '-! */');
+            var result = rsync.filterPaths([ 'dir/', 'dir/important.tmp', 'dir/a.tmp', 'dir/a.bak', 'dir/a.txt' ]);
+            assert.deepEqual(decisions(result), {
+                'dir': true, 'dir/important.tmp': true, 'dir/a.tmp': false, 'dir/a.bak': false, 'dir/a.txt': false
+            });
+            assert.strictEqual(result.entries[3].rule.rule, '- *.bak');
+            assert.strictEqual(result.entries[4].rule.rule, '-! */');
+        });
+
+        it('should clear the rules before a clear rule', function () {
+            var rsync = new Rsync().exclude('*.log').filter('!').exclude('*.tmp');
+            assert.deepEqual(decisions(rsync.filterPaths([ 'a.log', 'a.tmp' ])), { 'a.log': true, 'a.tmp': false });
+        });
+
+        it('should warn about rules it can not evaluate', function () {
+            var rsync = new Rsync().dirMerge('.rsync-filter').filter('-C').filter('-/ /etc/passwd');
+            var result = rsync.filterPaths([ 'etc/passwd' ]);
+            assert.deepEqual(result.warnings, [
+                'Merge rule ": .rsync-filter" is not evaluated',
+                'CVS exclude rule "-C" is not evaluated',
+                'Absolute path rule "-/ /etc/passwd" is not evaluated'
+            ]);
+            assert.isTrue(result.entries[0].included);
+        });
+
+    });
+
+    describe('#filterTree', function () {
+        var root;
+
+        before(function () {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'node-rsync-tree-'));
+            fs.mkdirSync(path.join(root, 'src'));
+            fs.mkdirSync(path.join(root, 'node_modules'));
+            fs.writeFileSync(path.join(root, 'src', 'index.js'), '');
+            fs.writeFileSync(path.join(root, 'src', 'index.js.map'), '');
+            fs.writeFileSync(path.join(root, 'node_modules', 'x.js'), '');
+        });
+
+        after(function () {
+            fs.unlinkSync(path.join(root, 'src', 'index.js'));
+            fs.unlinkSync(path.join(root, 'src', 'index.js.map'));
+            fs.unlinkSync(path.join(root, 'node_modules', 'x.js'));
+            fs.rmdirSync(path.join(root, 'src'));
+            fs.rmdirSync(path.join(root, 'node_modules'));
+            fs.rmdirSync(root);
+        });
+
+        it('should walk the contents of a root with a trailing slash', function () {
+            var rsync = new Rsync().exclude('node_modules/').exclude('*.map');
+            return rsync.filterTree(root + '/').then(function (result) {
+                assert.deepEqual(decisions(result), {
+                    'node_modules': false, 'src': true, 'src/index.js': true, 'src/index.js.map': false
+                });
+            });
+        });
+
+        it('should include the root directory without a trailing slash', function () {
+            var name = path.basename(root);
+            var rsync = new Rsync().exclude('/' + name + '/src/').source(root);
+            return rsync.filterTree().then(function (result) {
+                var expected = {};
+                expected[name] = true;
+                expected[name + '/node_modules'] = true;
+                expected[name + '/node_modules/x.js'] = true;
+                expected[name + '/src'] = false;
+                assert.deepEqual(decisions(result), expected);
+            });
+        });
+
+        it('should list the entries in walk order', function () {
+            return new Rsync().filterTree(root + '/').then(function (result) {
+                assert.deepEqual(result.entries.map(function (entry) { return entry.path; }), [
+                    'node_modules', 'node_modules/x.js', 'src', 'src/index.js', 'src/index.js.map'
+                ]);
+            });
+        });
+
+        it('should reject for a missing directory', function () {
+            return new Rsync().filterTree(path.join(root, 'missing') + '/').then(function () {
+                assert.fail('should reject');
+            }, function (error) {
+                assert.strictEqual(error.code, 'ENOENT');
+            });
+        });
+
+        it('should reject without a directory', function () {
+            return new Rsync().filterTree().then(function () {
+                assert.fail('should reject');
+            }, function (error) {
+                assert.match(error.message, /needs a local directory/);
+            });
+        });
+
+    });
+});
@@ -0,0 +1,85 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+describe('ssh', function () {
+
+    it('should use plain ssh without settings', function () {
+        assert.strictEqual(Rsync.sshCommand(), 'ssh');
+    });
+
+    it('should build the ssh command from the settings', function () {
+        var command = Rsync.sshCommand({
+            port:           2222,
+            user:           'backup',
+            identity:       [ '~/.ssh/id_backup', '/keys/other' ],
+            knownHosts:     '/etc/backup/known_hosts',
+            hostKeyPolicy:  'accept-new',
+            connectTimeout: 10
+        });
+
+        assert.strictEqual(command, 'ssh -p 2222 -l backup -i ~/.ssh/id_backup -i /keys/other' +
+            ' -o UserKnownHostsFile=/etc/backup/known_hosts -o StrictHostKeyChecking=accept-new' +
+            ' -o ConnectTimeout=10');
+    });
+
+    it('should add jump hosts', function () {
+        var command = Rsync.sshCommand({
+            jump: [ 'bastion', { user: 'ops', host: 'fe80::2', port: 2200 } ]
+        });
+        assert.strictEqual(command, 'ssh -J bastion,ops@[fe80::2]:2200');
+    });
+
+    it('should configure connection sharing', function () {
+        assert.strictEqual(Rsync.sshCommand({ controlMaster: true, controlPersist: 60 }),
+            'ssh -o ControlMaster=auto -o ControlPath=~/.ssh/rsync-%C -o ControlPersist=60');
+        assert.strictEqual(Rsync.sshCommand({ controlMaster: 'autoask', controlPath: '/tmp/cm-%C' }),
+            'ssh -o ControlMaster=autoask -o ControlPath=/tmp/cm-%C');
+    });
+
+    it('should add extra options and arguments', function () {
+        var command = Rsync.sshCommand({
+            hostKeyPolicy: 'off',
+            options:       { ServerAliveInterval: 15, Compression: 'no' },
+            args:          [ '-4' ]
+        });
+        assert.strictEqual(command, 'ssh -o StrictHostKeyChecking=no -o ServerAliveInterval=15' +
+            ' -o Compression=no -4');
+    });
+
+    it('should quote arguments with spaces and quotes', function () {
+        assert.strictEqual(Rsync.sshCommand({ identity: "/keys/o'brien key" }),
+            "ssh -i '/keys/o'\"'\"'brien key'");
+    });
+
+    it('should reject invalid settings', function () {
+        assert.throws(function () {
+            Rsync.sshCommand({ hostKeyPolicy: 'sometimes' });
+        }, /Unknown host key policy/);
+        assert.throws(function () {
+            Rsync.sshCommand({ port: 'ssh' });
+        }, /Invalid ssh port/);
+    });
+
+    it('should set the rsh option', function () {
+        var rsync = new Rsync()
+            .ssh({ port: 2222, identity: '/keys/backup key' })
+            .source('a')
+            .destination('host:b');
+
+        assert.strictEqual(rsync.shell(), "ssh -p 2222 -i '/keys/backup key'");
+        assert.strictEqual(rsync.command(), "rsync --rsh=\"ssh -p 2222 -i '/keys/backup key'\" a host:b");
+    });
+
+    it('should pass the quoted value through the shell unchanged', function () {
+        var rsync = fake.command({ args: 1 }).ssh({ identity: "/keys/o'brien key" });
+        var expected = rsync.shell();
+
+        return rsync.run().then(function (result) {
+            assert.include(JSON.parse(result.stdout), '--rsh=' + expected);
+        });
+    });
+
+});
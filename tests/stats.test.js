@@ -0,0 +1,118 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+var RAW = [
+    'sending incremental file list',
+    '',
+    'Number of files: 1,234 (reg: 1,000, dir: 234)',
+    'Number of created files: 10 (reg: 8, dir: 2)',
+    'Number of deleted files: 0',
+    'Number of regular files transferred: 8',
+    'Total file size: 12,345,678 bytes',
+    'Total transferred file size: 1,234 bytes',
+    'Literal data: 1,200 bytes',
+    'Matched data: 34 bytes',
+    'File list size: 0',
+    'File list generation time: 0.001 seconds',
+    'File list transfer time: 0.000 seconds',
+    'Total bytes sent: 2,345',
+    'Total bytes received: 123',
+    '',
+    'sent 2,345 bytes  received 123 bytes  4,936.00 bytes/sec',
+    'total size is 12,345,678  speedup is 5,002.30'
+].join('\n');
+
+var HUMAN = [
+    'Number of files: 1.23K (reg: 1.00K, dir: 234)',
+    'Number of regular files transferred: 8',
+    'Total file size: 12.50M bytes',
+    'Literal data: 1.50K bytes',
+    'Total bytes sent: 2.00K',
+    'Total bytes received: 123',
+    '',
+    'sent 2.00K bytes  received 123 bytes  4.94K bytes/sec',
+    'total size is 12.50M  speedup is 5,002.30'
+].join('\n');
+
+describe('stats', function () {
+
+    describe('#parseStats', function () {
+
+        it('should parse raw numbers', function () {
+            var stats = Rsync.parseStats(RAW);
+            assert.strictEqual(stats.files, 1234);
+            assert.deepEqual(stats.filesByType, { reg: 1000, dir: 234 });
+            assert.strictEqual(stats.createdFiles, 10);
+            assert.strictEqual(stats.deletedFiles, 0);
+            assert.strictEqual(stats.filesTransferred, 8);
+            assert.strictEqual(stats.totalFileSize, 12345678);
+            assert.strictEqual(stats.totalTransferredFileSize, 1234);
+            assert.strictEqual(stats.literalData, 1200);
+            assert.strictEqual(stats.matchedData, 34);
+            assert.strictEqual(stats.fileListSize, 0);
+            assert.strictEqual(stats.fileListGenerationTime, 0.001);
+            assert.strictEqual(stats.fileListTransferTime, 0);
+            assert.strictEqual(stats.bytesSent, 2345);
+            assert.strictEqual(stats.bytesReceived, 123);
+            assert.strictEqual(stats.bytesPerSecond, 4936);
+            assert.strictEqual(stats.speedup, 5002.3);
+        });
+
+        it('should parse human-readable numbers in units of 1000', function () {
+            var stats = Rsync.parseStats(HUMAN);
+            assert.strictEqual(stats.files, 1230);
+            assert.strictEqual(stats.filesByType.reg, 1000);
+            assert.strictEqual(stats.totalFileSize, 12500000);
+            assert.strictEqual(stats.literalData, 1500);
+            assert.strictEqual(stats.bytesSent, 2000);
+            assert.strictEqual(stats.bytesPerSecond, 4940);
+            assert.strictEqual(stats.speedup, 5002.3);
+            assert.isNull(stats.createdFiles);
+        });
+
+        it('should parse human-readable numbers in units of 1024', function () {
+            var stats = Rsync.parseStats(HUMAN, 1024);
+            assert.strictEqual(stats.files, Math.round(1.23 * 1024));
+            assert.strictEqual(stats.filesByType.reg, 1024);
+            assert.strictEqual(stats.totalFileSize, 12.5 * 1024 * 1024);
+            assert.strictEqual(stats.literalData, 1536);
+            assert.strictEqual(stats.bytesSent, 2048);
+            assert.strictEqual(stats.bytesPerSecond, Math.round(4.94 * 1024));
+        });
+
+        it('should parse the statistics of older versions', function () {
+            var stats = Rsync.parseStats('Number of files: 1234\nNumber of files transferred: 8\n');
+            assert.strictEqual(stats.files, 1234);
+            assert.strictEqual(stats.filesTransferred, 8);
+        });
+
+        it('should return null without statistics', function () {
+            assert.isNull(Rsync.parseStats('sending incremental file list\nfile.txt\n'));
+        });
+
+    });
+
+    describe('#stats', function () {
+
+        it('should add the stats option', function () {
+            assert.match(new Rsync().stats().command(), /^rsync --stats/);
+        });
+
+        it('should add the statistics to the run result', function () {
+            return fake.command({ stdout: RAW }).stats().run().then(function (result) {
+                assert.strictEqual(result.stats.files, 1234);
+            });
+        });
+
+        it('should not parse statistics without the stats option', function () {
+            return fake.command({ stdout: RAW }).run().then(function (result) {
+                assert.isNull(result.stats);
+            });
+        });
+
+    });
+
+});
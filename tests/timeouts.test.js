@@ -0,0 +1,186 @@
+/* global describe,it,afterEach */
+"use strict";
+var assert = require('chai').assert;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+/**
+ * Check if a process is still running. Zombie processes that were not reaped
+ * yet are not running.
+ * @param {Number} pid
+ * @return {Boolean}
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+    }
+    catch (e) {
+        return false;
+    }
+
+    try {
+        var stat = fs.readFileSync('/proc/' + pid + '/stat', 'utf8');
+        return stat.split(') ')[1].charAt(0) !== 'Z';
+    }
+    catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Poll a condition until it holds or the time limit passes. Resolves with
+ * whether the condition holds.
+ * @param {Function} condition
+ * @param {Number} limit
+ * @return {Promise}
+ */
+function waitFor(condition, limit) {
+    var started = Date.now();
+    return new Promise(function (resolve) {
+        var check = function () {
+            if (condition() || Date.now() - started >= limit) {
+                return resolve(condition());
+            }
+            setTimeout(check, 20);
+        };
+        check();
+    });
+}
+
+describe('timeouts', function () {
+    var pidFile = path.join(os.tmpdir(), 'node-rsync-child-' + process.pid);
+
+    afterEach(function () {
+        if (fs.existsSync(pidFile)) {
+            var pid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+            if (isRunning(pid)) {
+                process.kill(pid, 'SIGKILL');
+            }
+            fs.unlinkSync(pidFile);
+        }
+    });
+
+    /**
+     * Cancel a run once the fake rsync reports it is ready.
+     */
+    function cancelWhenReady(rsync, run) {
+        run.on('stdout-line', function (line) {
+            if (line === 'ready') {
+                rsync.cancel();
+            }
+        });
+        return run;
+    }
+
+    /**
+     * Check that a cancelled run terminated the child process of the fake rsync.
+     */
+    function expectTreeTerminated(run) {
+        return run.then(function () {
+            assert.fail('run should have been rejected');
+        }, function (error) {
+            assert.strictEqual(error.name, 'AbortError');
+            var pid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+            return waitFor(function () {
+                return !isRunning(pid);
+            }, 2000).then(function (stopped) {
+                assert.isTrue(stopped, 'child process was terminated');
+            });
+        });
+    }
+
+    it('should reject with a timeout error after the wall-clock timeout', function () {
+        return fake.command({ sleep: 5000 }).run({ timeout: 100 }).then(function () {
+            assert.fail('run should have been rejected');
+        }, function (error) {
+            assert.instanceOf(error, Rsync.RsyncTimeoutError);
+            assert.instanceOf(error, Rsync.RsyncError);
+            assert.strictEqual(error.kind, 'timeout');
+            assert.strictEqual(error.timeout, 100);
+            assert.strictEqual(error.signal, 'SIGTERM');
+            assert.isTrue(error.isRetryable());
+            assert.isBelow(error.result.duration, 5000);
+        });
+    });
+
+    it('should reject with an idle error when there is no output', function () {
+        return fake.command({ sleep: 5000 }).run({ idleTimeout: 100 }).then(function () {
+            assert.fail('run should have been rejected');
+        }, function (error) {
+            assert.instanceOf(error, Rsync.RsyncTimeoutError);
+            assert.strictEqual(error.kind, 'idle');
+            assert.match(error.message, /no output for 100ms/);
+        });
+    });
+
+    it('should reset the idle timeout on output', function () {
+        this.timeout(5000);
+
+        // The idle window covers the start of the fake rsync, the run lasts
+        // more than twice as long so the timer must have been reset
+        return fake.command({ sleep: 2500, tick: 50 }).run({ idleTimeout: 1000 }).then(function (result) {
+            assert.strictEqual(result.code, 0);
+            assert.isAbove(result.duration, 2000);
+        });
+    });
+
+    it('should kill the process after the grace period', function () {
+        var rsync = fake.command({ sleep: 5000, noterm: 1, ready: 1 });
+        var run = cancelWhenReady(rsync, rsync.start({ timeout: 60000, killGrace: 100 }));
+
+        return run.then(function () {
+            assert.fail('run should have been rejected');
+        }, function (error) {
+            assert.strictEqual(error.name, 'AbortError');
+            assert.strictEqual(error.result.signal, 'SIGKILL');
+        });
+    });
+
+    it('should terminate the whole process tree of a run with a timeout', function () {
+        if (process.platform === 'win32') {
+            return this.skip();
+        }
+
+        // A timeout starts rsync in its own process group
+        var rsync = fake.command({ sleep: 5000, child: pidFile, ready: 1 });
+        return expectTreeTerminated(cancelWhenReady(rsync, rsync.start({ timeout: 60000 })));
+    });
+
+    it('should terminate the process tree on cancel', function () {
+        if (process.platform === 'win32') {
+            return this.skip();
+        }
+
+        var rsync = fake.command({ sleep: 5000, child: pidFile, ready: 1 });
+        return expectTreeTerminated(cancelWhenReady(rsync, rsync.start({ processGroup: true })));
+    });
+
+    it('should keep the process in the current process group by default', function () {
+        if (!fs.existsSync('/proc/self/stat')) {
+            return this.skip();
+        }
+
+        var processGroup = function (pid) {
+            return fs.readFileSync('/proc/' + pid + '/stat', 'utf8').split(') ')[1].split(' ')[2];
+        };
+
+        var groups = {};
+        var run = fake.command({ sleep: 100 }).start();
+        run.on('spawn', function (cmdProc) {
+            groups.run = processGroup(cmdProc.pid);
+        });
+        var timed = fake.command({ sleep: 100 }).start({ timeout: 5000 });
+        timed.on('spawn', function (cmdProc) {
+            groups.timed = processGroup(cmdProc.pid);
+        });
+
+        return Promise.all([run, timed]).then(function () {
+            assert.strictEqual(groups.run, processGroup(process.pid));
+            assert.notEqual(groups.timed, processGroup(process.pid));
+        });
+    });
+
+});
@@ -0,0 +1,297 @@
+/* global describe,it */
+"use strict";
+var assert = require('chai').assert;
+var os = require('os');
+var path = require('path');
+var Rsync = require('../rsync');
+var fake = require('./helpers/fake');
+
+var V327 = [
+    'rsync  version 3.2.7  protocol version 31',
+    'Copyright (C) 1996-2022 by Andrew Tridgell, Wayne Davison, and others.',
+    'Web site: https://rsync.samba.org/',
+    'Capabilities:',
+    '    64-bit files, 64-bit inums, 64-bit timestamps, 64-bit long ints,',
+    '    socketpairs, symlinks, symtimes, hardlinks, hardlink-specials,',
+    '    hardlink-symlinks, IPv6, atimes, batchfiles, inplace, append, ACLs,',
+    '    xattrs, optional secluded-args, iconv, prealloc, stop-at, no crtimes',
+    'Optimizations:',
+    '    SIMD-roll, no asm-roll, openssl-crypto, no asm-MD5',
+    'Checksum list:',
+    '    xxh128 xxh3 xxh64 (xxhash) md5 md4 sha1 none',
+    'Compress list:',
+    '    zstd lz4 zlibx zlib none',
+    'Daemon auth list:',
+    '    sha512 sha256 sha1 md5 md4',
+    '',
+    'rsync comes with ABSOLUTELY NO WARRANTY.  This is free software, and you',
+    'are welcome to redistribute it under certain conditions.  See the GNU',
+    'General Public Licence for details.'
+].join('\n');
+
+var V313 = [
+    'rsync  version 3.1.3  protocol version 31',
+    'Copyright (C) 1996-2018 by Andrew Tridgell, Wayne Davison, and others.',
+    'Web site: http://rsync.samba.org/',
+    'Capabilities:',
+    '    64-bit files, 64-bit inums, 64-bit timestamps, 64-bit long ints,',
+    '    socketpairs, hardlinks, symlinks, IPv6, batchfiles, inplace,',
+    '    append, no ACLs, xattrs, iconv, symtimes, prealloc',
+    ''
+].join('\n');
+
+var V269 = [
+    'rsync  version 2.6.9  protocol version 29',
+    'Copyright (C) 1996-2006 by Andrew Tridgell, Wayne Davison, and others.',
+    '<http://rsync.samba.org/>',
+    'Capabilities: 64-bit files, socketpairs, hard links, symlinks, batchfiles,',
+    '              inplace, IPv6, 64-bit system inums, 64-bit internal inums',
+    ''
+].join('\n');
+
+describe('version', function () {
+
+    describe('.parseVersion', function () {
+
+        it('should parse rsync 3.2', function () {
+            var info = Rsync.parseVersion(V327);
+            assert.strictEqual(info.version, '3.2.7');
+            assert.deepEqual([ info.major, info.minor, info.patch ], [ 3, 2, 7 ]);
+            assert.strictEqual(info.protocol, 31);
+            assert.isTrue(info.acls);
+            assert.isTrue(info.xattrs);
+            assert.isTrue(info.capabilities['secluded-args']);
+            assert.isTrue(info.capabilities['64-bit long ints']);
+            assert.isFalse(info.capabilities.crtimes);
+            assert.deepEqual(info.checksums, [ 'xxh128', 'xxh3', 'xxh64', 'md5', 'md4', 'sha1', 'none' ]);
+            assert.deepEqual(info.compressors, [ 'zstd', 'lz4', 'zlibx', 'zlib', 'none' ]);
+        });
+
+        it('should parse rsync 3.1 without ACL support', function () {
+            var info = Rsync.parseVersion(V313);
+            assert.strictEqual(info.version, '3.1.3');
+            assert.isFalse(info.acls);
+            assert.isFalse(info.capabilities.acls);
+            assert.isTrue(info.xattrs);
+            assert.isTrue(info.capabilities.prealloc);
+            assert.deepEqual(info.checksums, []);
+        });
+
+        it('should parse rsync 2.6.9', function () {
+            var info = Rsync.parseVersion(V269);
+            assert.strictEqual(info.version, '2.6.9');
+            assert.strictEqual(info.protocol, 29);
+            assert.isTrue(info.capabilities['hard links']);
+            assert.isTrue(info.capabilities['64-bit internal inums']);
+            assert.isFalse(info.acls);
+        });
+
+        it('should parse openrsync', function () {
+            var info = Rsync.parseVersion('openrsync: protocol version 29\nrsync version 2.6.9 compatible\n');
+            assert.strictEqual(info.version, '2.6.9');
+            assert.strictEqual(info.protocol, 29);
+        });
+
+        it('should throw for other output', function () {
+            assert.throws(function () {
+                Rsync.parseVersion('command not found');
+            }, /Unable to parse the rsync version/);
+        });
+
+    });
+
+    describe('#forVersion', function () {
+
+        it('should refuse options of newer versions', function () {
+            var rsync = new Rsync().set('mkpath').set('info', 'progress2').flags('a');
+            try {
+                rsync.forVersion(Rsync.parseVersion(V269));
+                assert.fail('should throw');
+            }
+            catch (error) {
+                assert.instanceOf(error, Rsync.RsyncUnsupportedError);
+                assert.strictEqual(error.version, '2.6.9');
+                assert.deepEqual(error.unsupported, [
+                    'rsync 2.6.9 does not support --mkpath (requires 3.2.3)',
+                    'rsync 2.6.9 does not support --info (requires 3.1.0)'
+                ]);
+            }
+        });
+
+        it('should downgrade options with an older equivalent', function () {
+            var rsync = new Rsync()
+                .flags('a')
+                .set('info', 'progress2')
+                .set('append-verify')
+                .source('src/')
+                .destination('dest/');
+            var downgraded = rsync.forVersion(Rsync.parseVersion(V269), 'downgrade');
+            assert.strictEqual(downgraded.command(), 'rsync -a --progress --append src/ dest/');
+            assert.strictEqual(rsync.command(), 'rsync -a --info=progress2 --append-verify src/ dest/');
+
+            rsync = new Rsync().set('secluded-args').set('trust-sender');
+            assert.deepEqual(rsync.forVersion(Rsync.parseVersion(V313), 'downgrade').argv(), [ '--protect-args' ]);
+        });
+
+        it('should refuse downgrades to options the version does not support either', function () {
+            var rsync = new Rsync().set('secluded-args');
+            assert.throws(function () {
+                rsync.forVersion(Rsync.parseVersion(V269), 'downgrade');
+            }, 'rsync 2.6.9 does not support --secluded-args (requires 3.2.6)');
+        });
+
+        it('should escape remote paths for versions without --protect-args', function () {
+            var rsync = new Rsync().source('src/').destination(Rsync.remote({ host: 'backup', path: '/with space' }));
+            var escaped = rsync.forVersion(Rsync.parseVersion(V269));
+            assert.deepEqual(escaped.argv(), [ 'src/', 'backup:/with\\ space' ]);
+            assert.deepEqual(rsync.argv(), [ '--protect-args', 'src/', 'backup:/with space' ]);
+            assert.strictEqual(rsync.forVersion(Rsync.parseVersion(V313)), rsync);
+        });
+
+        it('should refuse --protect-args that is set explicitly', function () {
+            var rsync = new Rsync().set('protect-args').source('src/').destination('backup:/with space');
+            assert.throws(function () {
+                rsync.forVersion(Rsync.parseVersion(V269));
+            }, Rsync.RsyncUnsupportedError, /--protect-args \(requires 3\.0\.0\)/);
+        });
+
+        it('should keep escaping remote paths when --old-args is downgraded', function () {
+            var rsync = new Rsync().set('old-args').source('src/').destination(Rsync.remote({ host: 'backup', path: 'my files/' }));
+            var downgraded = rsync.forVersion(Rsync.parseVersion(V313), 'downgrade');
+            assert.deepEqual(downgraded.argv(), [ 'src/', 'backup:my\\ files/' ]);
+        });
+
+        it('should refuse options with an older equivalent in refuse mode', function () {
+            assert.throws(function () {
+                new Rsync().set('append-verify').forVersion(Rsync.parseVersion(V269));
+            }, Rsync.RsyncUnsupportedError, /--append-verify/);
+        });
+
+        it('should return the command when all options are supported', function () {
+            var rsync = new Rsync().set('mkpath').set('info', 'progress2');
+            assert.strictEqual(rsync.forVersion(Rsync.parseVersion(V327)), rsync);
+        });
+
+        it('should refuse options that need a missing capability', function () {
+            var rsync = new Rsync().flags('A');
+            assert.throws(function () {
+                rsync.forVersion(Rsync.parseVersion(V313));
+            }, 'rsync 3.1.3 is built without acls support, needed for -A');
+            assert.throws(function () {
+                new Rsync().set('crtimes').forVersion(Rsync.parseVersion(V327));
+            }, /without crtimes support/);
+        });
+
+        it('should refuse unknown checksum and compression choices', function () {
+            var info = Rsync.parseVersion(V327);
+            assert.doesNotThrow(function () {
+                new Rsync().set('compress-choice', 'zstd').set('cc', 'xxh128,md5').forVersion(info);
+            });
+            assert.throws(function () {
+                new Rsync().set('zc', 'brotli').forVersion(info);
+            }, 'rsync 3.2.7 does not support brotli for --zc (supported: zstd, lz4, zlibx, zlib, none)');
+        });
+
+    });
+
+    describe('#versionCheck', function () {
+
+        it('should not check by default', function () {
+            assert.isFalse(new Rsync().versionCheck());
+        });
+
+        it('should reject unknown modes', function () {
+            assert.throws(function () {
+                new Rsync().versionCheck('strict');
+            }, /Version check must be/);
+        });
+
+        it('should be copied and serialized', function () {
+            var rsync = new Rsync({ versionCheck: 'downgrade' });
+            assert.strictEqual(rsync.clone().versionCheck(), 'downgrade');
+            assert.strictEqual(Rsync.fromJSON(JSON.stringify(rsync)).versionCheck(), 'downgrade');
+        });
+
+    });
+
+    describe('running', function () {
+
+        it('should detect the version of the executable', function () {
+            return fake.command({ version: V313 }).detectVersion({ refresh: true }).then(function (info) {
+                assert.strictEqual(info.version, '3.1.3');
+            });
+        });
+
+        it('should cache the detected version', function () {
+            var rsync = fake.command({ version: V327 });
+            return rsync.detectVersion({ refresh: true }).then(function () {
+                return fake.command({ version: V269 }).detectVersion();
+            }).then(function (info) {
+                assert.strictEqual(info.version, '3.2.7');
+            });
+        });
+
+        it('should cache the detected version by search path', function () {
+            var rsync = fake.command({ version: V327 }).executable('fake-rsync.js');
+            rsync.cwd(path.dirname(fake.executable));
+            var env = rsync.env();
+            env.PATH = path.dirname(fake.executable) + path.delimiter + (env.PATH || '');
+
+            return rsync.detectVersion({ refresh: true }).then(function () {
+                var other = fake.command({ version: V269 }).executable('fake-rsync.js');
+                other.cwd(path.dirname(fake.executable));
+                other.env().PATH = os.tmpdir() + path.delimiter + env.PATH;
+                return other.detectVersion();
+            }).then(function (info) {
+                assert.strictEqual(info.version, '2.6.9');
+            });
+        });
+
+        it('should not cache failed detections', function () {
+            var rsync = fake.command({ stdout: 'garbage' });
+            return rsync.detectVersion({ refresh: true }).then(function () {
+                assert.fail('detection should fail');
+            }, function (error) {
+                assert.match(error.message, /Unable to parse the rsync version/);
+                return fake.command({ version: V327 }).detectVersion();
+            }).then(function (info) {
+                assert.strictEqual(info.version, '3.2.7');
+            });
+        });
+
+        it('should refuse unsupported options before rsync is started', function () {
+            var spawned = false;
+            var rsync = fake.command({ version: V269 }).set('mkpath').versionCheck('refuse');
+
+            return rsync.detectVersion({ refresh: true }).then(function () {
+                return rsync.start().on('spawn', function () {
+                    spawned = true;
+                });
+            }).then(function () {
+                assert.fail('run should fail');
+            }, function (error) {
+                assert.instanceOf(error, Rsync.RsyncUnsupportedError);
+                assert.isFalse(spawned);
+            });
+        });
+
+        it('should run a downgraded command and report the downgrades', function () {
+            var warnings = [];
+            var rsync = fake.command({ version: V269, args: 1 }).set('append-verify').versionCheck('downgrade');
+
+            return rsync.detectVersion({ refresh: true }).then(function () {
+                return rsync.start().on('warning', function (message) {
+                    warnings.push(message);
+                });
+            }).then(function (result) {
+                assert.deepEqual(JSON.parse(result.stdout), [ '--append', 'SOURCE', 'DESTINATION' ]);
+                assert.deepEqual(warnings, [
+                    'rsync 2.6.9 does not support --append-verify (requires 3.0.0), using --append instead'
+                ]);
+                assert.isTrue(rsync.isSet('append-verify'));
+            });
+        });
+
+    });
+
+});